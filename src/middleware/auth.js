@@ -1,37 +1,53 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Resolves { user } for a valid access token, or { status, error } saying why it was refused.
+// Shared by HTTP requests and socket connections so both accept exactly the same tokens
+const verifyAccessToken = async token => {
+  if (!token) {
+    return { status: 401, error: 'Access token required' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { status: 401, error: 'Token expired' };
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return { status: 401, error: 'Invalid token' };
+    }
+    throw error;
+  }
+
+  // Check if user still exists and is active
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || !user.isActive) {
+    return { status: 401, error: 'User not found or inactive' };
+  }
+
+  // Check if user has access to any registered product line
+  if (!user.productAccess || user.productAccess.length === 0) {
+    return { status: 403, error: 'No product access granted' };
+  }
+
+  return { user };
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists and is active
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'User not found or inactive' });
-    }
-
-    // Check if user has access to any registered product line
-    if (!user.productAccess || user.productAccess.length === 0) {
-      return res.status(403).json({ error: 'No product access granted' });
+    const { user, status, error } = await verifyAccessToken(token);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
     req.user = user;
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
@@ -66,6 +82,7 @@ const authenticateFamilyMember = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
   authenticateAdmin,
   authenticateFamilyMember
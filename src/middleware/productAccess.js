@@ -1,9 +1,11 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
+const { canViewEntry } = require('../services/clipboardVisibility');
 
 const validateProductAccess = async (req, res, next) => {
   try {
-    const { productId } = req.params;
+    // Product can come from the path, the query string or the request body
+    const productId = req.params.productId || req.query.productId || req.body?.productId;
     const userId = req.user._id;
 
     // Get user's product access
@@ -77,12 +79,6 @@ const validateClipboardAccess = async (req, res, next) => {
     const { clipboardId } = req.params;
     const currentUser = req.user;
 
-    // Admins can access everything
-    if (currentUser.role === 'admin') {
-      return next();
-    }
-
-    // Check if user owns the clipboard entry
     const Clipboard = require('../models/Clipboard');
     const clipboardEntry = await Clipboard.findById(clipboardId);
     
@@ -90,19 +86,12 @@ const validateClipboardAccess = async (req, res, next) => {
       return res.status(404).json({ error: 'Clipboard entry not found' });
     }
 
-    if (clipboardEntry.userId.toString() === currentUser._id.toString()) {
-      return next();
-    }
+    // Add entry to request for later use
+    req.clipboardEntry = clipboardEntry;
 
-    // Check if user has been shared with this clipboard
-    if (clipboardEntry.sharedWith.includes(currentUser._id)) {
-      return next();
-    }
-
-    // Check if users are in the same family group
-    if (currentUser.familyGroup && 
-        clipboardEntry.familyGroup && 
-        currentUser.familyGroup.toString() === clipboardEntry.familyGroup.toString()) {
+    // Entries are only readable by members of their product, and then per the visibility policy
+    const isMember = currentUser.role === 'admin' || currentUser.hasProductAccess(clipboardEntry.productId);
+    if (isMember && (await canViewEntry(currentUser, clipboardEntry))) {
       return next();
     }
 
@@ -1,14 +1,59 @@
 const mongoose = require('mongoose');
+const ClipboardRevision = require('./ClipboardRevision');
+const { encryptSetter, hashValue, decryptValue } = require('../services/atRestEncryption');
+const { parsePlaceholders } = require('../utils/templateRenderer');
+
+// Fields whose changes are kept in the revision history
+const REVISION_FIELDS = ['content', 'tags', 'isPublic', 'accessLevel'];
+
+// End-to-end encrypted entries are only ever returned as envelopes
+function serializeEncryption(doc, ret) {
+  const encryption = ret.encryption || {};
+  delete ret.encryption;
+  
+  ret.isEncrypted = !!encryption.isEncrypted;
+  if (ret.isEncrypted) {
+    ret.encrypted = {
+      ciphertext: ret.content,
+      algorithm: encryption.algorithm,
+      nonce: encryption.nonce,
+      keyId: encryption.keyId,
+      wrappedKeys: encryption.wrappedKeys || []
+    };
+    delete ret.content;
+  }
+  
+  return ret;
+}
+
+// View-limited entries only carry their content in responses to a counted read
+function serializeEntry(doc, ret) {
+  serializeEncryption(doc, ret);
+  
+  if (ret.maxViews && !doc.$locals.revealContent) {
+    delete ret.content;
+    delete ret.encrypted;
+    ret.contentWithheld = true;
+  }
+  
+  return ret;
+}
 
 const clipboardSchema = new mongoose.Schema({
   content: {
     type: String,
-    required: true,
+    // Wiped once a view-limited entry self-destructs
+    required: function() {
+      return !this.destroyedAt;
+    },
+    // Declared before trim so plaintext is trimmed before it is encrypted at rest
+    set: encryptSetter,
+    get: decryptValue,
     trim: true
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'file', 'link'],
+    enum: ['text', 'image', 'file', 'link', 'template'],
     default: 'text'
   },
   productId: {
@@ -26,6 +71,10 @@ const clipboardSchema = new mongoose.Schema({
     ref: 'User'
   },
   lastModifiedAt: Date,
+  revision: {
+    type: Number,
+    default: 1
+  },
   tags: [{
     type: String,
     trim: true,
@@ -39,6 +88,17 @@ const clipboardSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users who pinned the entry to the top of their history
+  pinnedBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   metadata: {
     // For text entries
     language: String,
@@ -54,22 +114,63 @@ const clipboardSchema = new mongoose.Schema({
     size: Number, // in bytes
     
     // For file entries
-    fileName: String,
+    fileName: { type: String, set: encryptSetter, get: decryptValue },
     fileSize: Number,
     mimeType: String,
     checksum: String,
     
-    // For link entries
-    url: String,
-    title: String,
-    description: String,
-    thumbnail: String,
+    // For template entries
+    placeholders: [String],
+    // For text entries rendered from a template
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clipboard'
+    },
+    
+    // For link entries; the preview fields are filled in by the link unfurler
+    url: { type: String, set: encryptSetter, get: decryptValue },
+    domain: { type: String, set: encryptSetter, get: decryptValue },
+    title: { type: String, set: encryptSetter, get: decryptValue },
+    description: { type: String, set: encryptSetter, get: decryptValue },
+    siteName: { type: String, set: encryptSetter, get: decryptValue },
+    thumbnail: String, // blob key of the preview image
+    thumbnailStorage: String,
+    thumbnailMimeType: String,
+    unfurledAt: Date,
     
     // General metadata
     source: String, // e.g., 'browser', 'desktop', 'mobile'
     device: String,
+    // Registered device the entry was copied on; device then holds its name
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    },
     application: String
   },
+  // Client-side (end-to-end) encryption envelope; content holds the ciphertext
+  encryption: {
+    isEncrypted: {
+      type: Boolean,
+      default: false
+    },
+    algorithm: String,
+    nonce: String,
+    keyId: String,
+    // Content key wrapped for the owner and each share recipient
+    wrappedKeys: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      wrappedKey: String
+    }]
+  },
+  // Binary payload for image and file entries, kept in the blob store
+  attachment: {
+    storage: String, // blob store driver, e.g. 'local', 'gcs', 's3'
+    key: String
+  },
   // Access control
   accessLevel: {
     type: String,
@@ -89,7 +190,36 @@ const clipboardSchema = new mongoose.Schema({
     grantedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Set when access comes from a shared collection rather than a direct share
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection'
+    },
+    // Access ends at this time; unset shares never expire
+    expiresAt: Date
+  }],
+  // Read access for a whole group, resolved against its current membership when entries are read
+  groupShares: [{
+    groupType: {
+      type: String,
+      enum: ['family', 'friends'],
+      required: true
+    },
+    // The FamilyGroup for family shares; for friends shares the user whose friends may read the entry
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
   }],
   // Analytics and tracking
   viewCount: {
@@ -100,16 +230,43 @@ const clipboardSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Deduplication of repeated copies
+  contentHash: String,
+  lastCopiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Result of sensitive content detection; the preview masks every finding
+  sensitivity: {
+    isSensitive: {
+      type: Boolean,
+      default: false
+    },
+    types: [String],
+    redactedPreview: { type: String, set: encryptSetter, get: decryptValue },
+    detectedAt: Date
+  },
+  // Self-destruct: the content is wiped once reads by other users reach maxViews
+  maxViews: {
+    type: Number,
+    min: 1
+  },
+  burnAfterReading: {
+    type: Boolean,
+    default: false
+  },
+  destroyedAt: Date,
   // Expiration and cleanup
   expiresAt: Date,
   isArchived: {
     type: Boolean,
     default: false
-  }
+  },
+  archivedAt: Date
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true, transform: serializeEntry },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Virtual for favorite count
@@ -122,18 +279,51 @@ clipboardSchema.virtual('isFavorited').get(function() {
   return false; // Will be set by application logic
 });
 
+// Fields encrypted at rest when a keyring is configured
+clipboardSchema.statics.AT_REST_ENCRYPTED_PATHS = [
+  'content',
+  'metadata.fileName',
+  'metadata.url',
+  'metadata.domain',
+  'metadata.title',
+  'metadata.description',
+  'metadata.siteName',
+  'sensitivity.redactedPreview'
+];
+
 // Indexes for performance
-clipboardSchema.index({ productId: 1, createdAt: -1 });
+clipboardSchema.index({ productId: 1, createdAt: -1, _id: -1 });
 clipboardSchema.index({ productId: 1, type: 1 });
 clipboardSchema.index({ productId: 1, tags: 1 });
 clipboardSchema.index({ productId: 1, createdBy: 1 });
 clipboardSchema.index({ productId: 1, isPublic: 1 });
 clipboardSchema.index({ 'sharedWith.userId': 1 });
+clipboardSchema.index({ 'groupShares.groupId': 1, 'groupShares.groupType': 1 });
+clipboardSchema.index({ 'pinnedBy.userId': 1 });
+clipboardSchema.index({ productId: 1, 'sensitivity.isSensitive': 1 });
+clipboardSchema.index({ productId: 1, createdBy: 1, contentHash: 1, lastCopiedAt: -1 });
 clipboardSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Text search index
 clipboardSchema.index({ content: 'text', tags: 'text' });
 
+// Pre-validate middleware (also runs for insertMany)
+clipboardSchema.pre('validate', function(next) {
+  // Burning after reading is a limit of one view
+  if (this.burnAfterReading) {
+    this.maxViews = 1;
+  }
+  
+  // Ciphertext is never deduplicated
+  if (this.encryption && this.encryption.isEncrypted) {
+    this.contentHash = undefined;
+  } else if (this.isModified('content') || this.isModified('type') || !this.contentHash) {
+    this.contentHash = this.constructor.computeContentHash(this.content, this.type);
+  }
+  
+  next();
+});
+
 // Pre-save middleware
 clipboardSchema.pre('save', function(next) {
   // Update metadata based on content type
@@ -146,17 +336,72 @@ clipboardSchema.pre('save', function(next) {
     this.lastModifiedAt = new Date();
   }
   
+  // Bump the revision for tracked changes; the snapshot is written after save
+  if (this.isNew) {
+    this.$locals.revisionFields = REVISION_FIELDS;
+    this.$locals.revisionAction = 'created';
+  } else {
+    const changedFields = REVISION_FIELDS.filter(field => this.isModified(field));
+    if (changedFields.length > 0) {
+      this.revision += 1;
+      this.$locals.revisionFields = changedFields;
+    }
+  }
+  
   next();
 });
 
+// Post-save middleware to record the revision history
+clipboardSchema.post('save', async function(doc) {
+  const { revisionFields, revisionAction, restoredFrom } = doc.$locals;
+  delete doc.$locals.revisionFields;
+  delete doc.$locals.revisionAction;
+  delete doc.$locals.restoredFrom;
+  
+  if (!revisionFields) {
+    return;
+  }
+  
+  await ClipboardRevision.record(doc, {
+    action: revisionAction || 'updated',
+    restoredFrom,
+    changedFields: revisionFields
+  });
+});
+
+// Post-insertMany middleware to record the initial revision of bulk entries
+clipboardSchema.post('insertMany', async function(docs) {
+  await Promise.all(docs.map(doc => ClipboardRevision.record(doc, {
+    action: 'created',
+    changedFields: REVISION_FIELDS
+  })));
+});
+
 // Method to update metadata
 clipboardSchema.methods.updateMetadata = function() {
-  if (this.type === 'text') {
+  // Nothing can be derived from ciphertext
+  if (this.encryption && this.encryption.isEncrypted) {
+    return;
+  }
+  
+  if (this.type === 'text' || this.type === 'template') {
     this.metadata.wordCount = this.content.split(/\s+/).filter(word => word.length > 0).length;
     this.metadata.characterCount = this.content.length;
+  }
+  
+  if (this.type === 'template') {
+    this.metadata.placeholders = parsePlaceholders(this.content).map(placeholder => placeholder.name);
   } else if (this.type === 'link') {
     try {
       const url = new URL(this.content);
+
+      // A preview of another link is out of date; the unfurler replaces its thumbnail
+      if (this.metadata.url !== this.content) {
+        this.metadata.title = undefined;
+        this.metadata.description = undefined;
+        this.metadata.siteName = undefined;
+        this.metadata.unfurledAt = undefined;
+      }
       this.metadata.url = this.content;
       this.metadata.domain = url.hostname;
     } catch (error) {
@@ -200,9 +445,9 @@ clipboardSchema.methods.userHasAccess = function(userId, requiredLevel = 'read')
   // Creator has full access
   if (this.createdBy.toString() === userId.toString()) return true;
   
-  // Check shared access
+  // Check shared access that hasn't expired
   const sharedAccess = this.sharedWith.find(share => 
-    share.userId.toString() === userId.toString()
+    share.userId.toString() === userId.toString() && (!share.expiresAt || share.expiresAt > new Date())
   );
   
   if (sharedAccess) {
@@ -215,8 +460,19 @@ clipboardSchema.methods.userHasAccess = function(userId, requiredLevel = 'read')
   return false;
 };
 
-// Method to share with user
-clipboardSchema.methods.shareWithUser = function(userId, accessLevel = 'read') {
+// Method to check if a user may pass access to the entry on: its creator, or a holder of a write share.
+// Everyone can read public entries, which doesn't make them the entry's to share
+clipboardSchema.methods.userCanShare = function(userId) {
+  if (this.createdBy.toString() === userId.toString()) {
+    return true;
+  }
+
+  const share = this.sharedWith.find(candidate => candidate.userId.toString() === userId.toString());
+  return Boolean(share) && share.accessLevel === 'write' && (!share.expiresAt || share.expiresAt > new Date());
+};
+
+// Method to grant or update a direct share without saving; expiresAt null shares indefinitely
+clipboardSchema.methods.grantShare = function(userId, accessLevel = 'read', expiresAt = null) {
   const existingIndex = this.sharedWith.findIndex(share => 
     share.userId.toString() === userId.toString()
   );
@@ -224,25 +480,147 @@ clipboardSchema.methods.shareWithUser = function(userId, accessLevel = 'read') {
   if (existingIndex >= 0) {
     this.sharedWith[existingIndex].accessLevel = accessLevel;
     this.sharedWith[existingIndex].grantedAt = new Date();
+    this.sharedWith[existingIndex].expiresAt = expiresAt || undefined;
+    // A direct share outlives the collection it may have come from
+    this.sharedWith[existingIndex].collectionId = undefined;
   } else {
     this.sharedWith.push({
       userId,
       accessLevel,
-      grantedAt: new Date()
+      grantedAt: new Date(),
+      expiresAt: expiresAt || undefined
     });
   }
-  
+};
+
+// Method to share with user
+clipboardSchema.methods.shareWithUser = function(userId, accessLevel = 'read', expiresAt = null) {
+  this.grantShare(userId, accessLevel, expiresAt);
   return this.save();
 };
 
+// Method to share with a group, replacing an earlier share with the same group
+clipboardSchema.methods.shareWithGroup = function(groupType, groupId, grantedBy, expiresAt = null) {
+  this.removeGroupShare(groupType, groupId);
+  this.groupShares.push({
+    groupType,
+    groupId,
+    grantedBy,
+    grantedAt: new Date(),
+    expiresAt: expiresAt || undefined
+  });
+  return this.save();
+};
+
+// Method to drop a group share without saving; returns the removed share, if any
+clipboardSchema.methods.removeGroupShare = function(groupType, groupId) {
+  const share = this.findGroupShare(groupType, groupId);
+  if (share) {
+    this.groupShares.pull(share._id);
+  }
+  return share;
+};
+
+// Method to find the share with a group
+clipboardSchema.methods.findGroupShare = function(groupType, groupId) {
+  return this.groupShares.find(share =>
+    share.groupType === groupType && share.groupId.toString() === groupId.toString()
+  );
+};
+
+// Method to restore the tracked fields from an older revision
+// Sets the entry back to a revision's snapshot; the caller saves it, so it can check the entry's revision
+clipboardSchema.methods.restoreRevision = function(revision, userId) {
+  this.content = revision.content;
+  this.tags = revision.tags;
+  this.isPublic = revision.isPublic;
+  this.accessLevel = revision.accessLevel;
+  if (revision.encryption && revision.encryption.isEncrypted) {
+    this.encryption.algorithm = revision.encryption.algorithm;
+    this.encryption.nonce = revision.encryption.nonce;
+    this.encryption.keyId = revision.encryption.keyId;
+  }
+  this.lastModifiedBy = userId;
+  this.lastModifiedAt = new Date();
+  this.$locals.revisionAction = 'restored';
+  this.$locals.restoredFrom = revision.revision;
+  
+  return this;
+};
+
+// Method to store a content key wrapped for a user (end-to-end encrypted entries)
+clipboardSchema.methods.setWrappedKey = function(userId, wrappedKey) {
+  const existing = this.encryption.wrappedKeys.find(key => 
+    key.userId.toString() === userId.toString()
+  );
+  
+  if (existing) {
+    existing.wrappedKey = wrappedKey;
+  } else {
+    this.encryption.wrappedKeys.push({ userId, wrappedKey });
+  }
+};
+
+// Method to get the content key wrapped for a user
+clipboardSchema.methods.getWrappedKey = function(userId) {
+  const wrapped = this.encryption.wrappedKeys.find(key => 
+    key.userId.toString() === userId.toString()
+  );
+  
+  return wrapped ? wrapped.wrappedKey : null;
+};
+
 // Method to remove user access
 clipboardSchema.methods.removeUserAccess = function(userId) {
   this.sharedWith = this.sharedWith.filter(share => 
     share.userId.toString() !== userId.toString()
   );
+  this.encryption.wrappedKeys = this.encryption.wrappedKeys.filter(key => 
+    key.userId.toString() !== userId.toString()
+  );
   return this.save();
 };
 
+// Method to toggle whether the entry is pinned for a user
+clipboardSchema.methods.togglePin = function(userId) {
+  const isPinned = this.isPinnedBy(userId);
+  
+  if (isPinned) {
+    this.pinnedBy = this.pinnedBy.filter(pin => pin.userId.toString() !== userId.toString());
+  } else {
+    this.pinnedBy.push({ userId, pinnedAt: new Date() });
+  }
+  
+  return this.save().then(() => !isPinned);
+};
+
+// Method to check if the entry is pinned for a user
+clipboardSchema.methods.isPinnedBy = function(userId) {
+  return this.pinnedBy.some(pin => pin.userId.toString() === userId.toString());
+};
+
+// Static method to grant a collection's sharees access to its entries
+// Users with a direct share keep it; collection grants never downgrade or replace one
+clipboardSchema.statics.grantCollectionAccess = function(entryIds, collectionId, shares) {
+  return Promise.all(shares.map(share => {
+    const grant = { userId: share.userId, accessLevel: share.accessLevel, grantedAt: new Date(), collectionId };
+    return this.updateMany(
+      { _id: { $in: entryIds }, 'sharedWith.userId': { $ne: share.userId } },
+      { $push: { sharedWith: grant } }
+    );
+  }));
+};
+
+// Static method to revoke access granted through a collection, optionally only for some users
+clipboardSchema.statics.revokeCollectionAccess = function(entryIds, collectionId, userIds = null) {
+  const grant = userIds ? { collectionId, userId: { $in: userIds } } : { collectionId };
+  
+  return this.updateMany(
+    { _id: { $in: entryIds } },
+    { $pull: { sharedWith: grant } }
+  );
+};
+
 // Static method to find entries by product
 clipboardSchema.statics.findByProduct = function(productId, options = {}) {
   const query = { productId };
@@ -265,6 +643,111 @@ clipboardSchema.statics.findByProduct = function(productId, options = {}) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
+// Static method to hash normalized content for deduplication
+clipboardSchema.statics.computeContentHash = function(content, type = 'text') {
+  const normalized = String(content || '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+  
+  // Keyed while content is encrypted at rest, so the hash doesn't give the content away
+  return hashValue(`${type}\n${normalized}`);
+};
+
+// Static method to recompute the dedupe hashes of entries, e.g. after the at-rest keys changed
+clipboardSchema.statics.rehashContent = async function() {
+  const result = { scanned: 0, updated: 0 };
+  const cursor = this.find({ 'encryption.isEncrypted': { $ne: true }, destroyedAt: null })
+    .select('content type contentHash')
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    result.scanned += 1;
+    const contentHash = this.computeContentHash(decryptValue(doc.content), doc.type);
+    if (contentHash !== doc.contentHash) {
+      await this.collection.updateOne({ _id: doc._id }, { $set: { contentHash } });
+      result.updated += 1;
+    }
+  }
+
+  return result;
+};
+
+// Static method to merge a repeat copy into a recent identical entry
+// Returns the updated entry, or null when there is nothing to merge with
+clipboardSchema.statics.mergeDuplicate = function(productId, userId, contentHash, windowMs, tags = []) {
+  const now = new Date();
+  const update = {
+    $inc: { copyCount: 1 },
+    $set: { lastCopiedAt: now }
+  };
+  
+  if (tags.length > 0) {
+    update.$addToSet = { tags: { $each: tags.map(tag => tag.toLowerCase()) } };
+  }
+  
+  return this.findOneAndUpdate({
+    productId,
+    createdBy: userId,
+    contentHash,
+    isArchived: false,
+    maxViews: null,
+    lastCopiedAt: { $gte: new Date(now.getTime() - windowMs) }
+  }, update, {
+    new: true,
+    sort: { lastCopiedAt: -1 }
+  });
+};
+
+// Static method to count one read of an entry by someone other than its creator
+// Returns the updated entry, or null when it is destroyed or has no views left
+clipboardSchema.statics.claimView = function(entryId) {
+  return this.findOneAndUpdate({
+    _id: entryId,
+    destroyedAt: null,
+    $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }]
+  }, {
+    $inc: { viewCount: 1 }
+  }, {
+    new: true
+  });
+};
+
+// Static method to wipe the content of a view-limited entry, keeping a tombstone for its owner
+// Resolves to false when another request already destroyed it
+clipboardSchema.statics.destroyContent = async function(entryId) {
+  const result = await this.updateOne({ _id: entryId, destroyedAt: null }, {
+    $set: { destroyedAt: new Date() },
+    $unset: {
+      content: 1,
+      contentHash: 1,
+      attachment: 1,
+      'encryption.wrappedKeys': 1,
+      'metadata.fileName': 1,
+      'metadata.url': 1,
+      'metadata.domain': 1,
+      'metadata.title': 1,
+      'metadata.description': 1,
+      'metadata.siteName': 1,
+      'metadata.thumbnail': 1,
+      'metadata.thumbnailStorage': 1,
+      'metadata.thumbnailMimeType': 1,
+      'sensitivity.redactedPreview': 1
+    }
+  });
+  
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+  
+  await ClipboardRevision.deleteMany({ entryId });
+  return true;
+};
+
 // Static method to get popular tags
 clipboardSchema.statics.getPopularTags = function(productId, limit = 20) {
   return this.aggregate([
@@ -281,11 +764,16 @@ clipboardSchema.statics.getPopularTags = function(productId, limit = 20) {
   ]);
 };
 
-// Static method to cleanup expired entries
-clipboardSchema.statics.cleanupExpired = function() {
+// Static method to archive expired entries, optionally within one product
+clipboardSchema.statics.cleanupExpired = function(productId = null) {
+  const query = { expiresAt: { $lt: new Date() }, isArchived: { $ne: true } };
+  if (productId) {
+    query.productId = productId;
+  }
+  
   return this.updateMany(
-    { expiresAt: { $lt: new Date() } },
-    { $set: { isArchived: true } }
+    query,
+    { $set: { isArchived: true, archivedAt: new Date() } }
   );
 };
 
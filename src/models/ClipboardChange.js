@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// How long changes stay in the feed; clients further behind than this resync from scratch
+const CHANGE_RETENTION_DAYS = parseInt(process.env.CHANGE_RETENTION_DAYS) || 30;
+
+// Who could see the entry when it changed, in the shape clipboardVisibility checks entries in
+const audienceSchema = new mongoose.Schema({
+  createdBy: mongoose.Schema.Types.ObjectId,
+  accessLevel: String,
+  isPublic: Boolean,
+  sharedWith: [{
+    _id: false,
+    userId: mongoose.Schema.Types.ObjectId,
+    expiresAt: Date
+  }],
+  groupShares: [{
+    _id: false,
+    groupType: String,
+    groupId: mongoose.Schema.Types.ObjectId,
+    expiresAt: Date
+  }]
+}, { _id: false });
+
+// Change feed of a product's clipboard entries, ordered by a per-product sequence number
+const clipboardChangeSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  // Increases with every change to the product; numbers may be skipped but never reused
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'shared', 'favorited'],
+    required: true
+  },
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Unset for changes only their recipients see, such as favorites
+  audience: {
+    type: audienceSchema,
+    default: null
+  },
+  // Users who see the change whatever the audience, e.g. a recipient whose share was removed
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // What changed, e.g. { action: 'removed' } for a share
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+clipboardChangeSchema.index({ productId: 1, seq: 1 }, { unique: true });
+clipboardChangeSchema.index({ createdAt: 1 }, { expireAfterSeconds: CHANGE_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to page through a product's changes after a sequence number, oldest first
+clipboardChangeSchema.statics.findSince = function(productId, since, limit) {
+  return this.find({ productId, seq: { $gt: since } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to get the oldest sequence number still in a product's feed, null when it is empty
+clipboardChangeSchema.statics.oldestSeq = async function(productId) {
+  const oldest = await this.findOne({ productId }).sort({ seq: 1 }).select('seq').lean();
+  return oldest ? oldest.seq : null;
+};
+
+module.exports = mongoose.model('ClipboardChange', clipboardChangeSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const { encryptSetter, decryptValue } = require('../services/atRestEncryption');
+
+const clipboardRevisionSchema = new mongoose.Schema({
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard',
+    required: true
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'restored'],
+    default: 'updated'
+  },
+  restoredFrom: Number,
+  changedFields: [String],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Snapshot of the entry after the change
+  content: {
+    type: String,
+    set: encryptSetter,
+    get: decryptValue
+  },
+  type: String,
+  tags: [String],
+  isPublic: Boolean,
+  accessLevel: String,
+  // Envelope needed to decrypt end-to-end encrypted content
+  encryption: {
+    isEncrypted: Boolean,
+    algorithm: String,
+    nonce: String,
+    keyId: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Fields encrypted at rest when a keyring is configured
+clipboardRevisionSchema.statics.AT_REST_ENCRYPTED_PATHS = ['content'];
+
+// Indexes
+clipboardRevisionSchema.index({ entryId: 1, revision: -1 }, { unique: true });
+clipboardRevisionSchema.index({ productId: 1, createdAt: 1 });
+
+// Static method to snapshot the current state of an entry
+clipboardRevisionSchema.statics.record = async function(entry, options = {}) {
+  const revision = await this.create({
+    entryId: entry._id,
+    productId: entry.productId,
+    revision: entry.revision,
+    action: options.action || 'updated',
+    restoredFrom: options.restoredFrom,
+    changedFields: options.changedFields || [],
+    changedBy: options.changedBy || entry.lastModifiedBy || entry.createdBy,
+    content: entry.content,
+    type: entry.type,
+    tags: entry.tags,
+    isPublic: entry.isPublic,
+    accessLevel: entry.accessLevel,
+    encryption: {
+      isEncrypted: entry.encryption.isEncrypted,
+      algorithm: entry.encryption.algorithm,
+      nonce: entry.encryption.nonce,
+      keyId: entry.encryption.keyId
+    }
+  });
+  
+  await this.prune(entry._id, entry.productId);
+  
+  return revision;
+};
+
+// Static method to drop revisions older than the product's backup retention
+// The latest revision is always kept so the current state can be diffed
+clipboardRevisionSchema.statics.prune = async function(entryId, productId) {
+  const product = await Product.findOne({ productId }).select('settings.clipboard.backupRetention');
+  const retentionDays = product?.settings?.clipboard?.backupRetention ?? 30;
+  
+  const latest = await this.findOne({ entryId }).sort({ revision: -1 }).select('revision');
+  if (!latest) {
+    return { deletedCount: 0 };
+  }
+  
+  return this.deleteMany({
+    entryId,
+    revision: { $lt: latest.revision },
+    createdAt: { $lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+  });
+};
+
+// Static method to list revisions of an entry, newest first
+clipboardRevisionSchema.statics.findByEntry = function(entryId) {
+  return this.find({ entryId }).sort({ revision: -1 });
+};
+
+module.exports = mongoose.model('ClipboardRevision', clipboardRevisionSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Member entries in display order
+  entries: [{
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clipboard',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users the whole collection is shared with; mirrored onto each entry's sharedWith
+  sharedWith: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    accessLevel: {
+      type: String,
+      enum: ['read', 'write'],
+      default: 'read'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for entry count
+collectionSchema.virtual('entryCount').get(function() {
+  return this.entries.length;
+});
+
+// Indexes
+collectionSchema.index({ owner: 1, productId: 1, name: 1 }, { unique: true });
+collectionSchema.index({ productId: 1, 'sharedWith.userId': 1 });
+collectionSchema.index({ 'entries.entryId': 1 });
+
+// Method to check if user has access
+collectionSchema.methods.userHasAccess = function(userId, requiredLevel = 'read') {
+  // Owner has full access
+  if (this.owner.toString() === userId.toString()) {
+    return true;
+  }
+
+  const sharedAccess = this.sharedWith.find(share =>
+    share.userId.toString() === userId.toString()
+  );
+
+  if (sharedAccess) {
+    const levels = { read: 1, write: 2 };
+    return levels[sharedAccess.accessLevel] >= levels[requiredLevel];
+  }
+
+  return false;
+};
+
+// Method to check if an entry is in the collection
+collectionSchema.methods.hasEntry = function(entryId) {
+  return this.entries.some(entry => entry.entryId.toString() === entryId.toString());
+};
+
+// Method to add an entry at a position (defaults to the end)
+collectionSchema.methods.addEntry = function(entryId, addedBy, position = this.entries.length) {
+  if (this.hasEntry(entryId)) {
+    return Promise.reject(new Error('Entry is already in this collection'));
+  }
+
+  const index = Math.max(0, Math.min(position, this.entries.length));
+  this.entries.splice(index, 0, { entryId, addedBy, addedAt: new Date() });
+
+  return this.save();
+};
+
+// Method to remove an entry
+collectionSchema.methods.removeEntry = function(entryId) {
+  this.entries = this.entries.filter(entry => entry.entryId.toString() !== entryId.toString());
+  return this.save();
+};
+
+// Method to reorder entries; entryIds must list every current entry exactly once
+collectionSchema.methods.reorderEntries = function(entryIds) {
+  const current = new Map(this.entries.map(entry => [entry.entryId.toString(), entry]));
+  const requested = new Set(entryIds.map(id => id.toString()));
+
+  if (requested.size !== entryIds.length || requested.size !== current.size ||
+      [...requested].some(id => !current.has(id))) {
+    return Promise.reject(new Error('Order must list every entry in the collection exactly once'));
+  }
+
+  this.entries = entryIds.map(id => current.get(id.toString()));
+  return this.save();
+};
+
+// Method to share the collection with a user
+collectionSchema.methods.shareWithUser = function(userId, accessLevel = 'read') {
+  const existing = this.sharedWith.find(share =>
+    share.userId.toString() === userId.toString()
+  );
+
+  if (existing) {
+    existing.accessLevel = accessLevel;
+    existing.grantedAt = new Date();
+  } else {
+    this.sharedWith.push({ userId, accessLevel, grantedAt: new Date() });
+  }
+
+  return this.save();
+};
+
+// Method to remove user access
+collectionSchema.methods.removeUserAccess = function(userId) {
+  this.sharedWith = this.sharedWith.filter(share =>
+    share.userId.toString() !== userId.toString()
+  );
+  return this.save();
+};
+
+// Static method to find the collections a user owns or was shared in a product
+collectionSchema.statics.findForUser = function(productId, userId) {
+  return this.find({
+    productId,
+    $or: [
+      { owner: userId },
+      { 'sharedWith.userId': userId }
+    ]
+  }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
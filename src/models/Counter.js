@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Named counters that only move forward, e.g. the change sequence of each product
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to reserve the next values of a counter, resolving to the last one reserved
+counterSchema.statics.reserve = async function(name, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+// Static method to read a counter without advancing it
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name).lean();
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
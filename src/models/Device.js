@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Cap on entries waiting for an offline device; the oldest are dropped first
+const MAX_PENDING_ENTRIES = 50;
+
+// The push token and queued entries are for the server only
+function serializeDevice(doc, ret) {
+  delete ret.pushToken;
+  delete ret.pendingEntries;
+  delete ret.__v;
+  return ret;
+}
+
+// A device a user has registered, such as a browser extension or a phone
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  platform: {
+    type: String,
+    enum: ['windows', 'macos', 'linux', 'ios', 'android', 'web', 'extension', 'other'],
+    default: 'other'
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  // Whether the device can be woken by a push notification while it isn't connected
+  pushCapable: {
+    type: Boolean,
+    default: false
+  },
+  pushToken: String,
+  lastSeenAt: Date,
+  // Entries sent to the device while it was offline, delivered when it next connects
+  pendingEntries: [{
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clipboard',
+      required: true
+    },
+    productId: {
+      type: String,
+      required: true
+    },
+    sentFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { transform: serializeDevice }
+});
+
+// Indexes
+deviceSchema.index({ userId: 1, lastSeenAt: -1 });
+
+// Static method to record that a device was just active
+deviceSchema.statics.touch = function(deviceId, now = new Date()) {
+  return this.updateOne({ _id: deviceId }, { $set: { lastSeenAt: now } });
+};
+
+// Static method to queue an entry for a device that isn't connected
+deviceSchema.statics.queueEntry = function(deviceId, pending) {
+  return this.updateOne({ _id: deviceId }, {
+    $push: {
+      pendingEntries: {
+        $each: [{ ...pending, sentAt: new Date() }],
+        $slice: -MAX_PENDING_ENTRIES
+      }
+    }
+  });
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
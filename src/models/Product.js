@@ -219,6 +219,45 @@ const productSchema = new mongoose.Schema({
       encryption: {
         type: Boolean,
         default: false
+      },
+      dedupeWindow: {
+        type: Number,
+        default: 24 * 60 * 60 * 1000 // 24 hours in milliseconds, 0 disables deduplication
+      },
+      // Fetch link entries' pages on the server for their title, description and thumbnail
+      unfurlLinks: {
+        type: Boolean,
+        default: true
+      },
+      // Detection of secrets and personal data in new entries
+      sensitiveContent: {
+        detection: {
+          type: Boolean,
+          default: true
+        },
+        storeRedactedPreview: {
+          type: Boolean,
+          default: true
+        },
+        expireAfter: {
+          type: Number,
+          default: 0 // milliseconds; sensitive entries expire this soon after being copied, 0 keeps them
+        }
+      },
+      // Retention rules applied by the scheduler; 0 turns a rule off
+      retention: {
+        maxEntries: {
+          type: Number,
+          default: 0 // keep each user's last N entries
+        },
+        deleteAfterDays: {
+          type: Number,
+          default: 0 // delete entries not copied for this many days
+        },
+        purgeArchivedAfterDays: {
+          type: Number,
+          default: 0 // delete archived entries after this many days
+        }
       }
     },
     sharing: {
@@ -367,6 +406,12 @@ productSchema.methods.checkRateLimit = function(userId, action = 'request') {
   return { allowed: true, remaining: 1000 };
 };
 
+// Static method to check if a product only accepts client-encrypted clipboard content
+productSchema.statics.requiresClientEncryption = async function(productId) {
+  const product = await this.findOne({ productId }).select('settings.clipboard.encryption');
+  return !!(product && product.settings.clipboard.encryption);
+};
+
 // Static method to find active products
 productSchema.statics.findActive = function() {
   return this.find({
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Cap on the entries listed per report; counts always cover everything removed
+const MAX_REPORTED_ENTRIES = 1000;
+
+const retentionReportSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduler', 'admin'],
+    default: 'scheduler'
+  },
+  // Product-level rules the run applied; users may have tightened them
+  policy: {
+    maxEntries: Number,
+    deleteAfterDays: Number,
+    purgeArchivedAfterDays: Number
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  // Entries whose expiresAt had passed and were archived
+  archivedExpired: {
+    type: Number,
+    default: 0
+  },
+  removed: {
+    maxEntries: {
+      type: Number,
+      default: 0
+    },
+    deleteAfterDays: {
+      type: Number,
+      default: 0
+    },
+    purgeArchivedAfterDays: {
+      type: Number,
+      default: 0
+    }
+  },
+  entries: [{
+    _id: false,
+    entryId: mongoose.Schema.Types.ObjectId,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rule: String
+  }],
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  error: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+retentionReportSchema.statics.MAX_REPORTED_ENTRIES = MAX_REPORTED_ENTRIES;
+
+// Indexes
+retentionReportSchema.index({ productId: 1, createdAt: -1 });
+retentionReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('RetentionReport', retentionReportSchema);
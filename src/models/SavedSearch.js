@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A named search, shown as a smart collection whose entries are whatever matches it right now
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The GET /api/clipboard/search params it runs
+  query: {
+    q: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image', 'file', 'link', 'template']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    dateFrom: Date,
+    dateTo: Date,
+    sort: {
+      type: String,
+      enum: ['relevance', 'newest']
+    }
+  },
+  // Notify the owner when a new entry matches
+  notify: {
+    type: Boolean,
+    default: false
+  },
+  lastNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+savedSearchSchema.index({ owner: 1, productId: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ productId: 1, notify: 1 });
+
+// Method to get the search params, as GET /api/clipboard/search takes them
+savedSearchSchema.methods.toSearchParams = function() {
+  const { q, type, tags, dateFrom, dateTo, sort } = this.query || {};
+
+  return {
+    q: q || undefined,
+    type: type || undefined,
+    tags: tags && tags.length > 0 ? [...tags] : undefined,
+    dateFrom: dateFrom ? dateFrom.toISOString() : undefined,
+    dateTo: dateTo ? dateTo.toISOString() : undefined,
+    sort: sort || undefined
+  };
+};
+
+// Static method to find the saved searches a user has in a product
+savedSearchSchema.statics.findForUser = function(productId, userId) {
+  return this.find({ productId, owner: userId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Audit trail of sharing: who shared what with whom, changes and revocations, and what recipients did with it
+const shareEventSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  // Unset for collection-level events
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard'
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  },
+  // Family group, or the sharing user for friends shares, of a group share
+  groupId: mongoose.Schema.Types.ObjectId,
+  action: {
+    type: String,
+    enum: ['granted', 'changed', 'revoked', 'viewed', 'copied'],
+    required: true
+  },
+  // User who acted; for viewed and copied events this is the recipient
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User the share is for
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the share was made
+  via: {
+    type: String,
+    enum: ['direct', 'template', 'collection', 'request', 'family', 'friends'],
+    default: 'direct'
+  },
+  accessLevel: String,
+  previousAccessLevel: String,
+  expiresAt: Date,
+  message: String,
+  // Why a share was revoked, e.g. 'removed' or 'entry-deleted'
+  reason: String,
+  // Set when revoking the share also removed the recipient's product access
+  productAccessRevoked: Boolean
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+shareEventSchema.index({ entryId: 1, createdAt: -1 });
+shareEventSchema.index({ collectionId: 1, createdAt: -1 });
+shareEventSchema.index({ productId: 1, actor: 1, createdAt: -1 });
+shareEventSchema.index({ productId: 1, recipient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareEvent', shareEventSchema);
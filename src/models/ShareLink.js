@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Only the most recent accesses are kept on each link
+const MAX_ACCESS_LOG = 500;
+
+// Public links to a single clipboard entry for people without an account.
+// The token is only returned when the link is created; links are looked up by its hash.
+const shareLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard',
+    required: true
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  passwordHash: String,
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  // Read-only links show the entry in the browser and never offer a download
+  readOnly: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: Date,
+  accessLog: [{
+    _id: false,
+    accessedAt: {
+      type: Date,
+      default: Date.now
+    },
+    outcome: {
+      type: String,
+      enum: ['served', 'password-required', 'wrong-password', 'expired', 'exhausted', 'unavailable']
+    },
+    ipAddress: String,
+    userAgent: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.passwordHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for password protection
+shareLinkSchema.virtual('hasPassword').get(function() {
+  return !!this.passwordHash;
+});
+
+// Indexes
+shareLinkSchema.index({ entryId: 1, createdAt: -1 });
+shareLinkSchema.index({ productId: 1, createdBy: 1 });
+
+// Static method to hash a link token for lookup
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to create a link; resolves to { link, token }
+shareLinkSchema.statics.mint = async function(fields, password = null) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const link = await this.create({
+    ...fields,
+    tokenHash: this.hashToken(token),
+    passwordHash: password ? await bcrypt.hash(password, 12) : undefined
+  });
+
+  return { link, token };
+};
+
+// Static method to find a link that has not been revoked by its token
+shareLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token), revokedAt: null });
+};
+
+// Static method to record an access attempt
+shareLinkSchema.statics.logAccess = function(linkId, access) {
+  return this.updateOne({ _id: linkId }, {
+    $push: {
+      accessLog: {
+        $each: [{ ...access, accessedAt: new Date() }],
+        $slice: -MAX_ACCESS_LOG
+      }
+    }
+  });
+};
+
+// Static method to use up one access; resolves to null when the link has no uses left
+shareLinkSchema.statics.claimUse = function(linkId) {
+  return this.findOneAndUpdate({
+    _id: linkId,
+    revokedAt: null,
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }]
+  }, {
+    $inc: { useCount: 1 }
+  }, {
+    new: true
+  });
+};
+
+// Method to check the link password; links without one accept any
+shareLinkSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash) {
+    return Promise.resolve(true);
+  }
+
+  return password ? bcrypt.compare(String(password), this.passwordHash) : Promise.resolve(false);
+};
+
+// Method to check whether the link can still be used
+shareLinkSchema.methods.isUsable = function(now = new Date()) {
+  if (this.revokedAt || (this.expiresAt && this.expiresAt <= now)) {
+    return false;
+  }
+
+  return !this.maxUses || this.useCount < this.maxUses;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
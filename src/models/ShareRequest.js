@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A user asking an entry's owner to share it with them, either one entry or every entry the owner tagged
+const shareRequestSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User asked to share, the creator of the requested entries
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for requests for one entry
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard'
+  },
+  // Set for requests for the owner's entries with this tag
+  tag: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  accessLevel: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEFAULT_EXPIRY_DAYS * DAY_MS)
+  },
+  respondedAt: Date,
+  responseMessage: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Entries shared when the request was approved
+  sharedEntries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clipboard'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+shareRequestSchema.index({ owner: 1, productId: 1, status: 1, createdAt: -1 });
+shareRequestSchema.index({ requester: 1, productId: 1, status: 1, createdAt: -1 });
+
+shareRequestSchema.pre('validate', function(next) {
+  if (!this.entryId === !this.tag) {
+    this.invalidate('entryId', 'A share request needs either an entry or a tag');
+  }
+  next();
+});
+
+// Method to check whether a pending request has run out of time
+shareRequestSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'expired' || (this.status === 'pending' && this.expiresAt <= now);
+};
+
+// Static method to mark pending requests past their expiry as expired
+shareRequestSchema.statics.expirePending = function(query = {}, now = new Date()) {
+  return this.updateMany(
+    { ...query, status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Static method to find a still pending request for the same thing, to avoid asking twice
+shareRequestSchema.statics.findOpen = function({ productId, requester, owner, entryId, tag }, now = new Date()) {
+  return this.findOne({
+    productId,
+    requester,
+    owner,
+    ...(entryId ? { entryId } : { tag: tag.toLowerCase() }),
+    status: 'pending',
+    expiresAt: { $gt: now }
+  });
+};
+
+module.exports = mongoose.model('ShareRequest', shareRequestSchema);
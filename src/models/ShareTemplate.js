@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Reusable share settings: who to share with, at what access level, and for how long
+const shareTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Recipients are resolved when the template is applied, so friends and family joining later are included
+  recipients: {
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    includeFriends: {
+      type: Boolean,
+      default: false
+    },
+    familyGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FamilyGroup'
+    }
+  },
+  defaultAccessLevel: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  },
+  defaultMessage: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Shares made from the template expire this long after being applied; 0 never expires
+  expiresAfter: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+shareTemplateSchema.index({ owner: 1, productId: 1, name: 1 }, { unique: true });
+
+// Method to check that the template names at least one recipient
+shareTemplateSchema.methods.hasRecipients = function() {
+  const { users, includeFriends, familyGroup } = this.recipients;
+  return users.length > 0 || includeFriends || !!familyGroup;
+};
+
+// Method to work out when shares made now should expire, or null
+shareTemplateSchema.methods.getShareExpiry = function(now = new Date()) {
+  return this.expiresAfter > 0 ? new Date(now.getTime() + this.expiresAfter) : null;
+};
+
+module.exports = mongoose.model('ShareTemplate', shareTemplateSchema);
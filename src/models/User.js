@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const MAX_NOTIFICATIONS = 200;
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -73,6 +75,12 @@ const userSchema = new mongoose.Schema({
         email: { type: Boolean, default: true },
         push: { type: Boolean, default: true },
         clipboard: { type: Boolean, default: true }
+      },
+      // Personal overrides of the product retention rules; unset falls back to the product
+      retention: {
+        maxEntries: Number,
+        deleteAfterDays: Number,
+        purgeArchivedAfterDays: Number
       }
     }
   },
@@ -119,6 +127,12 @@ const userSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    // 'share' when access only exists because something was shared with the user
+    source: {
+      type: String,
+      enum: ['direct', 'share'],
+      default: 'direct'
     }
   }],
   // Security settings
@@ -128,6 +142,24 @@ const userSchema = new mongoose.Schema({
   },
   twoFactorSecret: String,
   backupCodes: [String],
+  // In-app notifications, newest last
+  notifications: [{
+    type: {
+      type: String,
+      required: true
+    },
+    message: String,
+    data: mongoose.Schema.Types.Mixed,
+    isRead: {
+      type: Boolean,
+      default: false
+    },
+    readAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Activity tracking
   activityLog: [{
     action: String,
@@ -222,7 +254,9 @@ userSchema.methods.hasProductAccess = function(productId, accessLevel = 'read')
 };
 
 // Method to add product access
-userSchema.methods.addProductAccess = function(productId, productName, accessLevel = 'read', grantedBy = null, expiresAt = null) {
+userSchema.methods.addProductAccess = function(
+  productId, productName, accessLevel = 'read', grantedBy = null, expiresAt = null, source = 'direct'
+) {
   const existingIndex = this.productAccess.findIndex(p => p.productId === productId);
   
   if (existingIndex >= 0) {
@@ -233,7 +267,8 @@ userSchema.methods.addProductAccess = function(productId, productName, accessLev
       grantedAt: new Date(),
       grantedBy,
       expiresAt,
-      isActive: true
+      isActive: true,
+      source
     };
   } else {
     this.productAccess.push({
@@ -243,7 +278,8 @@ userSchema.methods.addProductAccess = function(productId, productName, accessLev
       grantedAt: new Date(),
       grantedBy,
       expiresAt,
-      isActive: true
+      isActive: true,
+      source
     });
   }
   
@@ -262,6 +298,24 @@ userSchema.methods.removeProductAccess = function(productId) {
   return Promise.resolve();
 };
 
+// Static method to add an in-app notification, skipped when the user turned that preference off
+// Only the most recent notifications are kept
+userSchema.statics.notify = function(userId, notification, preference = null) {
+  const query = { _id: userId };
+  if (preference) {
+    query[`profile.preferences.notifications.${preference}`] = { $ne: false };
+  }
+  
+  return this.updateOne(query, {
+    $push: {
+      notifications: {
+        $each: [{ ...notification, createdAt: new Date() }],
+        $slice: -MAX_NOTIFICATIONS
+      }
+    }
+  });
+};
+
 // Static method to find users by product access
 userSchema.statics.findByProductAccess = function(productId) {
   return this.find({
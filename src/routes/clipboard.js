@@ -1,18 +1,227 @@
 const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
 const Clipboard = require('../models/Clipboard');
+const ClipboardRevision = require('../models/ClipboardRevision');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
 const { authenticateToken } = require('../middleware/auth');
-const { validateProductAccess } = require('../middleware/productAccess');
+const { validateProductAccess, validateClipboardAccess } = require('../middleware/productAccess');
+const { getBlobStore, removeEntryAttachment } = require('../services/blobStore');
+const { diffLines } = require('../utils/textDiff');
+const { validateEnvelope, toEntryFields } = require('../utils/encryptionEnvelope');
+const { findPage, getCursorError } = require('../utils/pagination');
+const { buildTemplateContext, parsePlaceholders, renderTemplate } = require('../utils/templateRenderer');
+const { buildVisibilityFilter, canViewEntry } = require('../services/clipboardVisibility');
+const { classifyContent } = require('../utils/sensitiveContent');
+const { isCreator, isRestrictedFor, recordView, destroyEntry } = require('../services/selfDestruct');
+const { recordRecipientActivity, recordRevocations } = require('../services/shareAudit');
+const { getGroupMemberIds } = require('../services/groupShares');
+const { recordChange, recordChanges, getChanges, parseChangeLimit } = require('../services/changeFeed');
+const { resolveSourceDevice } = require('../services/devicePresence');
+const { userRoom, emitEntryEvent } = require('../services/realtime');
+const {
+  getExpectedRevision,
+  saveIfUnchanged,
+  describeConflict,
+  notifyConflict,
+  mergeEntryContent
+} = require('../services/entryConflicts');
+const {
+  TEXT_SEARCH_UNAVAILABLE,
+  canSearchText,
+  buildSearchFilter,
+  getSearchSort,
+  getSearchError,
+  searchEntries
+} = require('../services/clipboardSearch');
+const { listWithMatchCounts, notifySavedSearchMatches } = require('../services/savedSearches');
+const { unfurlEntry, unfurlInBackground } = require('../services/linkUnfurl');
+const { logError } = require('../utils/logger');
 
 const router = express.Router();
 
+const BULK_ACTIONS = ['tag', 'untag', 'delete'];
+const MAX_BULK_ACTION_ENTRIES = 100;
+
+// Uploads are buffered in memory and handed to the blob store once validated
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_UPLOAD_SIZE) || 50 * 1024 * 1024, // 50MB
+    files: 1
+  }
+});
+
+// Dedupe window in milliseconds for a product, 0 when deduplication is disabled
+const getDedupeWindow = async productId => {
+  const product = await Product.findOne({ productId }).select('settings.clipboard.dedupeWindow');
+  const dedupeWindow = product?.settings?.clipboard?.dedupeWindow;
+
+  return dedupeWindow !== undefined ? dedupeWindow : 24 * 60 * 60 * 1000;
+};
+
+// Sensitive content policy for a product, null when detection is turned off
+const getSensitiveContentPolicy = async productId => {
+  const product = await Product.findOne({ productId }).select('settings.clipboard.sensitiveContent');
+  const policy = product?.settings?.clipboard?.sensitiveContent;
+
+  if (policy && !policy.detection) {
+    return null;
+  }
+
+  return {
+    storeRedactedPreview: policy ? policy.storeRedactedPreview : true,
+    expireAfter: policy?.expireAfter || 0
+  };
+};
+
+// Adds sensitivity flags to new entry data; client-encrypted content can't be inspected
+const applySensitivity = (data, policy) => {
+  if (!policy || data.encryption) {
+    return data;
+  }
+
+  const { sensitivity, expiresAt } = classifyContent(data.content, policy, { expiresAt: data.expiresAt });
+
+  return expiresAt ? { ...data, sensitivity, expiresAt } : { ...data, sensitivity };
+};
+
+// Re-runs detection on an entry whose content changed, so no flags or preview of the old content are kept
+const refreshSensitivity = (entry, policy) => {
+  if (!policy || entry.encryption.isEncrypted) {
+    entry.sensitivity = { isSensitive: false, types: [] };
+    return;
+  }
+
+  const { sensitivity, expiresAt } = classifyContent(entry.content, policy, { expiresAt: entry.expiresAt });
+  entry.sensitivity = sensitivity;
+  if (expiresAt) {
+    entry.expiresAt = expiresAt;
+  }
+};
+
+// Works out the stored content for a create or update, enforcing the product's encryption setting
+const resolveContentFields = (body, requiresEncryption, userId) => {
+  const { content, encrypted } = body;
+
+  if (!encrypted) {
+    if (requiresEncryption) {
+      return { error: 'This product only accepts client-encrypted content' };
+    }
+    return { fields: { content } };
+  }
+
+  const envelopeErrors = validateEnvelope(encrypted);
+  if (envelopeErrors.length > 0) {
+    return { error: 'Invalid encrypted envelope', details: envelopeErrors };
+  }
+
+  return { fields: toEntryFields(encrypted, userId) };
+};
+
+// Self-destruct options of a new entry; multipart fields arrive as strings
+const resolveViewLimit = ({ maxViews, burnAfterReading }) => ({
+  maxViews: parseInt(maxViews) > 0 ? parseInt(maxViews) : undefined,
+  burnAfterReading: burnAfterReading === true || burnAfterReading === 'true'
+});
+
+const isViewLimited = viewLimit => Boolean(viewLimit.maxViews || viewLimit.burnAfterReading);
+
+// Populates the users shown alongside entries in list responses
+const populateAuthors = query =>
+  query
+    .populate('createdBy', 'username firstName lastName')
+    .populate('lastModifiedBy', 'username firstName lastName');
+
+// Cursor params shared by the list routes, ordered newest first by (createdAt, _id)
+const getPageOptions = ({ before, after, limit, includeTotal }) => ({
+  before,
+  after,
+  limit,
+  includeTotal: includeTotal === 'true',
+  prepare: populateAuthors
+});
+
+// Refuses a write made against an old revision with the entry as it is now, and tells subscribers
+const rejectStaleWrite = (req, res, current, attemptedRevision) => {
+  if (!current) {
+    return res.status(404).json({ error: 'Clipboard entry not found' });
+  }
+
+  const conflict = describeConflict(current, attemptedRevision, req.user._id);
+  notifyConflict(req.app.get('io'), conflict);
+
+  return res.status(409).json({
+    error: `Clipboard entry has changed since revision ${attemptedRevision}`,
+    revision: current.revision,
+    entry: current
+  });
+};
+
+// Deletes an entry with its revisions, collection memberships and attachment, and tells subscribers.
+// Recipients lose their shares with the entry, and any product access that came only from them
+const deleteEntry = async (entry, userId, io) => {
+  const { productId } = entry;
+
+  await Clipboard.findByIdAndDelete(entry._id);
+  await ClipboardRevision.deleteMany({ entryId: entry._id });
+  await Collection.updateMany(
+    { 'entries.entryId': entry._id },
+    { $pull: { entries: { entryId: entry._id } } }
+  );
+
+  // Blob cleanup failures shouldn't fail the delete itself
+  await removeEntryAttachment(entry).catch(error => logError('Remove attachment error:', error));
+
+  const recipients = new Set(entry.sharedWith.map(share => share.userId.toString()));
+  for (const share of entry.groupShares) {
+    const memberIds = await getGroupMemberIds(share.groupType, share.groupId);
+    memberIds.forEach(memberId => recipients.add(memberId.toString()));
+  }
+  recipients.delete(entry.createdBy.toString());
+
+  await recordRevocations({
+    recipients: [...recipients],
+    productId,
+    entryId: entry._id,
+    actor: userId,
+    reason: 'entry-deleted'
+  });
+
+  const deletion = { type: 'deleted', entry, actor: userId, recipients: [...recipients] };
+  await recordChange(productId, deletion, io);
+
+  // Emit real-time update
+  io.to(productId).emit('clipboard-updated', {
+    action: 'deleted',
+    entryId: entry._id,
+    productId
+  });
+};
+
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
 // Validation middleware
 const validateClipboardEntry = [
-  body('content').notEmpty().trim(),
-  body('type').isIn(['text', 'image', 'file', 'link']),
+  body('content').if(body('encrypted').not().exists()).notEmpty().trim(),
+  body('encrypted').optional().isObject(),
+  body('type').isIn(['text', 'image', 'file', 'link', 'template']),
   body('productId').notEmpty(),
   body('tags').optional().isArray(),
-  body('isPublic').optional().isBoolean()
+  body('isPublic').optional().isBoolean(),
+  body('maxViews').optional().isInt({ min: 1 }),
+  body('burnAfterReading').optional().isBoolean(),
+  body('deviceId').optional().isMongoId()
 ];
 
 // @route   POST /api/clipboard
@@ -25,24 +234,67 @@ router.post('/', validateClipboardEntry, validateProductAccess, async (req, res)
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { content, type, productId, tags, isPublic, metadata } = req.body;
+    const { type, productId, tags, isPublic, metadata, deviceId } = req.body;
     const userId = req.user._id;
 
-    // Create clipboard entry
-    const clipboardEntry = new Clipboard({
-      content,
+    const requiresEncryption = await Product.requiresClientEncryption(productId);
+    const { fields, error, details } = resolveContentFields(req.body, requiresEncryption, userId);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+    const viewLimit = resolveViewLimit(req.body);
+
+    const source = await resolveSourceDevice(deviceId, userId);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
+    }
+
+    // Repeat copies within the product's dedupe window are merged into the existing entry,
+    // except for self-destructing entries, which always stand alone
+    const dedupeWindow = fields.encryption || isViewLimited(viewLimit) ? 0 : await getDedupeWindow(productId);
+    if (dedupeWindow > 0) {
+      const contentHash = Clipboard.computeContentHash(fields.content, type);
+      const existingEntry = await Clipboard.mergeDuplicate(productId, userId, contentHash, dedupeWindow, tags || []);
+
+      if (existingEntry) {
+        const change = { type: 'updated', entry: existingEntry, actor: userId, details: { action: 'merged' } };
+        await recordChange(productId, change, req.app.get('io'));
+
+        emitEntryEvent(req.app.get('io'), existingEntry, 'clipboard-updated', {
+          action: 'merged',
+          entry: existingEntry,
+          productId
+        });
+
+        return res.json({
+          message: 'Clipboard entry merged with an existing entry',
+          entry: existingEntry,
+          merged: true
+        });
+      }
+    }
+
+    // Create clipboard entry, flagging secrets and personal data under the product's policy
+    const sensitivePolicy = await getSensitiveContentPolicy(productId);
+    const clipboardEntry = new Clipboard(applySensitivity({
+      ...fields,
+      ...viewLimit,
       type,
       productId,
       createdBy: userId,
       tags: tags || [],
       isPublic: isPublic || false,
-      metadata: metadata || {}
-    });
+      metadata: { ...metadata, ...source.metadata }
+    }, sensitivePolicy));
 
     await clipboardEntry.save();
+    await recordChange(productId, { type: 'created', entry: clipboardEntry, actor: userId }, req.app.get('io'));
+    // Not awaited; matching saved searches notify their owners in the background, and links get previews
+    notifySavedSearchMatches(productId, [clipboardEntry]);
+    unfurlInBackground([clipboardEntry], req.app.get('io'));
 
     // Emit real-time update via Socket.IO
-    req.app.get('io').to(productId).emit('clipboard-updated', {
+    emitEntryEvent(req.app.get('io'), clipboardEntry, 'clipboard-updated', {
       action: 'created',
       entry: clipboardEntry,
       productId
@@ -50,7 +302,8 @@ router.post('/', validateClipboardEntry, validateProductAccess, async (req, res)
 
     res.status(201).json({
       message: 'Clipboard entry created successfully',
-      entry: clipboardEntry
+      entry: clipboardEntry,
+      merged: false
     });
   } catch (error) {
     console.error('Create clipboard entry error:', error);
@@ -58,222 +311,253 @@ router.post('/', validateClipboardEntry, validateProductAccess, async (req, res)
   }
 });
 
-// @route   GET /api/clipboard
-// @desc    Get clipboard entries for a product
+// @route   POST /api/clipboard/upload
+// @desc    Create an image or file clipboard entry from a multipart upload
 // @access  Private
-router.get('/', validateProductAccess, async (req, res) => {
+router.post('/upload', handleUpload, validateProductAccess, async (req, res) => {
   try {
-    const { productId, page = 1, limit = 50, type, tags, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required' });
+    }
+
+    const { productId, tags, isPublic, deviceId } = req.body;
     const userId = req.user._id;
+    const { originalname, mimetype, size, buffer } = req.file;
+    const type = req.body.type || (mimetype.startsWith('image/') ? 'image' : 'file');
 
-    // Build query
-    const query = { productId };
-    
-    // Filter by type if specified
-    if (type) {
-      query.type = type;
-    }
-    
-    // Filter by tags if specified
-    if (tags && tags.length > 0) {
-      query.tags = { $in: tags };
+    if (!['image', 'file'].includes(type)) {
+      return res.status(400).json({ error: 'Uploads must be of type image or file' });
     }
-    
-    // Search in content if specified
-    if (search) {
-      query.$text = { $search: search };
+
+    const source = await resolveSourceDevice(deviceId, userId);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Respect the product's file size limit
+    const product = await Product.findOne({ productId });
+    if (product && size > product.rateLimits.maxFileSize) {
+      return res.status(413).json({ error: 'File exceeds the maximum size allowed for this product' });
+    }
 
-    // Pagination
-    const skip = (page - 1) * limit;
+    // Multipart fields arrive as strings
+    const parsedTags = Array.isArray(tags) ? tags : (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    let encrypted;
+    try {
+      encrypted = req.body.encrypted ? JSON.parse(req.body.encrypted) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid encrypted envelope' });
+    }
 
-    // Get entries
-    const entries = await Clipboard.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('createdBy', 'username firstName lastName')
-      .populate('lastModifiedBy', 'username firstName lastName');
+    // For end-to-end encrypted products the file is opaque ciphertext and the envelope
+    // carries the encrypted file description, so no plaintext file details are kept
+    const requiresEncryption = !!(product && product.settings.clipboard.encryption);
+    const { fields, error, details } = resolveContentFields(
+      { content: originalname, encrypted },
+      requiresEncryption,
+      userId
+    );
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+    const contentType = fields.encryption ? 'application/octet-stream' : mimetype;
 
-    // Get total count
-    const total = await Clipboard.countDocuments(query);
+    const blobStore = getBlobStore();
+    const key = `${productId}/${uuidv4()}`;
+    await blobStore.put(key, buffer, { contentType });
 
-    res.json({
-      entries,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+    const clipboardEntry = new Clipboard({
+      ...fields,
+      ...resolveViewLimit(req.body),
+      type,
+      productId,
+      createdBy: userId,
+      tags: parsedTags,
+      isPublic: isPublic === true || isPublic === 'true',
+      attachment: {
+        storage: blobStore.driver,
+        key
+      },
+      metadata: {
+        fileName: fields.encryption ? undefined : originalname,
+        fileSize: size,
+        mimeType: contentType,
+        checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+        size,
+        ...source.metadata
       }
     });
-  } catch (error) {
-    console.error('Get clipboard entries error:', error);
-    res.status(500).json({ error: 'Failed to get clipboard entries' });
-  }
-});
 
-// @route   GET /api/clipboard/:id
-// @desc    Get a specific clipboard entry
-// @access  Private
-router.get('/:id', validateProductAccess, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { productId } = req.query;
+    try {
+      await clipboardEntry.save();
+    } catch (error) {
+      // Don't leave orphaned blobs behind
+      await blobStore.remove(key);
+      throw error;
+    }
+    await recordChange(productId, { type: 'created', entry: clipboardEntry, actor: userId }, req.app.get('io'));
+    notifySavedSearchMatches(productId, [clipboardEntry]);
 
-    const entry = await Clipboard.findOne({
-      _id: id,
+    // Emit real-time update via Socket.IO
+    emitEntryEvent(req.app.get('io'), clipboardEntry, 'clipboard-updated', {
+      action: 'created',
+      entry: clipboardEntry,
       productId
-    }).populate('createdBy', 'username firstName lastName')
-      .populate('lastModifiedBy', 'username firstName lastName');
-
-    if (!entry) {
-      return res.status(404).json({ error: 'Clipboard entry not found' });
-    }
+    });
 
-    res.json({ entry });
+    res.status(201).json({
+      message: 'Clipboard entry created successfully',
+      entry: clipboardEntry
+    });
   } catch (error) {
-    console.error('Get clipboard entry error:', error);
-    res.status(500).json({ error: 'Failed to get clipboard entry' });
+    logError('Upload clipboard entry error:', error);
+    res.status(500).json({ error: 'Failed to upload clipboard entry' });
   }
 });
 
-// @route   PUT /api/clipboard/:id
-// @desc    Update a clipboard entry
+// @route   GET /api/clipboard/:clipboardId/attachment
+// @desc    Download the binary attachment of an image or file entry
 // @access  Private
-router.put('/:id', validateClipboardEntry, validateProductAccess, async (req, res) => {
+router.get('/:clipboardId/attachment', validateClipboardAccess, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { id } = req.params;
-    const { content, type, tags, isPublic, metadata } = req.body;
-    const { productId } = req.query;
-    const userId = req.user._id;
+    const entry = req.clipboardEntry;
 
-    const entry = await Clipboard.findOne({
-      _id: id,
-      productId
-    });
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
 
-    if (!entry) {
-      return res.status(404).json({ error: 'Clipboard entry not found' });
+    if (!entry.attachment || !entry.attachment.key) {
+      return res.status(404).json({ error: 'Clipboard entry has no attachment' });
     }
 
-    // Check if user has write access
-    if (!req.user.hasProductAccess(productId, 'write')) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    // Downloads of view-limited attachments count as reads; the last one is wiped once it is sent
+    if (isRestrictedFor(entry, req.user)) {
+      const view = await recordView(entry, req.user);
+      if (!view) {
+        return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+      }
+      if (view.lastView) {
+        res.on('close', () => {
+          destroyEntry(entry, req.app.get('io')).catch(error => logError('Destroy entry error:', error));
+        });
+      }
     }
 
-    // Update entry
-    entry.content = content;
-    entry.type = type;
-    entry.tags = tags || entry.tags;
-    entry.isPublic = isPublic !== undefined ? isPublic : entry.isPublic;
-    entry.metadata = metadata || entry.metadata;
-    entry.lastModifiedBy = userId;
-    entry.lastModifiedAt = new Date();
+    await recordRecipientActivity(entry, req.user, 'viewed');
 
-    await entry.save();
+    const stream = await getBlobStore(entry.attachment.storage).createReadStream(entry.attachment.key);
+    const fileName = entry.metadata.fileName || 'attachment';
 
-    // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-updated', {
-      action: 'updated',
-      entry,
-      productId
+    res.set({
+      'Content-Type': entry.metadata.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'Cache-Control': 'private, no-store'
     });
+    if (entry.metadata.fileSize) {
+      res.set('Content-Length', String(entry.metadata.fileSize));
+    }
 
-    res.json({
-      message: 'Clipboard entry updated successfully',
-      entry
+    stream.on('error', error => {
+      logError('Attachment stream error:', error);
+      res.destroy(error);
     });
+    stream.pipe(res);
   } catch (error) {
-    console.error('Update clipboard entry error:', error);
-    res.status(500).json({ error: 'Failed to update clipboard entry' });
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    logError('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
   }
 });
 
-// @route   DELETE /api/clipboard/:id
-// @desc    Delete a clipboard entry
+// @route   GET /api/clipboard/:clipboardId/thumbnail
+// @desc    Download the preview image of a link entry
 // @access  Private
-router.delete('/:id', validateProductAccess, async (req, res) => {
+router.get('/:clipboardId/thumbnail', validateClipboardAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { productId } = req.query;
-    const userId = req.user._id;
-
-    const entry = await Clipboard.findOne({
-      _id: id,
-      productId
-    });
-
-    if (!entry) {
-      return res.status(404).json({ error: 'Clipboard entry not found' });
-    }
+    const entry = req.clipboardEntry;
+    const { thumbnail, thumbnailStorage, thumbnailMimeType } = entry.metadata;
 
-    // Check if user has write access or is the creator
-    if (!req.user.hasProductAccess(productId, 'write') && entry.createdBy.toString() !== userId.toString()) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (entry.destroyedAt || !thumbnail) {
+      return res.status(404).json({ error: 'Clipboard entry has no thumbnail' });
     }
 
-    await Clipboard.findByIdAndDelete(id);
+    const stream = await getBlobStore(thumbnailStorage).createReadStream(thumbnail);
 
-    // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-updated', {
-      action: 'deleted',
-      entryId: id,
-      productId
+    res.set({
+      'Content-Type': thumbnailMimeType || 'application/octet-stream',
+      'Content-Disposition': 'inline',
+      'Cache-Control': 'private, max-age=86400'
     });
 
-    res.json({ message: 'Clipboard entry deleted successfully' });
+    stream.on('error', error => {
+      logError('Thumbnail stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
   } catch (error) {
-    console.error('Delete clipboard entry error:', error);
-    res.status(500).json({ error: 'Failed to delete clipboard entry' });
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    logError('Download thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to download thumbnail' });
   }
 });
 
-// @route   POST /api/clipboard/:id/favorite
-// @desc    Toggle favorite status of a clipboard entry
+// @route   GET /api/clipboard
+// @desc    Get clipboard entries for a product
 // @access  Private
-router.post('/:id/favorite', validateProductAccess, async (req, res) => {
+router.get('/', validateProductAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { productId } = req.query;
-    const userId = req.user._id;
-
-    const entry = await Clipboard.findOne({
-      _id: id,
-      productId
-    });
+    const { productId, type, tags, search, collectionId } = req.query;
 
-    if (!entry) {
-      return res.status(404).json({ error: 'Clipboard entry not found' });
+    const cursorError = getCursorError(req.query);
+    if (cursorError) {
+      return res.status(400).json({ error: cursorError });
     }
 
-    // Toggle favorite
-    const isFavorited = entry.favoritedBy.includes(userId);
+    // Build query from the entries this user may see
+    const query = await buildVisibilityFilter(req.user, productId);
     
-    if (isFavorited) {
-      entry.favoritedBy = entry.favoritedBy.filter(id => id.toString() !== userId.toString());
-    } else {
-      entry.favoritedBy.push(userId);
+    // Filter by type if specified
+    if (type) {
+      query.type = type;
+    }
+    
+    // Filter by tags if specified
+    if (tags && tags.length > 0) {
+      query.tags = { $in: tags };
+    }
+    
+    // Search in content if specified; ciphertext can't be searched
+    if (search) {
+      if (!canSearchText()) {
+        return res.status(400).json({ error: TEXT_SEARCH_UNAVAILABLE });
+      }
+      query.$text = { $search: search };
+      query['encryption.isEncrypted'] = { $ne: true };
     }
 
-    await entry.save();
+    // Limit to a collection the user owns or was shared
+    if (collectionId) {
+      const collection = await Collection.findOne({ _id: collectionId, productId });
+      if (!collection || !collection.userHasAccess(req.user._id, 'read')) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      query._id = { $in: collection.entries.map(member => member.entryId) };
+    }
+
+    // Get entries
+    const { items: entries, pagination } = await findPage(Clipboard, query, getPageOptions(req.query));
 
     res.json({
-      message: `Entry ${isFavorited ? 'unfavorited' : 'favorited'} successfully`,
-      isFavorited: !isFavorited
+      entries,
+      pagination
     });
   } catch (error) {
-    console.error('Toggle favorite error:', error);
-    res.status(500).json({ error: 'Failed to toggle favorite' });
+    console.error('Get clipboard entries error:', error);
+    res.status(500).json({ error: 'Failed to get clipboard entries' });
   }
 });
 
@@ -283,9 +567,10 @@ router.post('/:id/favorite', validateProductAccess, async (req, res) => {
 router.get('/stats', validateProductAccess, async (req, res) => {
   try {
     const { productId } = req.query;
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
 
     const stats = await Clipboard.aggregate([
-      { $match: { productId } },
+      { $match: visibleEntries },
       {
         $group: {
           _id: null,
@@ -294,15 +579,16 @@ router.get('/stats', validateProductAccess, async (req, res) => {
           imageEntries: { $sum: { $cond: [{ $eq: ['$type', 'image'] }, 1, 0] } },
           fileEntries: { $sum: { $cond: [{ $eq: ['$type', 'file'] }, 1, 0] } },
           linkEntries: { $sum: { $cond: [{ $eq: ['$type', 'link'] }, 1, 0] } },
+          templateEntries: { $sum: { $cond: [{ $eq: ['$type', 'template'] }, 1, 0] } },
           totalFavorites: { $sum: { $size: '$favoritedBy' } }
         }
       }
     ]);
 
-    const recentActivity = await Clipboard.find({ productId })
+    const recentActivity = await Clipboard.find(visibleEntries)
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('content type createdAt createdBy')
+      .select('content type createdAt createdBy maxViews encryption')
       .populate('createdBy', 'username');
 
     res.json({
@@ -312,6 +598,7 @@ router.get('/stats', validateProductAccess, async (req, res) => {
         imageEntries: 0,
         fileEntries: 0,
         linkEntries: 0,
+        templateEntries: 0,
         totalFavorites: 0
       },
       recentActivity
@@ -323,55 +610,29 @@ router.get('/stats', validateProductAccess, async (req, res) => {
 });
 
 // @route   GET /api/clipboard/search
-// @desc    Search clipboard entries
+// @desc    Search clipboard entries, ranked by relevance, with highlights and facet counts
 // @access  Private
 router.get('/search', validateProductAccess, async (req, res) => {
   try {
-    const { productId, q, type, tags, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
-    const userId = req.user._id;
+    const { productId, q, type, tags, dateFrom, dateTo } = req.query;
 
-    // Build search query
-    const query = { productId };
-    
-    // Text search
-    if (q) {
-      query.$text = { $search: q };
-    }
-    
-    // Type filter
-    if (type) {
-      query.type = type;
-    }
-    
-    // Tags filter
-    if (tags && tags.length > 0) {
-      query.tags = { $in: tags };
-    }
-    
-    // Date range filter
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    const searchError = getSearchError(req.query);
+    if (searchError) {
+      return res.status(400).json(searchError);
     }
 
-    // Pagination
-    const skip = (page - 1) * limit;
-
-    // Execute search
-    const entries = await Clipboard.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('createdBy', 'username firstName lastName')
-      .populate('lastModifiedBy', 'username firstName lastName');
-
-    // Get total count
-    const total = await Clipboard.countDocuments(query);
+    // Search the entries this user may see
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
+    const { entries, pagination, facets } = await searchEntries(
+      visibleEntries,
+      req.user._id,
+      { q, type, tags, dateFrom, dateTo, sort: req.query.sort },
+      getPageOptions(req.query)
+    );
 
     // Get search suggestions
     const suggestions = await Clipboard.aggregate([
-      { $match: { productId } },
+      { $match: visibleEntries },
       { $unwind: '$tags' },
       { $group: { _id: '$tags', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
@@ -380,14 +641,10 @@ router.get('/search', validateProductAccess, async (req, res) => {
 
     res.json({
       entries,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      pagination,
+      facets,
       suggestions: suggestions.map(s => s._id),
-      searchQuery: { q, type, tags, dateFrom, dateTo }
+      searchQuery: { q, type, tags, dateFrom, dateTo, sort: getSearchSort(req.query) }
     });
   } catch (error) {
     console.error('Search clipboard error:', error);
@@ -400,34 +657,38 @@ router.get('/search', validateProductAccess, async (req, res) => {
 // @access  Private
 router.get('/history', validateProductAccess, async (req, res) => {
   try {
-    const { productId, page = 1, limit = 50, type } = req.query;
-    const userId = req.user._id;
+    const { productId, type } = req.query;
+
+    const cursorError = getCursorError(req.query);
+    if (cursorError) {
+      return res.status(400).json({ error: cursorError });
+    }
 
-    // Build query
-    const query = { productId };
+    // Build query from the entries this user may see
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
+    const query = { ...visibleEntries };
     
     // Filter by type if specified
     if (type) {
       query.type = type;
     }
 
-    // Pagination
-    const skip = (page - 1) * limit;
-
     // Get user's clipboard history
-    const history = await Clipboard.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('createdBy', 'username firstName lastName')
-      .populate('lastModifiedBy', 'username firstName lastName');
-
-    // Get total count
-    const total = await Clipboard.countDocuments(query);
+    const { items: history, pagination } = await findPage(Clipboard, query, getPageOptions(req.query));
+
+    // Pinned entries go above the first page, most recently pinned first, next to the user's saved searches
+    let pinned = [];
+    let savedSearches = [];
+    if (!req.query.before && !req.query.after) {
+      const pinnedEntries = await populateAuthors(Clipboard.find({ ...query, 'pinnedBy.userId': req.user._id }));
+      const pinnedAt = entry => entry.pinnedBy.find(pin => pin.userId.toString() === req.user._id.toString()).pinnedAt;
+      pinned = pinnedEntries.sort((a, b) => pinnedAt(b) - pinnedAt(a));
+      savedSearches = await listWithMatchCounts(req.user, productId, visibleEntries);
+    }
 
     // Get history statistics
     const stats = await Clipboard.aggregate([
-      { $match: { productId } },
+      { $match: visibleEntries },
       {
         $group: {
           _id: null,
@@ -441,12 +702,9 @@ router.get('/history', validateProductAccess, async (req, res) => {
 
     res.json({
       history,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      pinned,
+      savedSearches,
+      pagination,
       stats: stats[0] || {
         totalEntries: 0,
         uniqueTypes: [],
@@ -460,15 +718,698 @@ router.get('/history', validateProductAccess, async (req, res) => {
   }
 });
 
-// @route   POST /api/clipboard/bulk
-// @desc    Create multiple clipboard entries
+// @route   GET /api/clipboard/changes
+// @desc    Get the product's entry changes after a sequence number, for clients catching up after being offline
 // @access  Private
-router.post('/bulk', validateProductAccess, async (req, res) => {
+router.get('/changes', validateProductAccess, async (req, res) => {
   try {
-    const { entries, productId } = req.body;
-    const userId = req.user._id;
+    const { productId, since = '0', limit } = req.query;
 
-    if (!Array.isArray(entries) || entries.length === 0) {
+    if (!/^\d+$/.test(since)) {
+      return res.status(400).json({ error: 'since must be a sequence number' });
+    }
+
+    const page = await getChanges(req.user, productId, parseInt(since), parseChangeLimit(limit));
+
+    res.json(page);
+  } catch (error) {
+    logError('Get clipboard changes error:', error);
+    res.status(500).json({ error: 'Failed to get clipboard changes' });
+  }
+});
+
+// @route   GET /api/clipboard/:id
+// @desc    Get a specific clipboard entry
+// @access  Private
+router.get('/:id', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    }).populate('createdBy', 'username firstName lastName')
+      .populate('lastModifiedBy', 'username firstName lastName');
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!(await canViewEntry(req.user, entry))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    // For image and file entries the attachment download is the counted read
+    if (entry.maxViews && entry.attachment && entry.attachment.key && !isCreator(entry, req.user)) {
+      return res.json({ entry });
+    }
+
+    const view = await recordView(entry, req.user);
+    if (!view) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    if (view.lastView) {
+      await destroyEntry(entry, req.app.get('io'));
+    }
+
+    await recordRecipientActivity(entry, req.user, 'viewed');
+
+    res.json({ entry, lastView: view.lastView });
+  } catch (error) {
+    console.error('Get clipboard entry error:', error);
+    res.status(500).json({ error: 'Failed to get clipboard entry' });
+  }
+});
+
+// @route   PUT /api/clipboard/:id
+// @desc    Update a clipboard entry
+// @access  Private
+router.put('/:id', validateClipboardEntry, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { type, tags, isPublic, metadata } = req.body;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    const expectedRevision = getExpectedRevision(req.get('If-Match'), req.body.revision);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'If-Match must be an entry revision' });
+    }
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Check if user has write access
+    if (!req.user.hasProductAccess(productId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    if (expectedRevision !== null && expectedRevision !== entry.revision) {
+      return rejectStaleWrite(req, res, entry, expectedRevision);
+    }
+
+    // Encrypted entries stay encrypted, whatever the product setting
+    const requiresEncryption = entry.encryption.isEncrypted || await Product.requiresClientEncryption(productId);
+    const { fields, error, details } = resolveContentFields(req.body, requiresEncryption, userId);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    // Update entry
+    if (fields.encryption) {
+      const { algorithm, nonce, keyId, wrappedKeys } = fields.encryption;
+
+      // Keys wrapped for another content key can no longer open the content
+      if (entry.encryption.keyId !== keyId) {
+        entry.encryption.wrappedKeys = [];
+      }
+      entry.encryption.isEncrypted = true;
+      entry.encryption.algorithm = algorithm;
+      entry.encryption.nonce = nonce;
+      entry.encryption.keyId = keyId;
+      wrappedKeys.forEach(({ wrappedKey }) => entry.setWrappedKey(userId, wrappedKey));
+    }
+    entry.content = fields.content;
+    entry.type = type;
+    entry.tags = tags || entry.tags;
+    entry.isPublic = isPublic !== undefined ? isPublic : entry.isPublic;
+    entry.metadata = metadata || entry.metadata;
+    entry.lastModifiedBy = userId;
+    entry.lastModifiedAt = new Date();
+    refreshSensitivity(entry, await getSensitiveContentPolicy(productId));
+
+    // Another update may have landed since the entry was read
+    if (!(await saveIfUnchanged(entry, expectedRevision))) {
+      return rejectStaleWrite(req, res, await Clipboard.findById(id), expectedRevision);
+    }
+    await recordChange(productId, { type: 'updated', entry, actor: userId }, req.app.get('io'));
+    // Not awaited; a changed link gets a new preview in the background
+    unfurlInBackground([entry], req.app.get('io'));
+
+    // Emit real-time update
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-updated', {
+      action: 'updated',
+      entry,
+      productId
+    });
+
+    res.json({
+      message: 'Clipboard entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Update clipboard entry error:', error);
+    res.status(500).json({ error: 'Failed to update clipboard entry' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/merge
+// @desc    Three-way merge of content edited from an older revision with the entry's current content
+// @access  Private
+router.post('/:id/merge', [
+  body('productId').notEmpty(),
+  body('baseRevision').isInt({ min: 1 }),
+  body('content').isString()
+], validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, content } = req.body;
+    const baseRevision = parseInt(req.body.baseRevision);
+    const userId = req.user._id;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // The merge result and conflicts carry the entry's content, so the user must be able to see it
+    const canMerge = req.user.hasProductAccess(productId, 'write') && (await canViewEntry(req.user, entry));
+    if (!canMerge || isRestrictedFor(entry, req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    const merge = await mergeEntryContent(entry, baseRevision, content);
+    if (merge.error) {
+      return res.status(merge.status).json({ error: merge.error });
+    }
+
+    // Conflicting edits are left for the user to resolve, marked up in content
+    if (!merge.clean) {
+      notifyConflict(req.app.get('io'), describeConflict(entry, baseRevision, userId));
+
+      return res.status(409).json({
+        error: 'Changes conflict with the current content',
+        revision: entry.revision,
+        content: merge.content,
+        conflicts: merge.conflicts,
+        entry
+      });
+    }
+
+    const currentRevision = entry.revision;
+    entry.content = merge.content;
+    entry.lastModifiedBy = userId;
+    entry.lastModifiedAt = new Date();
+    refreshSensitivity(entry, await getSensitiveContentPolicy(productId));
+
+    if (!(await saveIfUnchanged(entry, currentRevision))) {
+      return rejectStaleWrite(req, res, await Clipboard.findById(id), currentRevision);
+    }
+    await recordChange(productId, { type: 'updated', entry, actor: userId }, req.app.get('io'));
+    // Not awaited; a changed link gets a new preview in the background
+    unfurlInBackground([entry], req.app.get('io'));
+
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-updated', {
+      action: 'updated',
+      entry,
+      productId
+    });
+
+    res.json({
+      message: 'Changes merged successfully',
+      entry
+    });
+  } catch (error) {
+    logError('Merge clipboard entry error:', error);
+    res.status(500).json({ error: 'Failed to merge clipboard entry' });
+  }
+});
+
+// @route   DELETE /api/clipboard/:id
+// @desc    Delete a clipboard entry
+// @access  Private
+router.delete('/:id', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Check if user has write access or is the creator
+    if (!req.user.hasProductAccess(productId, 'write') && entry.createdBy.toString() !== userId.toString()) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await deleteEntry(entry, userId, req.app.get('io'));
+
+    res.json({ message: 'Clipboard entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete clipboard entry error:', error);
+    res.status(500).json({ error: 'Failed to delete clipboard entry' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/favorite
+// @desc    Toggle favorite status of a clipboard entry
+// @access  Private
+router.post('/:id/favorite', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Toggle favorite
+    const isFavorited = entry.favoritedBy.includes(userId);
+    
+    if (isFavorited) {
+      entry.favoritedBy = entry.favoritedBy.filter(id => id.toString() !== userId.toString());
+    } else {
+      entry.favoritedBy.push(userId);
+    }
+
+    await entry.save();
+
+    const change = {
+      type: 'favorited',
+      entry,
+      actor: userId,
+      recipients: [userId],
+      details: { isFavorited: !isFavorited }
+    };
+    await recordChange(productId, change, req.app.get('io'));
+
+    res.json({
+      message: `Entry ${isFavorited ? 'unfavorited' : 'favorited'} successfully`,
+      isFavorited: !isFavorited
+    });
+  } catch (error) {
+    console.error('Toggle favorite error:', error);
+    res.status(500).json({ error: 'Failed to toggle favorite' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/pin
+// @desc    Toggle whether an entry is pinned to the top of the user's history
+// @access  Private
+router.post('/:id/pin', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry || !(await canViewEntry(req.user, entry))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    const isPinned = await entry.togglePin(req.user._id);
+
+    res.json({
+      message: `Entry ${isPinned ? 'pinned' : 'unpinned'} successfully`,
+      isPinned
+    });
+  } catch (error) {
+    logError('Toggle pin error:', error);
+    res.status(500).json({ error: 'Failed to toggle pin' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/unfurl
+// @desc    Fetch a link entry's page again and refresh its preview
+// @access  Private
+router.post('/:id/unfurl', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry || !(await canViewEntry(req.user, entry))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Check if user has write access
+    if (!req.user.hasProductAccess(productId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await unfurlEntry(entry._id, { io: req.app.get('io') });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Link preview refreshed successfully',
+      entry: result.entry
+    });
+  } catch (error) {
+    logError('Unfurl link error:', error);
+    res.status(500).json({ error: 'Failed to refresh link preview' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/copy
+// @desc    Record that the user copied an entry's content to their local clipboard
+// @access  Private
+router.post('/:id/copy', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry || !(await canViewEntry(req.user, entry))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    await Clipboard.updateOne({ _id: entry._id }, { $inc: { copyCount: 1 }, $set: { lastCopiedAt: new Date() } });
+    await recordRecipientActivity(entry, req.user, 'copied');
+
+    res.json({ message: 'Copy recorded successfully', copyCount: entry.copyCount + 1 });
+  } catch (error) {
+    logError('Record copy error:', error);
+    res.status(500).json({ error: 'Failed to record copy' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/render
+// @desc    Expand a template entry's placeholders, optionally saving the result as a text entry
+// @access  Private
+router.post('/:id/render', [
+  body('values').optional().isObject(),
+  body('save').optional().isBoolean(),
+  body('tags').optional().isArray()
+], validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, values = {}, save = false, tags } = req.body;
+    const userId = req.user._id;
+
+    const template = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!template || !(await canViewEntry(req.user, template))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // View-limited templates can only be read through GET /:id
+    if (isRestrictedFor(template, req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (template.type !== 'template') {
+      return res.status(400).json({ error: 'Only template entries can be rendered' });
+    }
+
+    // Ciphertext can't be expanded; clients render end-to-end encrypted templates themselves
+    if (template.encryption.isEncrypted) {
+      return res.status(400).json({ error: 'Encrypted templates must be rendered on the client' });
+    }
+
+    const { text, missing } = renderTemplate(template.content, values, buildTemplateContext(req.user));
+
+    if (missing.length > 0) {
+      return res.status(400).json({ error: 'Missing values for placeholders', missing });
+    }
+
+    let entry = null;
+    if (save === true || save === 'true') {
+      if (await Product.requiresClientEncryption(productId)) {
+        return res.status(400).json({ error: 'This product only accepts client-encrypted content' });
+      }
+
+      entry = new Clipboard({
+        content: text,
+        type: 'text',
+        productId,
+        createdBy: userId,
+        tags: tags || template.tags,
+        metadata: { templateId: template._id }
+      });
+
+      await entry.save();
+      await recordChange(productId, { type: 'created', entry, actor: userId }, req.app.get('io'));
+      notifySavedSearchMatches(productId, [entry]);
+
+      emitEntryEvent(req.app.get('io'), entry, 'clipboard-updated', {
+        action: 'created',
+        entry,
+        productId
+      });
+    }
+
+    res.json({
+      text,
+      placeholders: parsePlaceholders(template.content),
+      entry
+    });
+  } catch (error) {
+    logError('Render template error:', error);
+    res.status(500).json({ error: 'Failed to render template' });
+  }
+});
+
+// @route   GET /api/clipboard/:id/revisions
+// @desc    List the revision history of a clipboard entry
+// @access  Private
+router.get('/:id/revisions', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!(await canViewEntry(req.user, entry)) || isRestrictedFor(entry, req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const revisions = await ClipboardRevision.findByEntry(entry._id)
+      .populate('changedBy', 'username firstName lastName');
+
+    res.json({
+      entryId: entry._id,
+      currentRevision: entry.revision,
+      revisions
+    });
+  } catch (error) {
+    logError('Get clipboard revisions error:', error);
+    res.status(500).json({ error: 'Failed to get clipboard revisions' });
+  }
+});
+
+// @route   GET /api/clipboard/:id/revisions/diff
+// @desc    Diff two revisions of a clipboard entry
+// @access  Private
+router.get('/:id/revisions/diff', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!(await canViewEntry(req.user, entry)) || isRestrictedFor(entry, req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    // Default to comparing the previous revision with the current one
+    const to = parseInt(req.query.to) || entry.revision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const revisions = await ClipboardRevision.find({
+      entryId: entry._id,
+      revision: { $in: [from, to] }
+    });
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Ciphertext can't be diffed; clients decrypt both revisions and diff locally
+    const content = entry.encryption.isEncrypted ? null : diffLines(fromRevision.content, toRevision.content);
+
+    res.json({
+      entryId: entry._id,
+      from,
+      to,
+      isEncrypted: entry.encryption.isEncrypted,
+      content,
+      tags: {
+        added: toRevision.tags.filter(tag => !fromRevision.tags.includes(tag)),
+        removed: fromRevision.tags.filter(tag => !toRevision.tags.includes(tag))
+      },
+      visibility: {
+        from: { isPublic: fromRevision.isPublic, accessLevel: fromRevision.accessLevel },
+        to: { isPublic: toRevision.isPublic, accessLevel: toRevision.accessLevel }
+      }
+    });
+  } catch (error) {
+    logError('Diff clipboard revisions error:', error);
+    res.status(500).json({ error: 'Failed to diff clipboard revisions' });
+  }
+});
+
+// @route   POST /api/clipboard/:id/revisions/:revision/restore
+// @desc    Restore a clipboard entry to an older revision
+// @access  Private
+router.post('/:id/revisions/:revision/restore', validateProductAccess, async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    // The revision of the entry the client last saw, not the one to restore
+    const expectedRevision = getExpectedRevision(req.get('If-Match'), req.body.revision);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'If-Match must be an entry revision' });
+    }
+
+    const entry = await Clipboard.findOne({
+      _id: id,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Check if user has write access and, as for reading its revisions, may see the entry
+    const canRestore = req.user.hasProductAccess(productId, 'write') && (await canViewEntry(req.user, entry));
+    if (!canRestore || isRestrictedFor(entry, req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    const targetRevision = await ClipboardRevision.findOne({
+      entryId: entry._id,
+      revision: parseInt(revision)
+    });
+
+    if (!targetRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    if (expectedRevision !== null && expectedRevision !== entry.revision) {
+      return rejectStaleWrite(req, res, entry, expectedRevision);
+    }
+
+    entry.restoreRevision(targetRevision, userId);
+    refreshSensitivity(entry, await getSensitiveContentPolicy(productId));
+
+    // Another update may have landed since the entry was read
+    if (!(await saveIfUnchanged(entry, expectedRevision))) {
+      return rejectStaleWrite(req, res, await Clipboard.findById(id), expectedRevision);
+    }
+    await recordChange(productId, { type: 'updated', entry, actor: userId }, req.app.get('io'));
+    // Not awaited; a changed link gets a new preview in the background
+    unfurlInBackground([entry], req.app.get('io'));
+
+    // Emit real-time update
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-updated', {
+      action: 'updated',
+      entry,
+      productId
+    });
+
+    res.json({
+      message: `Clipboard entry restored to revision ${targetRevision.revision}`,
+      entry
+    });
+  } catch (error) {
+    logError('Restore clipboard revision error:', error);
+    res.status(500).json({ error: 'Failed to restore clipboard revision' });
+  }
+});
+
+// @route   POST /api/clipboard/bulk
+// @desc    Create multiple clipboard entries
+// @access  Private
+router.post('/bulk', validateProductAccess, async (req, res) => {
+  try {
+    const { entries, productId, deviceId } = req.body;
+    const userId = req.user._id;
+    const requiresEncryption = await Product.requiresClientEncryption(productId);
+
+    if (!Array.isArray(entries) || entries.length === 0) {
       return res.status(400).json({ error: 'Entries array is required' });
     }
 
@@ -476,18 +1417,29 @@ router.post('/bulk', validateProductAccess, async (req, res) => {
       return res.status(400).json({ error: 'Cannot create more than 100 entries at once' });
     }
 
+    // One device for the whole batch
+    const source = await resolveSourceDevice(deviceId, userId);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
+    }
+
     // Validate each entry
     const validEntries = [];
-    for (const entry of entries) {
-      if (entry.content && entry.type) {
+    for (const [index, entry] of entries.entries()) {
+      const { fields, error } = resolveContentFields(entry, requiresEncryption, userId);
+      if (!error && fields.content && entry.type) {
         validEntries.push({
-          content: entry.content,
-          type: entry.type,
-          productId,
-          createdBy: userId,
-          tags: entry.tags || [],
-          isPublic: entry.isPublic || false,
-          metadata: entry.metadata || {}
+          index,
+          data: {
+            ...fields,
+            ...resolveViewLimit(entry),
+            type: entry.type,
+            productId,
+            createdBy: userId,
+            tags: entry.tags || [],
+            isPublic: entry.isPublic || false,
+            metadata: { ...entry.metadata, ...source.metadata }
+          }
         });
       }
     }
@@ -496,19 +1448,87 @@ router.post('/bulk', validateProductAccess, async (req, res) => {
       return res.status(400).json({ error: 'No valid entries found' });
     }
 
+    // Merge repeat copies, both against stored entries and within this batch
+    const dedupeWindow = await getDedupeWindow(productId);
+    const results = [];
+    const mergedEntries = [];
+    const toInsert = [];
+    const batchHashes = new Map();
+
+    for (const { index, data } of validEntries) {
+      if (dedupeWindow <= 0 || data.encryption || isViewLimited(data)) {
+        toInsert.push({ index, data });
+        continue;
+      }
+
+      const contentHash = Clipboard.computeContentHash(data.content, data.type);
+      if (batchHashes.has(contentHash)) {
+        batchHashes.get(contentHash).duplicates.push(index);
+        continue;
+      }
+
+      const existingEntry = await Clipboard.mergeDuplicate(productId, userId, contentHash, dedupeWindow, data.tags);
+      if (existingEntry) {
+        mergedEntries.push(existingEntry);
+        results.push({ index, entryId: existingEntry._id, merged: true });
+        continue;
+      }
+
+      const pending = { index, data, duplicates: [] };
+      batchHashes.set(contentHash, pending);
+      toInsert.push(pending);
+    }
+
     // Create entries
-    const createdEntries = await Clipboard.insertMany(validEntries);
+    const sensitivePolicy = toInsert.length > 0 ? await getSensitiveContentPolicy(productId) : null;
+    const createdEntries = toInsert.length > 0
+      ? await Clipboard.insertMany(toInsert.map(({ data }) => applySensitivity(data, sensitivePolicy)))
+      : [];
+
+    for (const [position, created] of createdEntries.entries()) {
+      const { index, duplicates = [] } = toInsert[position];
+      results.push({ index, entryId: created._id, merged: false });
+
+      // Later copies in the same batch count as repeat copies of the one just created
+      if (duplicates.length > 0) {
+        await Clipboard.updateOne({ _id: created._id }, { $inc: { copyCount: duplicates.length } });
+        created.copyCount += duplicates.length;
+        duplicates.forEach(duplicateIndex => {
+          results.push({ index: duplicateIndex, entryId: created._id, merged: true });
+        });
+      }
+    }
 
-    // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-bulk-created', {
+    results.sort((a, b) => a.index - b.index);
+
+    const changes = [
+      ...createdEntries.map(entry => ({ type: 'created', entry, actor: userId })),
+      ...mergedEntries.map(entry => ({ type: 'updated', entry, actor: userId, details: { action: 'merged' } }))
+    ];
+    await recordChanges(productId, changes, req.app.get('io'));
+    notifySavedSearchMatches(productId, createdEntries);
+    unfurlInBackground(createdEntries, req.app.get('io'));
+
+    // Emit real-time update. The entries are all the caller's, so others in the product only get their ids
+    const creatorRoom = userRoom(userId);
+    req.app.get('io').to(creatorRoom).emit('clipboard-bulk-created', {
       action: 'bulk_created',
       entries: createdEntries,
+      mergedEntries,
+      productId
+    });
+    req.app.get('io').to(productId).except(creatorRoom).emit('clipboard-bulk-created', {
+      action: 'bulk_created',
+      entryIds: createdEntries.map(entry => entry._id),
+      mergedEntryIds: mergedEntries.map(entry => entry._id),
       productId
     });
 
     res.status(201).json({
       message: `${createdEntries.length} clipboard entries created successfully`,
-      entries: createdEntries
+      entries: createdEntries,
+      mergedEntries,
+      results
     });
   } catch (error) {
     console.error('Bulk create clipboard error:', error);
@@ -516,4 +1536,114 @@ router.post('/bulk', validateProductAccess, async (req, res) => {
   }
 });
 
+// @route   POST /api/clipboard/bulk-actions
+// @desc    Tag, untag or delete every entry matching a search query
+// @access  Private
+router.post('/bulk-actions', [
+  body('productId').notEmpty(),
+  body('query').isString().trim().isLength({ min: 1, max: 500 }),
+  body('action').isIn(BULK_ACTIONS),
+  body('tags').if(body('action').isIn(['tag', 'untag'])).isArray({ min: 1, max: 20 }),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('dryRun').optional().isBoolean()
+], validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, query, action, dryRun } = req.body;
+    const tags = (req.body.tags || []).map(tag => tag.toLowerCase());
+    const userId = req.user._id;
+    const io = req.app.get('io');
+
+    const searchError = getSearchError({ q: query, sort: 'newest' });
+    if (searchError) {
+      return res.status(400).json(searchError);
+    }
+
+    // Only entries this user may see can match
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
+    const filter = await buildSearchFilter(visibleEntries, { q: query });
+    const matches = await Clipboard.find(filter).sort({ createdAt: -1 }).limit(MAX_BULK_ACTION_ENTRIES + 1);
+
+    if (matches.length > MAX_BULK_ACTION_ENTRIES) {
+      return res.status(400).json({
+        error: `Query matches more than ${MAX_BULK_ACTION_ENTRIES} entries; narrow it down`
+      });
+    }
+
+    // The same permissions as changing or deleting the entries one at a time
+    const canWrite = req.user.hasProductAccess(productId, 'write');
+    const targets = [];
+    const skipped = [];
+    for (const entry of matches) {
+      if (entry.destroyedAt) {
+        skipped.push({ entryId: entry._id, reason: 'destroyed' });
+      } else if (!canWrite && !(action === 'delete' && isCreator(entry, req.user))) {
+        skipped.push({ entryId: entry._id, reason: 'forbidden' });
+      } else {
+        targets.push(entry);
+      }
+    }
+
+    if (dryRun) {
+      return res.json({
+        action,
+        dryRun: true,
+        entryIds: targets.map(entry => entry._id),
+        skipped
+      });
+    }
+
+    const applied = [];
+    for (const entry of targets) {
+      if (action === 'delete') {
+        await deleteEntry(entry, userId, io);
+        applied.push(entry._id);
+        continue;
+      }
+
+      const nextTags = action === 'tag'
+        ? [...new Set([...entry.tags, ...tags])]
+        : entry.tags.filter(tag => !tags.includes(tag));
+      if (nextTags.length === entry.tags.length && nextTags.every(tag => entry.tags.includes(tag))) {
+        skipped.push({ entryId: entry._id, reason: 'unchanged' });
+        continue;
+      }
+
+      const matchedRevision = entry.revision;
+      entry.tags = nextTags;
+      entry.lastModifiedBy = userId;
+      entry.lastModifiedAt = new Date();
+
+      // An entry updated since it matched is left as it is
+      if (!(await saveIfUnchanged(entry, matchedRevision))) {
+        skipped.push({ entryId: entry._id, reason: 'conflict' });
+        continue;
+      }
+      await recordChange(productId, { type: 'updated', entry, actor: userId }, io);
+
+      // Emit real-time update
+      emitEntryEvent(io, entry, 'clipboard-updated', {
+        action: 'updated',
+        entry,
+        productId
+      });
+      applied.push(entry._id);
+    }
+
+    res.json({
+      message: `${applied.length} clipboard entries ${action === 'delete' ? 'deleted' : 'updated'} successfully`,
+      action,
+      entryIds: applied,
+      skipped
+    });
+  } catch (error) {
+    logError('Bulk action clipboard error:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
 module.exports = router;
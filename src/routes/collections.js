@@ -0,0 +1,485 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Clipboard = require('../models/Clipboard');
+const User = require('../models/User');
+const { validateProductAccess } = require('../middleware/productAccess');
+const { isBase64 } = require('../utils/encryptionEnvelope');
+const { getVisibilityContext, isEntryVisible, canViewEntry } = require('../services/clipboardVisibility');
+const { recordShareEvent, grantShareAccess, recordRevocations } = require('../services/shareAudit');
+const { logError } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCollection = [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 })
+];
+
+const validateCollectionShare = [
+  body('userId').isMongoId(),
+  body('accessLevel').isIn(['read', 'write']),
+  body('wrappedKeys').optional().isArray(),
+  body('wrappedKeys.*.entryId').optional().isMongoId(),
+  body('wrappedKeys.*.wrappedKey').optional().custom(isBase64)
+];
+
+const findCollection = (id, productId) => Collection.findOne({ _id: id, productId });
+
+const entryIdsOf = collection => collection.entries.map(entry => entry.entryId);
+
+const emitCollectionUpdate = (req, collection, action) => {
+  req.app.get('io').to(collection.productId).emit('collection-updated', {
+    action,
+    collectionId: collection._id,
+    productId: collection.productId
+  });
+};
+
+// @route   GET /api/collections
+// @desc    List the collections the user owns or was shared in a product
+// @access  Private
+router.get('/', validateProductAccess, async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    const collections = await Collection.findForUser(productId, req.user._id)
+      .populate('owner', 'username firstName lastName');
+
+    res.json({ collections });
+  } catch (error) {
+    logError('Get collections error:', error);
+    res.status(500).json({ error: 'Failed to get collections' });
+  }
+});
+
+// @route   POST /api/collections
+// @desc    Create a collection
+// @access  Private
+router.post('/', validateCollection, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, name, description } = req.body;
+
+    const collection = new Collection({
+      name,
+      description,
+      productId,
+      owner: req.user._id
+    });
+
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      collection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already have a collection with this name' });
+    }
+    logError('Create collection error:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with its entries in order
+// @access  Private
+router.get('/:id', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    const collection = await findCollection(id, productId)
+      .populate('owner', 'username firstName lastName')
+      .populate('entries.entryId');
+
+    if (!collection || !collection.userHasAccess(userId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // Only list entries the caller may see; deleted entries drop out too
+    const context = await getVisibilityContext(req.user, productId);
+    const entries = collection.entries
+      .filter(member => member.entryId && isEntryVisible(member.entryId, context))
+      .map(member => ({ entry: member.entryId, addedBy: member.addedBy, addedAt: member.addedAt }));
+
+    res.json({
+      collection: {
+        _id: collection._id,
+        name: collection.name,
+        description: collection.description,
+        productId: collection.productId,
+        owner: collection.owner,
+        sharedWith: collection.sharedWith,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+      },
+      entries
+    });
+  } catch (error) {
+    logError('Get collection error:', error);
+    res.status(500).json({ error: 'Failed to get collection' });
+  }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Rename a collection or change its description
+// @access  Private
+router.put('/:id', validateCollection, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, name, description } = req.body;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(req.user._id, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (collection.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the owner can edit this collection' });
+    }
+
+    collection.name = name;
+    collection.description = description !== undefined ? description : collection.description;
+    await collection.save();
+
+    emitCollectionUpdate(req, collection, 'updated');
+
+    res.json({
+      message: 'Collection updated successfully',
+      collection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already have a collection with this name' });
+    }
+    logError('Update collection error:', error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection; its entries are kept
+// @access  Private
+router.delete('/:id', validateProductAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productId } = req.query;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(req.user._id, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (collection.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the owner can delete this collection' });
+    }
+
+    await Clipboard.revokeCollectionAccess(entryIdsOf(collection), collection._id);
+    await Collection.findByIdAndDelete(collection._id);
+    await recordRevocations({
+      recipients: collection.sharedWith.map(share => share.userId),
+      productId,
+      collectionId: collection._id,
+      actor: req.user._id,
+      via: 'collection',
+      reason: 'collection-deleted'
+    });
+
+    emitCollectionUpdate(req, collection, 'deleted');
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    logError('Delete collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+// @route   POST /api/collections/:id/entries
+// @desc    Add a clipboard entry to a collection
+// @access  Private
+router.post('/:id/entries', [
+  body('entryId').isMongoId(),
+  body('position').optional().isInt({ min: 0 })
+], validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, entryId, position } = req.body;
+    const userId = req.user._id;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(userId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (!collection.userHasAccess(userId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const entry = await Clipboard.findOne({ _id: entryId, productId });
+
+    if (!entry || !(await canViewEntry(req.user, entry))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (collection.hasEntry(entry._id)) {
+      return res.status(400).json({ error: 'Entry is already in this collection' });
+    }
+
+    await collection.addEntry(entry._id, userId, position !== undefined ? parseInt(position) : undefined);
+
+    // Sharees of the collection get the entry too, if the caller may share it
+    if (collection.sharedWith.length > 0 && entry.userCanShare(userId)) {
+      await Clipboard.grantCollectionAccess([entry._id], collection._id, collection.sharedWith);
+    }
+
+    emitCollectionUpdate(req, collection, 'entry-added');
+
+    res.status(201).json({
+      message: 'Entry added to collection successfully',
+      collection
+    });
+  } catch (error) {
+    logError('Add collection entry error:', error);
+    res.status(500).json({ error: 'Failed to add entry to collection' });
+  }
+});
+
+// @route   PUT /api/collections/:id/entries/order
+// @desc    Reorder the entries of a collection
+// @access  Private
+router.put('/:id/entries/order', [
+  body('entryIds').isArray(),
+  body('entryIds.*').isMongoId()
+], validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, entryIds } = req.body;
+    const userId = req.user._id;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(userId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (!collection.userHasAccess(userId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    try {
+      await collection.reorderEntries(entryIds);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    emitCollectionUpdate(req, collection, 'reordered');
+
+    res.json({
+      message: 'Collection reordered successfully',
+      collection
+    });
+  } catch (error) {
+    logError('Reorder collection error:', error);
+    res.status(500).json({ error: 'Failed to reorder collection' });
+  }
+});
+
+// @route   DELETE /api/collections/:id/entries/:entryId
+// @desc    Remove a clipboard entry from a collection
+// @access  Private
+router.delete('/:id/entries/:entryId', validateProductAccess, async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const { productId } = req.query;
+    const userId = req.user._id;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(userId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (!collection.userHasAccess(userId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (!collection.hasEntry(entryId)) {
+      return res.status(404).json({ error: 'Entry is not in this collection' });
+    }
+
+    await collection.removeEntry(entryId);
+    await Clipboard.revokeCollectionAccess([entryId], collection._id);
+
+    emitCollectionUpdate(req, collection, 'entry-removed');
+
+    res.json({ message: 'Entry removed from collection successfully' });
+  } catch (error) {
+    logError('Remove collection entry error:', error);
+    res.status(500).json({ error: 'Failed to remove entry from collection' });
+  }
+});
+
+// @route   POST /api/collections/:id/share
+// @desc    Share a collection, and through it each of its entries, with another user
+// @access  Private
+router.post('/:id/share', validateCollectionShare, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { productId, userId, accessLevel, wrappedKeys = [] } = req.body;
+    const currentUserId = req.user._id;
+
+    if (userId === currentUserId.toString()) {
+      return res.status(400).json({ error: 'Cannot share with yourself' });
+    }
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(currentUserId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (collection.owner.toString() !== currentUserId.toString()) {
+      return res.status(403).json({ error: 'Only the owner can share this collection' });
+    }
+
+    // Verify target user exists and is active
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'Target user not found' });
+    }
+
+    if (!targetUser.isActive) {
+      return res.status(400).json({ error: 'Target user account is not active' });
+    }
+
+    await collection.shareWithUser(targetUser._id, accessLevel);
+
+    // Only entries the owner may share are passed on; reading a public entry doesn't let them share it
+    const entries = await Clipboard.find({ _id: { $in: entryIdsOf(collection) } });
+    const shareable = entries.filter(entry => entry.userCanShare(currentUserId));
+    await Clipboard.grantCollectionAccess(
+      shareable.map(entry => entry._id),
+      collection._id,
+      [{ userId: targetUser._id, accessLevel }]
+    );
+
+    // End-to-end encrypted entries are only readable once their content key is wrapped for the recipient
+    for (const { entryId, wrappedKey } of wrappedKeys) {
+      const entry = shareable.find(candidate => candidate._id.toString() === entryId);
+      if (entry && entry.encryption.isEncrypted) {
+        entry.setWrappedKey(targetUser._id, wrappedKey);
+        await entry.save();
+      }
+    }
+
+    const missingKeys = shareable
+      .filter(entry => entry.encryption.isEncrypted && !entry.getWrappedKey(targetUser._id))
+      .map(entry => entry._id);
+
+    await grantShareAccess(targetUser, productId, currentUserId);
+    await recordShareEvent({
+      productId,
+      collectionId: collection._id,
+      action: 'granted',
+      actor: currentUserId,
+      recipient: targetUser._id,
+      via: 'collection',
+      accessLevel
+    });
+
+    emitCollectionUpdate(req, collection, 'shared');
+
+    res.json({
+      message: 'Collection shared successfully',
+      share: {
+        collectionId: collection._id,
+        sharedWith: targetUser._id,
+        accessLevel,
+        entriesShared: shareable.length,
+        missingWrappedKeys: missingKeys
+      }
+    });
+  } catch (error) {
+    logError('Share collection error:', error);
+    res.status(500).json({ error: 'Failed to share collection' });
+  }
+});
+
+// @route   DELETE /api/collections/:id/share/:userId
+// @desc    Stop sharing a collection with a user
+// @access  Private
+router.delete('/:id/share/:userId', validateProductAccess, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { productId } = req.query;
+    const currentUserId = req.user._id;
+
+    const collection = await findCollection(id, productId);
+
+    if (!collection || !collection.userHasAccess(currentUserId, 'read')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // Owners can remove anyone; sharees can remove themselves
+    if (collection.owner.toString() !== currentUserId.toString() && userId !== currentUserId.toString()) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const wasShared = collection.sharedWith.some(share => share.userId.toString() === userId);
+
+    await collection.removeUserAccess(userId);
+    await Clipboard.revokeCollectionAccess(entryIdsOf(collection), collection._id, [userId]);
+
+    if (wasShared) {
+      await recordRevocations({
+        recipients: [userId],
+        productId,
+        collectionId: collection._id,
+        actor: currentUserId,
+        via: 'collection',
+        reason: 'removed'
+      });
+    }
+
+    emitCollectionUpdate(req, collection, 'unshared');
+
+    res.json({ message: 'Collection access removed successfully' });
+  } catch (error) {
+    logError('Remove collection access error:', error);
+    res.status(500).json({ error: 'Failed to remove collection access' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Clipboard = require('../models/Clipboard');
+const Device = require('../models/Device');
+const { validateProductAccess } = require('../middleware/productAccess');
+const { canViewEntry } = require('../services/clipboardVisibility');
+const { isRestrictedFor } = require('../services/selfDestruct');
+const { deviceRoom } = require('../services/realtime');
+const {
+  MAX_DEVICES_PER_USER,
+  findUserDevice,
+  getOnlineDeviceIds,
+  sendEntryToDevice
+} = require('../services/devicePresence');
+const { logError } = require('../utils/logger');
+
+const router = express.Router();
+
+const PLATFORMS = ['windows', 'macos', 'linux', 'ios', 'android', 'web', 'extension', 'other'];
+
+// Validation middleware
+const validateDevice = [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('platform').optional().isIn(PLATFORMS),
+  body('appVersion').optional().trim().isLength({ max: 50 }),
+  body('pushCapable').optional().isBoolean(),
+  body('pushToken').optional({ nullable: true }).isString().isLength({ max: 4096 })
+];
+
+const validateDeviceUpdate = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('appVersion').optional().trim().isLength({ max: 50 }),
+  body('pushCapable').optional().isBoolean(),
+  body('pushToken').optional({ nullable: true }).isString().isLength({ max: 4096 })
+];
+
+const validateSend = [
+  body('productId').notEmpty(),
+  body('entryId').isMongoId(),
+  body('sentFrom').optional().isMongoId()
+];
+
+// @route   GET /api/devices
+// @desc    List the user's registered devices and whether each is online
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.user._id }).sort({ lastSeenAt: -1 });
+    const onlineIds = await getOnlineDeviceIds(req.app.get('io'), req.user._id);
+
+    res.json({
+      devices: devices.map(device => ({ ...device.toJSON(), online: onlineIds.has(device._id.toString()) }))
+    });
+  } catch (error) {
+    logError('Get devices error:', error);
+    res.status(500).json({ error: 'Failed to get devices' });
+  }
+});
+
+// @route   POST /api/devices
+// @desc    Register a device
+// @access  Private
+router.post('/', validateDevice, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, platform, appVersion, pushCapable, pushToken } = req.body;
+
+    if ((await Device.countDocuments({ userId: req.user._id })) >= MAX_DEVICES_PER_USER) {
+      return res.status(400).json({ error: `Cannot register more than ${MAX_DEVICES_PER_USER} devices` });
+    }
+
+    const device = new Device({
+      userId: req.user._id,
+      name,
+      platform,
+      appVersion,
+      pushCapable: pushCapable || false,
+      pushToken: pushToken || undefined,
+      lastSeenAt: new Date()
+    });
+
+    await device.save();
+
+    res.status(201).json({
+      message: 'Device registered successfully',
+      device
+    });
+  } catch (error) {
+    logError('Register device error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// @route   PUT /api/devices/:id
+// @desc    Rename a device or update its push settings
+// @access  Private
+router.put('/:id', validateDeviceUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const device = await findUserDevice(req.params.id, req.user._id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    for (const field of ['name', 'appVersion', 'pushCapable']) {
+      if (req.body[field] !== undefined) {
+        device[field] = req.body[field];
+      }
+    }
+
+    // null clears the token
+    if (req.body.pushToken !== undefined) {
+      device.pushToken = req.body.pushToken || undefined;
+    }
+
+    await device.save();
+
+    res.json({
+      message: 'Device updated successfully',
+      device
+    });
+  } catch (error) {
+    logError('Update device error:', error);
+    res.status(500).json({ error: 'Failed to update device' });
+  }
+});
+
+// @route   DELETE /api/devices/:id
+// @desc    Remove a device and disconnect its sockets
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const device = await findUserDevice(req.params.id, req.user._id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await device.deleteOne();
+    req.app.get('io').in(deviceRoom(device._id)).disconnectSockets(true);
+
+    res.json({ message: 'Device removed successfully' });
+  } catch (error) {
+    logError('Remove device error:', error);
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+// @route   POST /api/devices/:id/send
+// @desc    Send a clipboard entry to one of the user's devices
+// @access  Private
+router.post('/:id/send', validateSend, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, entryId, sentFrom } = req.body;
+
+    const device = await findUserDevice(req.params.id, req.user._id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (sentFrom && !(await findUserDevice(sentFrom, req.user._id))) {
+      return res.status(400).json({ error: 'Unknown sending device' });
+    }
+
+    const entry = await Clipboard.findOne({ _id: entryId, productId });
+    if (!entry || !(await canViewEntry(req.user, entry))) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    // View-limited entries can only be read through GET /api/clipboard/:id
+    if (isRestrictedFor(entry, req.user)) {
+      return res.status(403).json({ error: 'Self-destructing entries cannot be sent to a device' });
+    }
+
+    const status = await sendEntryToDevice(req.app.get('io'), device, entry, sentFrom || null);
+
+    res.json({
+      message: status === 'delivered' ? 'Entry sent to device' : 'Entry queued until the device connects',
+      status
+    });
+  } catch (error) {
+    logError('Send to device error:', error);
+    res.status(500).json({ error: 'Failed to send entry to device' });
+  }
+});
+
+module.exports = router;
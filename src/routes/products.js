@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { buildSearchFilter, getSearchError } = require('../services/clipboardSearch');
 
 const router = express.Router();
 
@@ -684,14 +685,22 @@ router.get('/:productId/analytics', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/products/:productId/export
-// @desc    Export product data
+// @desc    Export product data, optionally only the entries matching a search query
 // @access  Private
 router.post('/:productId/export', authenticateToken, async (req, res) => {
   try {
     const { productId } = req.params;
-    const { format = 'json', includeContent = true } = req.body;
+    const { format = 'json', includeContent = true, query } = req.body;
     const currentUserId = req.user._id;
 
+    if (query !== undefined && typeof query !== 'string') {
+      return res.status(400).json({ error: 'query must be a string' });
+    }
+    const searchError = query ? getSearchError({ q: query, sort: 'newest' }) : null;
+    if (searchError) {
+      return res.status(400).json(searchError);
+    }
+
     const product = await Product.findOne({
       productId,
       $or: [
@@ -706,7 +715,8 @@ router.post('/:productId/export', authenticateToken, async (req, res) => {
 
     // Get clipboard entries
     const Clipboard = require('../models/Clipboard');
-    const entries = await Clipboard.find({ productId })
+    const filter = query ? await buildSearchFilter({ productId }, { q: query }) : { productId };
+    const entries = await Clipboard.find(filter)
       .populate('createdBy', 'username firstName lastName')
       .populate('lastModifiedBy', 'username firstName lastName')
       .sort({ createdAt: -1 });
@@ -739,6 +749,7 @@ router.post('/:productId/export', authenticateToken, async (req, res) => {
         exportedAt: new Date(),
         exportedBy: currentUserId,
         format,
+        query: query || null,
         totalEntries: entries.length
       }
     };
@@ -0,0 +1,139 @@
+const express = require('express');
+const Clipboard = require('../models/Clipboard');
+const Product = require('../models/Product');
+const ShareLink = require('../models/ShareLink');
+const { getBlobStore } = require('../services/blobStore');
+const { logError } = require('../utils/logger');
+
+const router = express.Router();
+
+// Images shown inline on read-only links; SVG is left out because it can carry scripts
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:48rem;margin:2rem auto;padding:0 1rem}
+pre{white-space:pre-wrap;word-break:break-word;background:#f5f5f5;padding:1rem;border-radius:4px}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const sendAttachment = async (res, entry, link) => {
+  const mimeType = entry.metadata.mimeType || 'application/octet-stream';
+  const fileName = entry.metadata.fileName || 'attachment';
+
+  // Read-only links never hand out the file itself, only images shown in place
+  if (link.readOnly && !INLINE_IMAGE_TYPES.includes(mimeType)) {
+    return res
+      .type('html')
+      .send(renderPage(fileName, `<h1>${escapeHtml(fileName)}</h1>\n<p>Downloads are disabled for this link.</p>`));
+  }
+
+  const stream = await getBlobStore(entry.attachment.storage).createReadStream(entry.attachment.key);
+  const disposition = link.readOnly ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+  });
+  if (entry.metadata.fileSize) {
+    res.set('Content-Length', String(entry.metadata.fileSize));
+  }
+
+  stream.on('error', error => {
+    logError('Shared attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// @route   GET /s/:token
+// @desc    Serve a clipboard entry through a public share link
+// @access  Public (the link password, when set, goes in the X-Share-Password header)
+router.get('/:token', async (req, res) => {
+  try {
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+      'Referrer-Policy': 'no-referrer'
+    });
+
+    const link = await ShareLink.findByToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    // Every attempt is logged, including the ones turned away
+    const deny = async (status, outcome, error, details = {}) => {
+      await ShareLink.logAccess(link._id, { outcome, ipAddress: req.ip, userAgent: req.get('User-Agent') });
+      return res.status(status).json({ error, ...details });
+    };
+
+    if (link.expiresAt && link.expiresAt <= new Date()) {
+      return deny(410, 'expired', 'Share link has expired');
+    }
+    if (link.maxUses && link.useCount >= link.maxUses) {
+      return deny(410, 'exhausted', 'Share link has been used up');
+    }
+
+    // Turning public sharing off for the product disables every existing link too
+    const product = await Product.findOne({ productId: link.productId }).select('settings.sharing.allowPublicSharing');
+    const entry = await Clipboard.findOne({ _id: link.entryId, productId: link.productId });
+    const isAvailable =
+      product &&
+      product.settings.sharing.allowPublicSharing &&
+      entry &&
+      !entry.destroyedAt &&
+      !entry.isArchived &&
+      !entry.encryption.isEncrypted;
+    if (!isAvailable) {
+      return deny(404, 'unavailable', 'Share link not found');
+    }
+
+    if (link.passwordHash) {
+      const password = req.get('X-Share-Password');
+      if (!password) {
+        return deny(401, 'password-required', 'This share link requires a password', { passwordRequired: true });
+      }
+      if (!(await link.checkPassword(password))) {
+        return deny(401, 'wrong-password', 'Incorrect password', { passwordRequired: true });
+      }
+    }
+
+    // Another visitor may have taken the last use since the link was loaded
+    if (!(await ShareLink.claimUse(link._id))) {
+      return deny(410, 'exhausted', 'Share link has been used up');
+    }
+    await ShareLink.logAccess(link._id, { outcome: 'served', ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+    if (entry.attachment && entry.attachment.key) {
+      return sendAttachment(res, entry, link);
+    }
+
+    if (link.readOnly) {
+      const title = entry.metadata.title || 'Shared clipboard entry';
+      return res.type('html').send(renderPage(title, `<pre>${escapeHtml(entry.content)}</pre>`));
+    }
+
+    res.type('text/plain; charset=utf-8').send(entry.content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    logError('Serve share link error:', error);
+    res.status(500).json({ error: 'Failed to open share link' });
+  }
+});
+
+module.exports = router;
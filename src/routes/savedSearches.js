@@ -0,0 +1,225 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const { validateProductAccess } = require('../middleware/productAccess');
+const { buildVisibilityFilter } = require('../services/clipboardVisibility');
+const { SEARCH_SORTS, getSearchError, searchEntries } = require('../services/clipboardSearch');
+const { MAX_SAVED_SEARCHES, listWithMatchCounts } = require('../services/savedSearches');
+const { logError } = require('../utils/logger');
+
+const router = express.Router();
+
+const ENTRY_TYPES = ['text', 'image', 'file', 'link', 'template'];
+const QUERY_FIELDS = ['q', 'type', 'tags', 'dateFrom', 'dateTo', 'sort'];
+
+// Validation middleware
+const validateQuery = [
+  body('query.q').optional().isString().isLength({ max: 500 }),
+  body('query.type').optional().isIn(ENTRY_TYPES),
+  body('query.tags').optional().isArray({ max: 20 }),
+  body('query.tags.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('query.dateFrom').optional().isISO8601(),
+  body('query.dateTo').optional().isISO8601(),
+  body('query.sort').optional().isIn(SEARCH_SORTS)
+];
+
+const validateSavedSearch = [
+  body('productId').notEmpty(),
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('query').isObject(),
+  ...validateQuery,
+  body('notify').optional().isBoolean()
+];
+
+const validateSavedSearchUpdate = [
+  body('productId').notEmpty(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('query').optional().isObject(),
+  ...validateQuery,
+  body('notify').optional().isBoolean()
+];
+
+const pickQuery = query => Object.fromEntries(QUERY_FIELDS.map(field => [field, query[field] || undefined]));
+
+// Returns a client-facing error when the query can't be saved, otherwise null
+const getQueryError = query => {
+  if (!query.q && !query.type && !(query.tags && query.tags.length > 0) && !query.dateFrom && !query.dateTo) {
+    return { error: 'A saved search needs at least one of q, type, tags, dateFrom or dateTo' };
+  }
+
+  return getSearchError(query);
+};
+
+const findUserSavedSearch = (id, productId, userId) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return SavedSearch.findOne({ _id: id, productId, owner: userId });
+};
+
+// @route   GET /api/saved-searches
+// @desc    List the user's saved searches in a product, with how many entries match each now
+// @access  Private
+router.get('/', validateProductAccess, async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
+    const savedSearches = await listWithMatchCounts(req.user, productId, visibleEntries);
+
+    res.json({ savedSearches });
+  } catch (error) {
+    logError('Get saved searches error:', error);
+    res.status(500).json({ error: 'Failed to get saved searches' });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a search as a smart collection
+// @access  Private
+router.post('/', validateSavedSearch, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, name, notify } = req.body;
+    const query = pickQuery(req.body.query);
+
+    const queryError = getQueryError(query);
+    if (queryError) {
+      return res.status(400).json(queryError);
+    }
+
+    if ((await SavedSearch.countDocuments({ productId, owner: req.user._id })) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `Cannot save more than ${MAX_SAVED_SEARCHES} searches in a product` });
+    }
+
+    const savedSearch = new SavedSearch({
+      name,
+      productId,
+      owner: req.user._id,
+      query,
+      notify: notify || false
+    });
+
+    await savedSearch.save();
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already have a saved search with this name' });
+    }
+    logError('Save search error:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// @route   GET /api/saved-searches/:id/entries
+// @desc    Run a saved search and get a page of the entries that match it now
+// @access  Private
+router.get('/:id/entries', validateProductAccess, async (req, res) => {
+  try {
+    const { productId, before, after, limit, includeTotal } = req.query;
+
+    const savedSearch = await findUserSavedSearch(req.params.id, productId, req.user._id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const params = { ...savedSearch.toSearchParams(), before, after };
+    const searchError = getSearchError(params);
+    if (searchError) {
+      return res.status(400).json(searchError);
+    }
+
+    const visibleEntries = await buildVisibilityFilter(req.user, productId);
+    const pageOptions = { before, after, limit, includeTotal: includeTotal === 'true' };
+    const { entries, pagination, facets } = await searchEntries(visibleEntries, req.user._id, params, pageOptions);
+
+    res.json({
+      savedSearch,
+      entries,
+      pagination,
+      facets
+    });
+  } catch (error) {
+    logError('Run saved search error:', error);
+    res.status(500).json({ error: 'Failed to run saved search' });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search, change its query or turn notifications on or off
+// @access  Private
+router.put('/:id', validateSavedSearchUpdate, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, name, query, notify } = req.body;
+
+    const savedSearch = await findUserSavedSearch(req.params.id, productId, req.user._id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    // A new query replaces the old one whole
+    if (query) {
+      const picked = pickQuery(query);
+      const queryError = getQueryError(picked);
+      if (queryError) {
+        return res.status(400).json(queryError);
+      }
+      savedSearch.query = picked;
+    }
+    if (name !== undefined) {
+      savedSearch.name = name;
+    }
+    if (notify !== undefined) {
+      savedSearch.notify = notify;
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      message: 'Saved search updated successfully',
+      savedSearch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already have a saved search with this name' });
+    }
+    logError('Update saved search error:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', validateProductAccess, async (req, res) => {
+  try {
+    const savedSearch = await findUserSavedSearch(req.params.id, req.query.productId, req.user._id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await savedSearch.deleteOne();
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    logError('Delete saved search error:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Clipboard = require('../models/Clipboard');
+const Product = require('../models/Product');
+const ShareEvent = require('../models/ShareEvent');
+const ShareLink = require('../models/ShareLink');
+const ShareRequest = require('../models/ShareRequest');
+const ShareTemplate = require('../models/ShareTemplate');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const { validateProductAccess } = require('../middleware/productAccess');
+const { isBase64 } = require('../utils/encryptionEnvelope');
+const { activeShareClause, buildGroupShareClauses, canViewEntry } = require('../services/clipboardVisibility');
+const { MAX_ENTRIES_PER_APPLY, resolveRecipients, applyTemplate } = require('../services/shareTemplates');
+const {
+  recordShareEvent,
+  recordShareEvents,
+  grantShareAccess,
+  recordRevocations,
+  recordRecipientActivity,
+} = require('../services/shareAudit');
+const { notifyOwner, approveRequest, denyRequest } = require('../services/shareRequests');
+const { resolveGroupTarget, getGroupMemberIds } = require('../services/groupShares');
+const { userRoom, familyRoom, emitEntryEvent } = require('../services/realtime');
+const { recordChange, recordChanges } = require('../services/changeFeed');
+const { parseLimit } = require('../utils/pagination');
+const { logError } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -12,111 +33,1031 @@ const validateShareEntry = [
   body('entryId').isMongoId(),
   body('userId').isMongoId(),
   body('accessLevel').isIn(['read', 'write']),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('wrappedKey').optional().custom(isBase64)
+];
+
+const validateShareLink = [
+  body('entryId').isMongoId(),
+  body('password').optional().isString().isLength({ min: 4, max: 128 }),
+  body('expiresAt').optional().isISO8601(),
+  body('maxUses').optional().isInt({ min: 1 }),
+  body('readOnly').optional().isBoolean()
+];
+
+// Public links point at this service unless PUBLIC_BASE_URL says otherwise
+const buildShareUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/s/${token}`;
+};
+
+// Links of a product the caller created; product admins may manage every link
+const findManagedLink = (req, linkId, productId) => {
+  const query = { _id: linkId, productId };
+  if (req.user.role !== 'admin' && !req.user.hasProductAccess(productId, 'admin')) {
+    query.createdBy = req.user._id;
+  }
+
+  return ShareLink.findOne(query);
+};
+
+// Fields shared by template create and update; create also requires name and productId
+const shareTemplateFields = [
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('recipients').optional().isObject(),
+  body('recipients.users').optional().isArray(),
+  body('recipients.users.*').isMongoId(),
+  body('recipients.includeFriends').optional().isBoolean(),
+  body('recipients.familyGroup').optional({ values: 'null' }).isMongoId(),
+  body('defaultAccessLevel').optional().isIn(['read', 'write']),
+  body('defaultMessage').optional().trim().isLength({ max: 500 }),
+  body('expiresAfter').optional().isInt({ min: 0 }),
+  body('isActive').optional().isBoolean()
+];
+
+const validateShareTemplate = [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('productId').notEmpty(),
+  ...shareTemplateFields
+];
+
+const validateShareTemplateUpdate = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  ...shareTemplateFields
+];
+
+const validateApplyTemplate = [
+  body('templateId').isMongoId(),
+  body('entryIds').isArray({ min: 1, max: MAX_ENTRIES_PER_APPLY }),
+  body('entryIds.*').isMongoId(),
   body('message').optional().trim().isLength({ max: 500 })
 ];
 
-const validateShareUpdate = [
-  body('accessLevel').isIn(['read', 'write']),
-  body('message').optional().trim().isLength({ max: 500 })
-];
+// Copies template fields from a request body; a template may only target the caller's own family group
+const assignTemplateFields = (template, fields, user) => {
+  const { name, description, recipients, defaultAccessLevel, defaultMessage, expiresAfter, isActive } = fields;
+
+  if (recipients) {
+    const { users, includeFriends, familyGroup } = recipients;
+    if (familyGroup && (!user.familyGroup || user.familyGroup.toString() !== familyGroup)) {
+      return 'Templates can only share with your own family group';
+    }
+    if (users !== undefined) {
+      template.recipients.users = users;
+    }
+    if (includeFriends !== undefined) {
+      template.recipients.includeFriends = includeFriends;
+    }
+    if (familyGroup !== undefined) {
+      template.recipients.familyGroup = familyGroup || undefined;
+    }
+  }
+
+  if (name !== undefined) {
+    template.name = name;
+  }
+  if (description !== undefined) {
+    template.description = description;
+  }
+  if (defaultAccessLevel !== undefined) {
+    template.defaultAccessLevel = defaultAccessLevel;
+  }
+  if (defaultMessage !== undefined) {
+    template.defaultMessage = defaultMessage;
+  }
+  if (expiresAfter !== undefined) {
+    template.expiresAfter = parseInt(expiresAfter);
+  }
+  if (isActive !== undefined) {
+    template.isActive = isActive;
+  }
+
+  return template.hasRecipients() ? null : 'A template needs at least one recipient';
+};
+
+const validateGroupShare = [
+  body('entryId').isMongoId(),
+  body('groupType').isIn(['family', 'friends']),
+  body('familyGroupId').optional().isMongoId(),
+  body('expiresAt').optional().isISO8601(),
+  body('message').optional().trim().isLength({ max: 500 })
+];
+
+const validateShareRequest = [
+  body('productId').notEmpty(),
+  body('entryId').optional().isMongoId(),
+  body('tag').optional().trim().isLength({ min: 1, max: 50 }),
+  body('ownerId').optional().isMongoId(),
+  body('accessLevel').optional().isIn(['read', 'write']),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 })
+];
+
+const validateShareRequestResponse = [
+  body('accessLevel').optional().isIn(['read', 'write']),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('wrappedKeys').optional().isArray(),
+  body('wrappedKeys.*.entryId').optional().isMongoId(),
+  body('wrappedKeys.*.wrappedKey').optional().custom(isBase64)
+];
+
+// A request made to the current user, marked expired first if it ran out of time
+const findIncomingRequest = async (requestId, productId, ownerId) => {
+  await ShareRequest.expirePending({ _id: requestId });
+  return ShareRequest.findOne({ _id: requestId, productId, owner: ownerId });
+};
+
+const validateShareUpdate = [
+  body('accessLevel').isIn(['read', 'write']),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('wrappedKey').optional().custom(isBase64)
+];
+
+// @route   POST /api/shares
+// @desc    Share a clipboard entry with another user
+// @access  Private
+router.post('/', validateShareEntry, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entryId, userId, accessLevel, message, productId, wrappedKey } = req.body;
+    const currentUserId = req.user._id;
+
+    // Check if trying to share with self
+    if (userId === currentUserId.toString()) {
+      return res.status(400).json({ error: 'Cannot share with yourself' });
+    }
+
+    // Verify the clipboard entry exists and user has access
+    const entry = await Clipboard.findOne({
+      _id: entryId,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Check if user has permission to share this entry
+    if (!entry.userHasAccess(currentUserId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions to share this entry' });
+    }
+
+    // End-to-end encrypted entries need the content key wrapped for the recipient
+    if (entry.encryption.isEncrypted && !wrappedKey) {
+      return res.status(400).json({ error: 'wrappedKey is required to share an encrypted entry' });
+    }
+
+    // Verify target user exists and is active
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'Target user not found' });
+    }
+
+    if (!targetUser.isActive) {
+      return res.status(400).json({ error: 'Target user account is not active' });
+    }
+
+    // Check if already shared
+    const existingShare = entry.sharedWith.find(share => 
+      share.userId.toString() === userId
+    );
+
+    // Access granted through a shared collection can still be turned into a direct share
+    if (existingShare && !existingShare.collectionId) {
+      return res.status(400).json({ error: 'Entry is already shared with this user' });
+    }
+
+    // Share the entry
+    if (wrappedKey) {
+      entry.setWrappedKey(userId, wrappedKey);
+    }
+    await entry.shareWithUser(userId, accessLevel);
+
+    // Add to target user's product access if they don't have it
+    await grantShareAccess(targetUser, productId, currentUserId);
+
+    await recordShareEvent({
+      productId,
+      entryId: entry._id,
+      action: 'granted',
+      actor: currentUserId,
+      recipient: targetUser._id,
+      accessLevel,
+      message
+    });
+
+    const change = { type: 'shared', entry, actor: currentUserId, details: { action: 'shared', userId, accessLevel } };
+    await recordChange(productId, change, req.app.get('io'));
+
+    // Emit real-time update; the recipient may not be in the product room yet
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-shared', {
+      action: 'shared',
+      entryId,
+      sharedWith: userId,
+      accessLevel,
+      productId
+    }, [userRoom(userId)]);
+
+    res.json({
+      message: 'Entry shared successfully',
+      share: {
+        entryId,
+        sharedWith: userId,
+        accessLevel,
+        message,
+        sharedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Share entry error:', error);
+    res.status(500).json({ error: 'Failed to share entry' });
+  }
+});
+
+// @route   POST /api/shares/links
+// @desc    Create a public link to a clipboard entry for people without an account
+// @access  Private
+router.post('/links', validateShareLink, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entryId, productId, password, expiresAt, maxUses, readOnly } = req.body;
+    const currentUserId = req.user._id;
+
+    const product = await Product.findOne({ productId }).select('settings.sharing.allowPublicSharing');
+    if (!product || !product.settings.sharing.allowPublicSharing) {
+      return res.status(403).json({ error: 'Public sharing is disabled for this product' });
+    }
+
+    const entry = await Clipboard.findOne({
+      _id: entryId,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!entry.userCanShare(currentUserId)) {
+      return res.status(403).json({ error: 'Insufficient permissions to share this entry' });
+    }
+
+    // Link visitors have no key to open ciphertext with, and can't be counted as viewers
+    if (entry.encryption.isEncrypted) {
+      return res.status(400).json({ error: 'Encrypted entries cannot be shared by link' });
+    }
+    if (entry.maxViews || entry.destroyedAt) {
+      return res.status(400).json({ error: 'Self-destructing entries cannot be shared by link' });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    const { link, token } = await ShareLink.mint({
+      entryId: entry._id,
+      productId,
+      createdBy: currentUserId,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      maxUses: maxUses ? parseInt(maxUses) : undefined,
+      readOnly: readOnly === true || readOnly === 'true'
+    }, password);
+
+    // The token is only ever shown here
+    res.status(201).json({
+      message: 'Share link created successfully',
+      token,
+      url: buildShareUrl(req, token),
+      link
+    });
+  } catch (error) {
+    logError('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// @route   GET /api/shares/links
+// @desc    List the share links the current user created in a product
+// @access  Private
+router.get('/links', validateProductAccess, async (req, res) => {
+  try {
+    const { productId, entryId, includeRevoked } = req.query;
+
+    const query = { productId, createdBy: req.user._id };
+    if (entryId) {
+      query.entryId = entryId;
+    }
+    if (includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const links = await ShareLink.find(query)
+      .select('-accessLog')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      links: links.map(link => ({ ...link.toJSON(), isUsable: link.isUsable() }))
+    });
+  } catch (error) {
+    logError('Get share links error:', error);
+    res.status(500).json({ error: 'Failed to get share links' });
+  }
+});
+
+// @route   GET /api/shares/links/:linkId/accesses
+// @desc    Get the access log of a share link, newest first
+// @access  Private
+router.get('/links/:linkId/accesses', validateProductAccess, async (req, res) => {
+  try {
+    const link = await findManagedLink(req, req.params.linkId, req.query.productId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({
+      linkId: link._id,
+      useCount: link.useCount,
+      accesses: [...link.accessLog].reverse()
+    });
+  } catch (error) {
+    logError('Get share link accesses error:', error);
+    res.status(500).json({ error: 'Failed to get share link accesses' });
+  }
+});
+
+// @route   DELETE /api/shares/links/:linkId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/links/:linkId', validateProductAccess, async (req, res) => {
+  try {
+    const link = await findManagedLink(req, req.params.linkId, req.query.productId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    logError('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// @route   POST /api/shares/template
+// @desc    Create a share template
+// @access  Private
+router.post('/template', validateShareTemplate, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId } = req.body;
+
+    // Check if user has access to the product
+    if (!req.user.hasProductAccess(productId, 'write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const template = new ShareTemplate({ productId, owner: req.user._id });
+    const fieldError = assignTemplateFields(template, req.body, req.user);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    await template.save();
+
+    res.status(201).json({
+      message: 'Share template created successfully',
+      template
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A share template with this name already exists' });
+    }
+    console.error('Create share template error:', error);
+    res.status(500).json({ error: 'Failed to create share template' });
+  }
+});
+
+// @route   GET /api/shares/templates
+// @desc    Get user's share templates
+// @access  Private
+router.get('/templates', authenticateToken, async (req, res) => {
+  try {
+    const { productId, includeInactive } = req.query;
+
+    const query = { owner: req.user._id };
+    if (productId) {
+      query.productId = productId;
+    }
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const templates = await ShareTemplate.find(query)
+      .populate('recipients.users', 'username firstName lastName profile.avatar')
+      .sort({ name: 1 });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get share templates error:', error);
+    res.status(500).json({ error: 'Failed to get share templates' });
+  }
+});
+
+// @route   PUT /api/shares/template/:templateId
+// @desc    Update a share template
+// @access  Private
+router.put('/template/:templateId', validateShareTemplateUpdate, authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await ShareTemplate.findOne({ _id: req.params.templateId, owner: req.user._id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const fieldError = assignTemplateFields(template, req.body, req.user);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    await template.save();
+
+    res.json({
+      message: 'Share template updated successfully',
+      template
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A share template with this name already exists' });
+    }
+    console.error('Update share template error:', error);
+    res.status(500).json({ error: 'Failed to update share template' });
+  }
+});
+
+// @route   DELETE /api/shares/template/:templateId
+// @desc    Delete a share template
+// @access  Private
+router.delete('/template/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const template = await ShareTemplate.findOneAndDelete({ _id: req.params.templateId, owner: req.user._id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Share template deleted successfully' });
+  } catch (error) {
+    console.error('Delete share template error:', error);
+    res.status(500).json({ error: 'Failed to delete share template' });
+  }
+});
+
+// @route   POST /api/shares/apply-template
+// @desc    Share one or more entries with everyone a template names
+// @access  Private
+router.post('/apply-template', validateApplyTemplate, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { templateId, entryIds, productId, message } = req.body;
+
+    const template = await ShareTemplate.findOne({
+      _id: templateId,
+      owner: req.user._id,
+      productId,
+      isActive: true
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const product = await Product.findOne({ productId }).select('settings.sharing');
+    const sharing = product?.settings?.sharing || {};
+
+    const recipients = await resolveRecipients(template, req.user, sharing);
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'The template has no recipients to share with' });
+    }
+
+    const results = await applyTemplate(template, [...new Set(entryIds)], req.user, {
+      recipients,
+      maxSharedUsers: sharing.maxSharedUsers
+    });
+
+    const sharedResults = results.filter(result => result.sharedWith);
+    if (sharedResults.length > 0) {
+      for (const recipient of recipients) {
+        await grantShareAccess(recipient, productId, req.user._id);
+      }
+    }
+
+    await recordShareEvents(sharedResults.flatMap(result => result.sharedWith.map(recipient => ({
+      productId,
+      entryId: result.entryId,
+      action: 'granted',
+      actor: req.user._id,
+      recipient,
+      via: 'template',
+      accessLevel: template.defaultAccessLevel,
+      expiresAt: result.expiresAt,
+      message: message || template.defaultMessage
+    }))));
+
+    const sharedEntries = await Clipboard.find({ _id: { $in: sharedResults.map(result => result.entryId) } });
+    const changes = sharedEntries.map(entry => ({
+      type: 'shared',
+      entry,
+      actor: req.user._id,
+      details: { action: 'shared', templateId: template._id }
+    }));
+    await recordChanges(productId, changes, req.app.get('io'));
+
+    // Emit real-time updates
+    sharedEntries.forEach(entry => {
+      const result = sharedResults.find(candidate => candidate.entryId.toString() === entry._id.toString());
+      emitEntryEvent(req.app.get('io'), entry, 'clipboard-shared', {
+        action: 'shared',
+        entryId: entry._id,
+        sharedWith: result.sharedWith,
+        accessLevel: template.defaultAccessLevel,
+        productId
+      }, result.sharedWith.map(userRoom));
+    });
+
+    res.json({
+      message: `${sharedResults.length} of ${results.length} entries shared successfully`,
+      templateId: template._id,
+      shareMessage: message || template.defaultMessage || '',
+      accessLevel: template.defaultAccessLevel,
+      recipients: recipients.map(recipient => recipient._id),
+      results
+    });
+  } catch (error) {
+    logError('Apply share template error:', error);
+    res.status(500).json({ error: 'Failed to apply share template' });
+  }
+});
+
+// @route   POST /api/shares/group
+// @desc    Share a clipboard entry with a family group or with all of your friends
+// @access  Private
+router.post('/group', validateGroupShare, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entryId, productId, groupType, familyGroupId, expiresAt, message } = req.body;
+    const currentUserId = req.user._id;
+
+    const entry = await Clipboard.findOne({
+      _id: entryId,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!entry.userCanShare(currentUserId)) {
+      return res.status(403).json({ error: 'Insufficient permissions to share this entry' });
+    }
+
+    // Each recipient needs the content key wrapped for them, which a group share can't carry
+    if (entry.encryption.isEncrypted) {
+      return res.status(400).json({ error: 'Encrypted entries must be shared one recipient at a time' });
+    }
+
+    if (entry.destroyedAt) {
+      return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    const product = await Product.findOne({ productId }).select('settings.sharing');
+    const sharing = product?.settings?.sharing || {};
+    const allowed = groupType === 'family' ? sharing.allowFamilySharing : sharing.allowFriendSharing;
+    if (allowed === false) {
+      return res.status(403).json({ error: `Sharing with ${groupType} is disabled for this product` });
+    }
+
+    const target = await resolveGroupTarget(req.user, groupType, familyGroupId);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    await entry.shareWithGroup(groupType, target.groupId, currentUserId, expiresAt);
+
+    // Current members get product access now; members who join later get it when they join
+    const members = await User.find({ _id: { $in: target.memberIds }, isActive: true });
+    for (const member of members) {
+      await grantShareAccess(member, productId, currentUserId);
+    }
+
+    await recordShareEvents(members.map(member => ({
+      productId,
+      entryId: entry._id,
+      groupId: target.groupId,
+      action: 'granted',
+      actor: currentUserId,
+      recipient: member._id,
+      via: groupType,
+      accessLevel: 'read',
+      expiresAt,
+      message
+    })));
+
+    const change = {
+      type: 'shared',
+      entry,
+      actor: currentUserId,
+      details: { action: 'shared', groupType, groupId: target.groupId }
+    };
+    await recordChange(productId, change, req.app.get('io'));
+
+    // Emit real-time update
+    const memberRooms =
+      groupType === 'family' ? [familyRoom(target.groupId)] : members.map(member => userRoom(member._id));
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-shared', {
+      action: 'shared',
+      entryId,
+      groupType,
+      groupId: target.groupId,
+      accessLevel: 'read',
+      productId
+    }, memberRooms);
+
+    res.json({
+      message: 'Entry shared with group successfully',
+      share: {
+        entryId,
+        groupType,
+        groupId: target.groupId,
+        accessLevel: 'read',
+        expiresAt: expiresAt || null,
+        memberCount: members.length
+      }
+    });
+  } catch (error) {
+    logError('Share with group error:', error);
+    res.status(500).json({ error: 'Failed to share with group' });
+  }
+});
+
+// @route   DELETE /api/shares/group/:entryId/:groupType/:groupId
+// @desc    Stop sharing a clipboard entry with a group
+// @access  Private
+router.delete('/group/:entryId/:groupType/:groupId', validateProductAccess, async (req, res) => {
+  try {
+    const { entryId, groupType, groupId } = req.params;
+    const { productId } = req.query;
+    const currentUserId = req.user._id;
+
+    const entry = await Clipboard.findOne({
+      _id: entryId,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    if (!entry.userCanShare(currentUserId)) {
+      return res.status(403).json({ error: 'Insufficient permissions to remove this share' });
+    }
+
+    const share = entry.removeGroupShare(groupType, groupId);
+    if (!share) {
+      return res.status(404).json({ error: 'Group share not found' });
+    }
+    await entry.save();
+
+    // Members lose the entry, and any product access that came only from shares
+    const memberIds = await getGroupMemberIds(groupType, groupId);
+    const recipients = memberIds.filter(memberId => memberId.toString() !== currentUserId.toString());
+    await recordRevocations({
+      productId,
+      entryId: entry._id,
+      groupId: share.groupId,
+      actor: currentUserId,
+      recipients,
+      via: groupType,
+      accessLevel: 'read',
+      reason: 'removed'
+    });
+
+    // Former members are told even though the entry's audience no longer includes them
+    const change = {
+      type: 'shared',
+      entry,
+      actor: currentUserId,
+      recipients,
+      details: { action: 'removed', groupType, groupId: share.groupId }
+    };
+    await recordChange(productId, change, req.app.get('io'));
+
+    // Emit real-time update
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-share-removed', {
+      action: 'removed',
+      entryId,
+      groupType,
+      groupId: share.groupId,
+      productId
+    }, recipients.map(userRoom));
+
+    res.json({ message: 'Group share removed successfully' });
+  } catch (error) {
+    logError('Remove group share error:', error);
+    res.status(500).json({ error: 'Failed to remove group share' });
+  }
+});
+
+// @route   POST /api/shares/requests
+// @desc    Ask the owner of an entry, or of entries with a tag, to share it with you
+// @access  Private
+router.post('/requests', validateShareRequest, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, entryId, tag, ownerId, accessLevel = 'read', message, expiresInDays } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!entryId === !tag) {
+      return res.status(400).json({ error: 'Request either an entryId or a tag' });
+    }
+
+    let owner;
+    if (entryId) {
+      const entry = await Clipboard.findOne({ _id: entryId, productId });
+      if (!entry) {
+        return res.status(404).json({ error: 'Clipboard entry not found' });
+      }
+      if (entry.destroyedAt) {
+        return res.status(410).json({ error: 'Clipboard entry has been destroyed' });
+      }
+      if (entry.userHasAccess(currentUserId, accessLevel)) {
+        return res.status(400).json({ error: 'You already have access to this entry' });
+      }
+      owner = entry.createdBy;
+    } else {
+      if (!ownerId) {
+        return res.status(400).json({ error: 'ownerId is required to request entries by tag' });
+      }
+      owner = ownerId;
+    }
+
+    if (owner.toString() === currentUserId.toString()) {
+      return res.status(400).json({ error: 'Cannot request your own entries' });
+    }
+
+    const ownerUser = await User.findById(owner);
+    if (!ownerUser || !ownerUser.isActive || !ownerUser.hasProductAccess(productId, 'read')) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+
+    const fields = { productId, requester: currentUserId, owner: ownerUser._id, entryId, tag };
+    if (await ShareRequest.findOpen(fields)) {
+      return res.status(409).json({ error: 'You already have a pending request for this' });
+    }
+
+    const request = new ShareRequest({ ...fields, accessLevel, message });
+    if (expiresInDays) {
+      request.expiresAt = new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000);
+    }
+    await request.save();
+
+    await notifyOwner(request, req.user);
+
+    res.status(201).json({
+      message: 'Share request sent successfully',
+      request
+    });
+  } catch (error) {
+    logError('Create share request error:', error);
+    res.status(500).json({ error: 'Failed to create share request' });
+  }
+});
+
+// @route   GET /api/shares/requests
+// @desc    List share requests made to you (box=incoming, the default) or by you (box=outgoing)
+// @access  Private
+router.get('/requests', validateProductAccess, async (req, res) => {
+  try {
+    const { productId, box = 'incoming', status = 'pending', limit } = req.query;
+    const party = box === 'outgoing' ? 'requester' : 'owner';
 
-// @route   POST /api/shares
-// @desc    Share a clipboard entry with another user
+    if (!['incoming', 'outgoing'].includes(box)) {
+      return res.status(400).json({ error: 'box must be incoming or outgoing' });
+    }
+
+    const query = { productId, [party]: req.user._id };
+    await ShareRequest.expirePending(query);
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const requests = await ShareRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(limit))
+      .populate('requester', 'username firstName lastName')
+      .populate('owner', 'username firstName lastName')
+      .populate('entryId', 'type tags createdAt');
+
+    res.json({ box, requests });
+  } catch (error) {
+    logError('Get share requests error:', error);
+    res.status(500).json({ error: 'Failed to get share requests' });
+  }
+});
+
+// @route   POST /api/shares/requests/:requestId/approve
+// @desc    Approve a share request, sharing the requested entries with the requester
 // @access  Private
-router.post('/', validateShareEntry, validateProductAccess, async (req, res) => {
+router.post('/requests/:requestId/approve', validateShareRequestResponse, validateProductAccess, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { entryId, userId, accessLevel, message, productId } = req.body;
-    const currentUserId = req.user._id;
+    const { productId, accessLevel, message, wrappedKeys } = req.body;
 
-    // Check if trying to share with self
-    if (userId === currentUserId.toString()) {
-      return res.status(400).json({ error: 'Cannot share with yourself' });
+    const request = await findIncomingRequest(req.params.requestId, productId, req.user._id);
+    if (!request) {
+      return res.status(404).json({ error: 'Share request not found' });
     }
-
-    // Verify the clipboard entry exists and user has access
-    const entry = await Clipboard.findOne({
-      _id: entryId,
-      productId
-    });
-
-    if (!entry) {
-      return res.status(404).json({ error: 'Clipboard entry not found' });
+    if (request.status === 'expired') {
+      return res.status(410).json({ error: 'Share request has expired' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Share request was already ${request.status}` });
     }
 
-    // Check if user has permission to share this entry
-    if (!entry.userHasAccess(currentUserId, 'write')) {
-      return res.status(403).json({ error: 'Insufficient permissions to share this entry' });
+    const requester = await User.findById(request.requester);
+    if (!requester || !requester.isActive) {
+      return res.status(400).json({ error: 'Requester account is not active' });
     }
 
-    // Verify target user exists and is active
-    const targetUser = await User.findById(userId);
-    if (!targetUser) {
-      return res.status(404).json({ error: 'Target user not found' });
+    const { shared, skipped } = await approveRequest(request, requester, { accessLevel, message, wrappedKeys });
+    if (shared.length === 0) {
+      return res.status(409).json({ error: 'None of the requested entries can be shared', skipped });
     }
 
-    if (!targetUser.isActive) {
-      return res.status(400).json({ error: 'Target user account is not active' });
+    const sharedEntries = await Clipboard.find({ _id: { $in: shared } });
+    const changes = sharedEntries.map(entry => ({
+      type: 'shared',
+      entry,
+      actor: req.user._id,
+      details: { action: 'shared', userId: requester._id, requestId: request._id }
+    }));
+    await recordChanges(productId, changes, req.app.get('io'));
+
+    // Emit real-time updates
+    sharedEntries.forEach(entry => {
+      emitEntryEvent(req.app.get('io'), entry, 'clipboard-shared', {
+        action: 'shared',
+        entryId: entry._id,
+        sharedWith: requester._id,
+        accessLevel: accessLevel || request.accessLevel,
+        productId
+      }, [userRoom(requester._id)]);
+    });
+
+    res.json({
+      message: 'Share request approved successfully',
+      request,
+      skipped
+    });
+  } catch (error) {
+    logError('Approve share request error:', error);
+    res.status(500).json({ error: 'Failed to approve share request' });
+  }
+});
+
+// @route   POST /api/shares/requests/:requestId/deny
+// @desc    Deny a share request
+// @access  Private
+router.post('/requests/:requestId/deny', validateShareRequestResponse, validateProductAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if already shared
-    const existingShare = entry.sharedWith.find(share => 
-      share.userId.toString() === userId
-    );
+    const { productId, message } = req.body;
 
-    if (existingShare) {
-      return res.status(400).json({ error: 'Entry is already shared with this user' });
+    const request = await findIncomingRequest(req.params.requestId, productId, req.user._id);
+    if (!request) {
+      return res.status(404).json({ error: 'Share request not found' });
+    }
+    if (request.status === 'expired') {
+      return res.status(410).json({ error: 'Share request has expired' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Share request was already ${request.status}` });
     }
 
-    // Share the entry
-    await entry.shareWithUser(userId, accessLevel);
+    await denyRequest(request, message);
 
-    // Log activity for both users
-    entry.activityLog = entry.activityLog || [];
-    entry.activityLog.push({
-      action: 'shared',
-      userId: currentUserId,
-      timestamp: new Date(),
-      details: {
-        sharedWith: userId,
-        accessLevel,
-        message
-      }
+    res.json({
+      message: 'Share request denied successfully',
+      request
     });
+  } catch (error) {
+    logError('Deny share request error:', error);
+    res.status(500).json({ error: 'Failed to deny share request' });
+  }
+});
 
-    // Add to target user's product access if they don't have it
-    if (!targetUser.hasProductAccess(productId, 'read')) {
-      await targetUser.addProductAccess(productId, 'Shared Clipboard', 'read', currentUserId);
-    }
+// @route   DELETE /api/shares/requests/:requestId
+// @desc    Cancel a pending share request you made
+// @access  Private
+router.delete('/requests/:requestId', validateProductAccess, async (req, res) => {
+  try {
+    const { productId } = req.query;
 
-    await entry.save();
+    await ShareRequest.expirePending({ _id: req.params.requestId });
+    const request = await ShareRequest.findOneAndUpdate(
+      { _id: req.params.requestId, productId, requester: req.user._id, status: 'pending' },
+      { $set: { status: 'cancelled', respondedAt: new Date() } },
+      { new: true }
+    );
 
-    // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-shared', {
-      action: 'shared',
-      entryId,
-      sharedWith: userId,
-      accessLevel,
-      productId
-    });
+    if (!request) {
+      return res.status(404).json({ error: 'Pending share request not found' });
+    }
 
     res.json({
-      message: 'Entry shared successfully',
-      share: {
-        entryId,
-        sharedWith: userId,
-        accessLevel,
-        message,
-        sharedAt: new Date()
-      }
+      message: 'Share request cancelled successfully',
+      request
     });
   } catch (error) {
-    console.error('Share entry error:', error);
-    res.status(500).json({ error: 'Failed to share entry' });
+    logError('Cancel share request error:', error);
+    res.status(500).json({ error: 'Failed to cancel share request' });
+  }
+});
+
+// Share events newest first, paged by passing the createdAt of the last event seen as `before`
+const findShareEvents = (query, { limit, before }) => {
+  if (before && !Number.isNaN(Date.parse(before))) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  return ShareEvent.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseLimit(limit))
+    .populate('actor', 'username firstName lastName')
+    .populate('recipient', 'username firstName lastName');
+};
+
+// @route   GET /api/shares/events
+// @desc    Get the share events in a product where the current user shared or was shared with
+// @access  Private
+router.get('/events', validateProductAccess, async (req, res) => {
+  try {
+    const { productId, action } = req.query;
+    const currentUserId = req.user._id;
+
+    const query = { productId, $or: [{ actor: currentUserId }, { recipient: currentUserId }] };
+    if (action) {
+      query.action = action;
+    }
+
+    const events = await findShareEvents(query, req.query);
+
+    res.json({ events });
+  } catch (error) {
+    logError('Get share events error:', error);
+    res.status(500).json({ error: 'Failed to get share events' });
   }
 });
 
@@ -129,9 +1070,9 @@ router.get('/received', authenticateToken, async (req, res) => {
     const currentUserId = req.user._id;
     const skip = (page - 1) * limit;
 
-    // Build query for entries shared with current user
+    // Build query for entries shared with current user, directly or through a group
     const query = {
-      'sharedWith.userId': currentUserId,
+      $or: [activeShareClause(currentUserId), ...(await buildGroupShareClauses(req.user))],
       isArchived: false
     };
 
@@ -177,7 +1118,7 @@ router.get('/sent', authenticateToken, async (req, res) => {
     // Build query for entries shared by current user
     const query = {
       createdBy: currentUserId,
-      'sharedWith.0': { $exists: true }, // Has at least one share
+      $or: [{ 'sharedWith.0': { $exists: true } }, { 'groupShares.0': { $exists: true } }], // Has at least one share
       isArchived: false
     };
 
@@ -221,7 +1162,7 @@ router.put('/:entryId/:userId', validateShareUpdate, validateProductAccess, asyn
     }
 
     const { entryId, userId } = req.params;
-    const { accessLevel, message } = req.body;
+    const { accessLevel, message, wrappedKey } = req.body;
     const { productId } = req.query;
     const currentUserId = req.user._id;
 
@@ -250,32 +1191,38 @@ router.put('/:entryId/:userId', validateShareUpdate, validateProductAccess, asyn
     }
 
     // Update share permissions
+    const previousAccessLevel = entry.sharedWith[shareIndex].accessLevel;
     entry.sharedWith[shareIndex].accessLevel = accessLevel;
     entry.sharedWith[shareIndex].grantedAt = new Date();
+    if (wrappedKey) {
+      entry.setWrappedKey(userId, wrappedKey);
+    }
 
-    // Log activity
-    entry.activityLog = entry.activityLog || [];
-    entry.activityLog.push({
-      action: 'share_updated',
-      userId: currentUserId,
-      timestamp: new Date(),
-      details: {
-        sharedWith: userId,
-        newAccessLevel: accessLevel,
-        message
-      }
+    await entry.save();
+
+    await recordShareEvent({
+      productId,
+      entryId: entry._id,
+      action: 'changed',
+      actor: currentUserId,
+      recipient: userId,
+      via: entry.sharedWith[shareIndex].collectionId ? 'collection' : 'direct',
+      accessLevel,
+      previousAccessLevel,
+      message
     });
 
-    await entry.save();
+    const change = { type: 'shared', entry, actor: currentUserId, details: { action: 'updated', userId, accessLevel } };
+    await recordChange(productId, change, req.app.get('io'));
 
     // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-share-updated', {
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-share-updated', {
       action: 'updated',
       entryId,
       sharedWith: userId,
       accessLevel,
       productId
-    });
+    }, [userRoom(userId)]);
 
     res.json({
       message: 'Share permissions updated successfully',
@@ -311,29 +1258,39 @@ router.delete('/:entryId/:userId', validateProductAccess, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions to remove this share' });
     }
 
-    // Remove the share
-    await entry.removeUserAccess(userId);
+    const share = entry.sharedWith.find(candidate => candidate.userId.toString() === userId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
 
-    // Log activity
-    entry.activityLog = entry.activityLog || [];
-    entry.activityLog.push({
-      action: 'share_removed',
-      userId: currentUserId,
-      timestamp: new Date(),
-      details: {
-        removedFrom: userId
-      }
+    // Remove the share, and the product access that only existed because of it
+    await entry.removeUserAccess(userId);
+    await recordRevocations({
+      productId,
+      entryId: entry._id,
+      actor: currentUserId,
+      recipients: [share.userId],
+      via: share.collectionId ? 'collection' : 'direct',
+      accessLevel: share.accessLevel,
+      reason: 'removed'
     });
 
-    await entry.save();
+    const change = {
+      type: 'shared',
+      entry,
+      actor: currentUserId,
+      recipients: [share.userId],
+      details: { action: 'removed', userId }
+    };
+    await recordChange(productId, change, req.app.get('io'));
 
     // Emit real-time update
-    req.app.get('io').to(productId).emit('clipboard-share-removed', {
+    emitEntryEvent(req.app.get('io'), entry, 'clipboard-share-removed', {
       action: 'removed',
       entryId,
       removedFrom: userId,
       productId
-    });
+    }, [userRoom(userId)]);
 
     res.json({ message: 'Share removed successfully' });
   } catch (error) {
@@ -362,14 +1319,13 @@ router.get('/:entryId', validateProductAccess, async (req, res) => {
     }
 
     // Check if user has access to this entry
-    if (!entry.userHasAccess(currentUserId, 'read')) {
+    if (!(await canViewEntry(req.user, entry))) {
       return res.status(403).json({ error: 'Insufficient permissions to view this entry' });
     }
 
     // Get share details
     const shareDetails = {
       entryId,
-      content: entry.content,
       type: entry.type,
       createdBy: entry.createdBy,
       createdAt: entry.createdAt,
@@ -380,6 +1336,24 @@ router.get('/:entryId', validateProductAccess, async (req, res) => {
       )?.accessLevel || 'read'
     };
 
+    // View-limited entries only reveal their content through a counted read of GET /api/clipboard/:id.
+    // Encrypted entries come back as an envelope plus the key wrapped for the caller
+    if (entry.maxViews) {
+      shareDetails.contentWithheld = true;
+    } else if (entry.encryption.isEncrypted) {
+      shareDetails.encrypted = {
+        ciphertext: entry.content,
+        algorithm: entry.encryption.algorithm,
+        nonce: entry.encryption.nonce,
+        keyId: entry.encryption.keyId,
+        wrappedKey: entry.getWrappedKey(currentUserId)
+      };
+    } else {
+      shareDetails.content = entry.content;
+    }
+
+    await recordRecipientActivity(entry, req.user, 'viewed');
+
     res.json({ shareDetails });
   } catch (error) {
     console.error('Get share details error:', error);
@@ -387,6 +1361,37 @@ router.get('/:entryId', validateProductAccess, async (req, res) => {
   }
 });
 
+// @route   GET /api/shares/:entryId/events
+// @desc    Get the share audit trail of an entry
+// @access  Private
+router.get('/:entryId/events', validateProductAccess, async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const { productId } = req.query;
+
+    const entry = await Clipboard.findOne({
+      _id: entryId,
+      productId
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Clipboard entry not found' });
+    }
+
+    // Whoever may manage the entry's shares may read their history
+    if (!entry.userHasAccess(req.user._id, 'write') && !req.user.hasProductAccess(productId, 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to view share history' });
+    }
+
+    const events = await findShareEvents({ entryId: entry._id }, req.query);
+
+    res.json({ entryId: entry._id, events });
+  } catch (error) {
+    logError('Get entry share events error:', error);
+    res.status(500).json({ error: 'Failed to get share events' });
+  }
+});
+
 // @route   GET /api/shares/stats
 // @desc    Get sharing statistics
 // @access  Private
@@ -583,151 +1588,4 @@ router.get('/analytics', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/shares/template
-// @desc    Create a share template
-// @access  Private
-router.post('/template', authenticateToken, async (req, res) => {
-  try {
-    const { name, description, defaultAccessLevel, defaultMessage, productId } = req.body;
-    const currentUserId = req.user._id;
-
-    if (!name || !productId) {
-      return res.status(400).json({ error: 'Name and productId are required' });
-    }
-
-    // Check if user has access to the product
-    if (!req.user.hasProductAccess(productId, 'write')) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-
-    // Create share template
-    const template = {
-      name,
-      description: description || '',
-      defaultAccessLevel: defaultAccessLevel || 'read',
-      defaultMessage: defaultMessage || '',
-      productId,
-      createdBy: currentUserId,
-      createdAt: new Date(),
-      isActive: true
-    };
-
-    // Add to user's share templates
-    const user = await User.findById(currentUserId);
-    if (!user.shareTemplates) {
-      user.shareTemplates = [];
-    }
-    
-    user.shareTemplates.push(template);
-    await user.save();
-
-    res.status(201).json({
-      message: 'Share template created successfully',
-      template
-    });
-  } catch (error) {
-    console.error('Create share template error:', error);
-    res.status(500).json({ error: 'Failed to create share template' });
-  }
-});
-
-// @route   GET /api/shares/templates
-// @desc    Get user's share templates
-// @access  Private
-router.get('/templates', authenticateToken, async (req, res) => {
-  try {
-    const { productId } = req.query;
-    const currentUserId = req.user._id;
-
-    const user = await User.findById(currentUserId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    let templates = user.shareTemplates || [];
-
-    // Filter by product if specified
-    if (productId) {
-      templates = templates.filter(template => 
-        template.productId === productId && template.isActive
-      );
-    } else {
-      templates = templates.filter(template => template.isActive);
-    }
-
-    res.json({ templates });
-  } catch (error) {
-    console.error('Get share templates error:', error);
-    res.status(500).json({ error: 'Failed to get share templates' });
-  }
-});
-
-// @route   PUT /api/shares/template/:templateId
-// @desc    Update a share template
-// @access  Private
-router.put('/template/:templateId', authenticateToken, async (req, res) => {
-  try {
-    const { templateId } = req.params;
-    const { name, description, defaultAccessLevel, defaultMessage, isActive } = req.body;
-    const currentUserId = req.user._id;
-
-    const user = await User.findById(currentUserId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const template = user.shareTemplates.id(templateId);
-    if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
-    }
-
-    // Update template fields
-    if (name !== undefined) template.name = name;
-    if (description !== undefined) template.description = description;
-    if (defaultAccessLevel !== undefined) template.defaultAccessLevel = defaultAccessLevel;
-    if (defaultMessage !== undefined) template.defaultMessage = defaultMessage;
-    if (isActive !== undefined) template.isActive = isActive;
-
-    template.updatedAt = new Date();
-    await user.save();
-
-    res.json({
-      message: 'Share template updated successfully',
-      template
-    });
-  } catch (error) {
-    console.error('Update share template error:', error);
-    res.status(500).json({ error: 'Failed to update share template' });
-  }
-});
-
-// @route   DELETE /api/shares/template/:templateId
-// @desc    Delete a share template
-// @access  Private
-router.delete('/template/:templateId', authenticateToken, async (req, res) => {
-  try {
-    const { templateId } = req.params;
-    const currentUserId = req.user._id;
-
-    const user = await User.findById(currentUserId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const template = user.shareTemplates.id(templateId);
-    if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
-    }
-
-    // Remove template
-    user.shareTemplates.pull(templateId);
-    await user.save();
-
-    res.json({ message: 'Share template deleted successfully' });
-  } catch (error) {
-    console.error('Delete share template error:', error);
-    res.status(500).json({ error: 'Failed to delete share template' });
-  }
-});
-
 module.exports = router;
@@ -3,6 +3,11 @@ const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Clipboard = require('../models/Clipboard');
+const ClipboardRevision = require('../models/ClipboardRevision');
+const RetentionReport = require('../models/RetentionReport');
+const { reloadKeyring, reencryptCollection } = require('../services/atRestEncryption');
+const { RETENTION_RULES, applyRetention } = require('../services/retention');
+const { logError } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -279,4 +284,159 @@ router.get('/metrics', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/system/encryption/reencrypt
+// @desc    Re-encrypt clipboard content at rest onto a key version (admin only)
+// @access  Private
+router.post('/encryption/reencrypt', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    // Pick up key versions added to the keyring file since startup
+    const keyring = reloadKeyring();
+    if (!keyring) {
+      return res.status(400).json({ error: 'At-rest encryption is not configured' });
+    }
+
+    const keyId = req.body.keyId || keyring.activeKeyId;
+    if (!keyring.keys.has(keyId)) {
+      return res.status(400).json({ error: `Unknown key version: ${keyId}` });
+    }
+
+    const startedAt = new Date();
+    const clipboard = await reencryptCollection(Clipboard, Clipboard.AT_REST_ENCRYPTED_PATHS, keyId);
+    const revisions = await reencryptCollection(ClipboardRevision, ClipboardRevision.AT_REST_ENCRYPTED_PATHS, keyId);
+    // Dedupe hashes are keyed from the active key, and older ones may be plain hashes of the content
+    const contentHashes = await Clipboard.rehashContent();
+
+    res.json({
+      message: `Clipboard content re-encrypted with key ${keyId}`,
+      keyId,
+      results: {
+        clipboard,
+        revisions,
+        contentHashes
+      },
+      startedAt,
+      completedAt: new Date(),
+      requestedBy: req.user._id
+    });
+  } catch (error) {
+    logError('Re-encrypt clipboard error:', error);
+    res.status(500).json({ error: 'Failed to re-encrypt clipboard content' });
+  }
+});
+
+// Picks the retention rules given in a request body, rejecting anything that isn't a non-negative integer
+const parseRetentionPolicy = policy => {
+  if (policy === undefined) {
+    return { policy: null };
+  }
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { error: 'policy must be an object' };
+  }
+
+  const parsed = {};
+  for (const rule of RETENTION_RULES) {
+    if (policy[rule] !== undefined) {
+      if (!Number.isInteger(policy[rule]) || policy[rule] < 0) {
+        return { error: `${rule} must be a non-negative integer` };
+      }
+      parsed[rule] = policy[rule];
+    }
+  }
+
+  return { policy: parsed };
+};
+
+// @route   POST /api/system/retention/dry-run
+// @desc    Preview what a retention policy would remove from a product (admin only)
+// @access  Private
+router.post('/retention/dry-run', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: 'productId is required' });
+    }
+
+    const { policy, error } = parseRetentionPolicy(req.body.policy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const product = await Product.findOne({ productId }).select('_id');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const report = await applyRetention(productId, { dryRun: true, policy, trigger: 'admin' });
+
+    res.json({ report });
+  } catch (error) {
+    logError('Retention dry run error:', error);
+    res.status(500).json({ error: 'Failed to dry-run retention policy' });
+  }
+});
+
+// @route   POST /api/system/retention/run
+// @desc    Apply a product's retention rules now instead of waiting for the scheduler (admin only)
+// @access  Private
+router.post('/retention/run', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: 'productId is required' });
+    }
+
+    const product = await Product.findOne({ productId }).select('_id');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const report = await applyRetention(productId, { trigger: 'admin' });
+
+    res.json({ report });
+  } catch (error) {
+    logError('Retention run error:', error);
+    res.status(500).json({ error: 'Failed to apply retention policy' });
+  }
+});
+
+// @route   GET /api/system/retention/reports
+// @desc    List retention run reports, newest first (admin only)
+// @access  Private
+router.get('/retention/reports', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { productId, limit = 20 } = req.query;
+    const query = productId ? { productId } : {};
+
+    const reports = await RetentionReport.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({ reports });
+  } catch (error) {
+    logError('Get retention reports error:', error);
+    res.status(500).json({ error: 'Failed to get retention reports' });
+  }
+});
+
 module.exports = router;
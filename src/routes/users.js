@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const FamilyGroup = require('../models/FamilyGroup');
 const { authenticateToken } = require('../middleware/auth');
+const { grantJoinedGroupShares } = require('../services/groupShares');
+const { logError } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -229,6 +231,10 @@ router.post('/friend-request/:requestId/accept', authenticateToken, async (req,
 
     await Promise.all([user.save(), sender.save()]);
 
+    // Each can now read what the other shared with their friends
+    await grantJoinedGroupShares(user, 'friends', senderId);
+    await grantJoinedGroupShares(sender, 'friends', currentUserId);
+
     // Log activity
     user.activityLog.push({
       action: 'friend_request_accepted',
@@ -404,6 +410,9 @@ router.post('/family-group', authenticateToken, async (req, res) => {
       user.role = 'family';
       await user.save();
 
+      // Entries already shared with the group are shared with the new member too
+      await grantJoinedGroupShares(user, 'family', familyGroup._id);
+
       res.json({
         message: 'Joined family group successfully',
         familyGroup
@@ -594,4 +603,43 @@ router.put('/notifications/preferences', authenticateToken, async (req, res) =>
   }
 });
 
+// @route   PUT /api/users/retention/preferences
+// @desc    Override the product retention rules for the current user's entries
+// @access  Private
+router.put('/retention/preferences', [
+  body('maxEntries').optional({ nullable: true }).isInt({ min: 0 }),
+  body('deleteAfterDays').optional({ nullable: true }).isInt({ min: 0 }),
+  body('purgeArchivedAfterDays').optional({ nullable: true }).isInt({ min: 0 })
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // null clears an override so the product rule applies again
+    for (const rule of ['maxEntries', 'deleteAfterDays', 'purgeArchivedAfterDays']) {
+      if (req.body[rule] !== undefined) {
+        const value = req.body[rule] === null ? undefined : parseInt(req.body[rule]);
+        user.set(`profile.preferences.retention.${rule}`, value);
+      }
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Retention preferences updated successfully',
+      preferences: user.profile.preferences.retention
+    });
+  } catch (error) {
+    logError('Update retention preferences error:', error);
+    res.status(500).json({ error: 'Failed to update retention preferences' });
+  }
+});
+
 module.exports = router;
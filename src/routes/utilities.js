@@ -2,9 +2,27 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { validateProductAccess } = require('../middleware/productAccess');
+const Product = require('../models/Product');
+const { detectSensitiveContent } = require('../utils/sensitiveContent');
 
 const router = express.Router();
 
+// Plaintext checks can't run for products that only hold client-encrypted content
+const skipForEncryptedProducts = async (req, res, next) => {
+  try {
+    const { productId } = req.body;
+    if (productId && await Product.requiresClientEncryption(productId)) {
+      return res.json({
+        message: 'Content checks are skipped for end-to-end encrypted products',
+        skipped: true
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @route   POST /api/utilities/validate-content
 // @desc    Validate clipboard content before saving
 // @access  Private
@@ -12,7 +30,7 @@ router.post('/validate-content', [
   body('content').notEmpty().trim(),
   body('type').isIn(['text', 'image', 'file', 'link']),
   body('productId').notEmpty()
-], validateProductAccess, async (req, res) => {
+], validateProductAccess, skipForEncryptedProducts, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -96,7 +114,7 @@ router.post('/format-content', [
   body('content').notEmpty().trim(),
   body('type').isIn(['text', 'image', 'file', 'link']),
   body('formatOptions').optional().isObject()
-], async (req, res) => {
+], skipForEncryptedProducts, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -165,7 +183,7 @@ router.post('/format-content', [
 router.post('/analyze-content', [
   body('content').notEmpty().trim(),
   body('type').isIn(['text', 'image', 'file', 'link'])
-], async (req, res) => {
+], skipForEncryptedProducts, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -209,8 +227,13 @@ router.post('/analyze-content', [
       if (words.length > 100) {
         analysis.suggestions.push('Consider breaking long text into smaller, searchable pieces');
       }
-      if (content.includes('password') || content.includes('secret')) {
-        analysis.suggestions.push('Consider marking this as sensitive content');
+
+      // Only the types and positions of findings are returned, never the matched values
+      const { isSensitive, types, findings } = detectSensitiveContent(content);
+      analysis.sensitivity = { isSensitive, types, findings };
+      if (isSensitive) {
+        analysis.insights.push(`Contains sensitive content: ${types.join(', ')}`);
+        analysis.suggestions.push('Sensitive entries are flagged and redacted in previews when saved');
       }
     }
 
@@ -258,7 +281,7 @@ router.post('/analyze-content', [
 router.post('/batch-process', [
   body('entries').isArray({ min: 1, max: 100 }),
   body('operations').isArray()
-], async (req, res) => {
+], skipForEncryptedProducts, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
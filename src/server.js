@@ -14,9 +14,17 @@ const io = socketIo(server, {
   cors: {
     origin: process.env.ALLOWED_ORIGINS?.split(',') || ["https://cb.yourl.cloud", "https://yourl.cloud"],
     methods: ["GET", "POST"]
+  },
+  // Replay events missed during short disconnects; the token is still checked again on reconnect
+  connectionStateRecovery: {
+    maxDisconnectionDuration: 2 * 60 * 1000,
+    skipMiddlewares: false
   }
 });
 
+// Routes emit real-time updates through req.app.get('io')
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -51,12 +59,23 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Import routes
 const authRoutes = require('./routes/auth');
 const clipboardRoutes = require('./routes/clipboard');
+const collectionRoutes = require('./routes/collections');
 const userRoutes = require('./routes/users');
 const shareRoutes = require('./routes/shares');
+const deviceRoutes = require('./routes/devices');
+const savedSearchRoutes = require('./routes/savedSearches');
+const publicShareRoutes = require('./routes/publicShares');
 const productRoutes = require('./routes/products');
 const systemRoutes = require('./routes/system');
 const utilityRoutes = require('./routes/utilities');
 
+// Import services
+const { startRetentionScheduler } = require('./services/retention');
+const { attachRealtime } = require('./services/realtime');
+const { attachChangeFeed } = require('./services/changeFeed');
+const { attachDevicePresence } = require('./services/devicePresence');
+const { logInfo } = require('./utils/logger');
+
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 const { validateProductAccess } = require('./middleware/productAccess');
@@ -64,12 +83,18 @@ const { validateProductAccess } = require('./middleware/productAccess');
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/clipboard', authenticateToken, clipboardRoutes);
+app.use('/api/collections', authenticateToken, collectionRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/shares', authenticateToken, shareRoutes);
+app.use('/api/devices', authenticateToken, deviceRoutes);
+app.use('/api/saved-searches', authenticateToken, savedSearchRoutes);
 app.use('/api/products', authenticateToken, productRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/utilities', authenticateToken, utilityRoutes);
 
+// Public share links, opened without an account
+app.use('/s', limiter, publicShareRoutes);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -105,8 +130,11 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       clipboard: '/api/clipboard',
+      collections: '/api/collections',
       users: '/api/users',
       shares: '/api/shares',
+      devices: '/api/devices',
+      savedSearches: '/api/saved-searches',
       products: '/api/products',
       system: '/api/system',
       utilities: '/api/utilities'
@@ -116,32 +144,12 @@ app.get('/api', (req, res) => {
   });
 });
 
-// Socket.IO connection handling
-io.use((socket, next) => {
-  const token = socket.handshake.auth.token;
-  if (!token) {
-    return next(new Error('Authentication error'));
-  }
-  // Verify token here
-  next();
-});
-
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('join-room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User ${socket.id} joined room ${roomId}`);
-  });
-  
-  socket.on('clipboard-update', (data) => {
-    socket.to(data.roomId).emit('clipboard-updated', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO authentication and rooms
+attachRealtime(io);
+// Change feed catch-up for reconnecting clients
+attachChangeFeed(io);
+// Registered device presence and send-to-device
+attachDevicePresence(io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -164,6 +172,12 @@ server.listen(PORT, HOST, () => {
   console.log(`🚀 cb.yourl.cloud server running on ${HOST}:${PORT}`);
   console.log(`📋 Clipboard history service for friends and family`);
   console.log(`🔒 Secure access control enabled`);
+
+  // Apply clipboard retention rules in the background
+  if (process.env.RETENTION_SCHEDULER_ENABLED !== 'false' && process.env.NODE_ENV !== 'test') {
+    startRetentionScheduler();
+    logInfo(`🧹 Retention scheduler started`);
+  }
 });
 
 module.exports = { app, server, io };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Server-side at-rest encryption for sensitive clipboard fields
+// Values are stored as `enc:<keyId>:<iv>:<authTag>:<ciphertext>` (base64 parts) using AES-256-GCM.
+// Keys come from a keyring file such as:
+//   { "activeKeyId": "v2", "keys": { "v1": "<base64 32 bytes>", "v2": "<base64 32 bytes>" } }
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const HASH_KEY_INFO = 'clipboard-content-hash';
+
+let keyring;
+
+const loadKeyring = (keyringPath = process.env.AT_REST_KEYRING_PATH) => {
+  if (!keyringPath) {
+    return null;
+  }
+
+  const { activeKeyId, keys = {} } = JSON.parse(fs.readFileSync(keyringPath, 'utf8'));
+  const keyMap = new Map();
+  for (const [keyId, encodedKey] of Object.entries(keys)) {
+    const key = Buffer.from(encodedKey, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Keyring key ${keyId} must be 32 bytes`);
+    }
+    if (keyId.includes(':')) {
+      throw new Error(`Keyring key id ${keyId} must not contain ':'`);
+    }
+    keyMap.set(keyId, key);
+  }
+
+  if (!keyMap.has(activeKeyId)) {
+    throw new Error(`Keyring active key ${activeKeyId} is not defined`);
+  }
+
+  return { activeKeyId, keys: keyMap };
+};
+
+// Returns the loaded keyring, or null when at-rest encryption is not configured
+const getKeyring = () => {
+  if (keyring === undefined) {
+    keyring = loadKeyring();
+  }
+
+  return keyring;
+};
+
+// Re-reads the keyring file, e.g. after a new key version was added
+const reloadKeyring = () => {
+  keyring = loadKeyring();
+  return keyring;
+};
+
+const setKeyring = value => {
+  keyring = value;
+};
+
+const ENCRYPTED_VALUE_PATTERN = new RegExp(`^${PREFIX}:[^:]+:[A-Za-z0-9+/]+=*:[A-Za-z0-9+/]+=*:[A-Za-z0-9+/]*=*$`);
+
+const isEncryptedValue = value => typeof value === 'string' && ENCRYPTED_VALUE_PATTERN.test(value);
+
+const getValueKeyId = value => (isEncryptedValue(value) ? value.split(':')[1] : null);
+
+const encryptValue = (value, keyId) => {
+  const currentKeyring = getKeyring();
+  if (!currentKeyring || value === undefined || value === null || value === '') {
+    return value;
+  }
+
+  const targetKeyId = keyId || currentKeyring.activeKeyId;
+  const key = currentKeyring.keys.get(targetKeyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${targetKeyId}`);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    targetKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+};
+
+// Schema setter. Mongoose calls setters as (value, priorValue, ...), and the prior ciphertext must not
+// be taken for a key id
+const encryptSetter = value => encryptValue(value);
+
+// Hash for finding equal values, such as duplicate content. With a keyring it is an HMAC under a key
+// derived from the active key, so stored hashes can't be checked against guessed values without the keyring
+const hashValue = value => {
+  const currentKeyring = getKeyring();
+  if (!currentKeyring) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  const activeKey = currentKeyring.keys.get(currentKeyring.activeKeyId);
+  const hashKey = Buffer.from(crypto.hkdfSync('sha256', activeKey, Buffer.alloc(0), HASH_KEY_INFO, 32));
+
+  return crypto.createHmac('sha256', hashKey).update(value).digest('hex');
+};
+
+const decryptValue = value => {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+
+  const currentKeyring = getKeyring();
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = currentKeyring && currentKeyring.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key ${keyId} is not available`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, part) => (value ? value[part] : undefined), doc);
+
+// Re-encrypts the given fields of every document in a collection onto one key version.
+// Works on raw documents so model getters and setters don't get in the way.
+async function reencryptCollection(Model, paths, keyId) {
+  const currentKeyring = getKeyring();
+  if (!currentKeyring) {
+    throw new Error('At-rest encryption is not configured');
+  }
+
+  const targetKeyId = keyId || currentKeyring.activeKeyId;
+  const result = { scanned: 0, updated: 0 };
+
+  const cursor = Model.find({}).select(paths.join(' ')).lean().cursor();
+  for await (const doc of cursor) {
+    result.scanned += 1;
+
+    const updates = {};
+    for (const path of paths) {
+      const value = getPath(doc, path);
+      if (typeof value !== 'string' || value === '' || getValueKeyId(value) === targetKeyId) {
+        continue;
+      }
+      updates[path] = encryptValue(decryptValue(value), targetKeyId);
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await Model.collection.updateOne({ _id: doc._id }, { $set: updates });
+      result.updated += 1;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  loadKeyring,
+  getKeyring,
+  reloadKeyring,
+  setKeyring,
+  isEncryptedValue,
+  getValueKeyId,
+  encryptValue,
+  encryptSetter,
+  hashValue,
+  decryptValue,
+  reencryptCollection,
+};
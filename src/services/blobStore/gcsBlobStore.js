@@ -0,0 +1,45 @@
+// Stores blobs as objects in a Google Cloud Storage bucket
+class GcsBlobStore {
+  constructor(options = {}) {
+    const { Storage } = require('@google-cloud/storage');
+
+    const bucketName = options.bucket || process.env.GOOGLE_CLOUD_STORAGE_BUCKET;
+    if (!bucketName) {
+      throw new Error('GOOGLE_CLOUD_STORAGE_BUCKET is required for the gcs blob store');
+    }
+
+    const storage = new Storage({ projectId: options.projectId || process.env.GOOGLE_CLOUD_PROJECT });
+
+    this.driver = 'gcs';
+    this.bucket = storage.bucket(bucketName);
+  }
+
+  async put(key, data, { contentType } = {}) {
+    await this.bucket.file(key).save(data, { contentType, resumable: false });
+
+    return { key, size: data.length };
+  }
+
+  async createReadStream(key) {
+    const file = this.bucket.file(key);
+    const [exists] = await file.exists();
+    if (!exists) {
+      const error = new Error(`Blob not found: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return file.createReadStream();
+  }
+
+  async exists(key) {
+    const [exists] = await this.bucket.file(key).exists();
+    return exists;
+  }
+
+  async remove(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+}
+
+module.exports = GcsBlobStore;
@@ -0,0 +1,48 @@
+const LocalBlobStore = require('./localBlobStore');
+const GcsBlobStore = require('./gcsBlobStore');
+const S3BlobStore = require('./s3BlobStore');
+
+// Every driver implements put(key, data, { contentType }), createReadStream(key), exists(key) and remove(key)
+const drivers = {
+  local: LocalBlobStore,
+  gcs: GcsBlobStore,
+  s3: S3BlobStore,
+};
+
+const stores = {};
+
+const createBlobStore = (driver = process.env.BLOB_STORE_DRIVER || 'local', options = {}) => {
+  const BlobStore = drivers[driver];
+  if (!BlobStore) {
+    throw new Error(`Unknown blob store driver: ${driver}`);
+  }
+
+  return new BlobStore(options);
+};
+
+// Returns a shared store for the given driver, defaulting to the configured one
+const getBlobStore = (driver = process.env.BLOB_STORE_DRIVER || 'local') => {
+  if (!stores[driver]) {
+    stores[driver] = createBlobStore(driver);
+  }
+
+  return stores[driver];
+};
+
+// Removes the blobs referenced by a clipboard entry: its attachment and its link preview thumbnail
+const removeEntryAttachment = async entry => {
+  if (entry.attachment && entry.attachment.key) {
+    await getBlobStore(entry.attachment.storage).remove(entry.attachment.key);
+  }
+
+  const { thumbnail, thumbnailStorage } = entry.metadata || {};
+  if (thumbnail) {
+    await getBlobStore(thumbnailStorage).remove(thumbnail);
+  }
+};
+
+module.exports = {
+  createBlobStore,
+  getBlobStore,
+  removeEntryAttachment,
+};
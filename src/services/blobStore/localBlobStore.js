@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores blobs as plain files under a root directory on the local disk
+class LocalBlobStore {
+  constructor(options = {}) {
+    const defaultRootDir = path.join(process.cwd(), 'uploads', 'blobs');
+
+    this.driver = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.BLOB_STORE_LOCAL_DIR || defaultRootDir);
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Keys must never escape the storage root
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+
+    return { key, size: data.length };
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+
+    return fs.createReadStream(filePath);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key), fs.constants.F_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalBlobStore;
@@ -0,0 +1,48 @@
+// Stores blobs as objects in an Amazon S3 bucket
+class S3BlobStore {
+  constructor(options = {}) {
+    const AWS = require('aws-sdk');
+
+    this.bucket = options.bucket || process.env.AWS_S3_BUCKET;
+    if (!this.bucket) {
+      throw new Error('AWS_S3_BUCKET is required for the s3 blob store');
+    }
+
+    this.driver = 's3';
+    this.s3 = new AWS.S3({ region: options.region || process.env.AWS_REGION });
+  }
+
+  async put(key, data, { contentType } = {}) {
+    await this.s3.putObject({ Bucket: this.bucket, Key: key, Body: data, ContentType: contentType }).promise();
+
+    return { key, size: data.length };
+  }
+
+  async createReadStream(key) {
+    if (!(await this.exists(key))) {
+      const error = new Error(`Blob not found: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  async exists(key) {
+    try {
+      await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+}
+
+module.exports = S3BlobStore;
@@ -0,0 +1,213 @@
+const Clipboard = require('../models/Clipboard');
+const ClipboardChange = require('../models/ClipboardChange');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { getVisibilityContext, isEntryVisible } = require('./clipboardVisibility');
+const { userRoom } = require('./realtime');
+const { logError } = require('../utils/logger');
+
+// Change feed for offline catch-up. Every created, updated, deleted, shared and favorited change to an
+// entry gets the product's next sequence number, so a client that remembers the last number it saw can
+// ask for everything after it (GET /api/clipboard/changes, or the since map in the socket handshake).
+// Changes are filtered by who could see the entry when it changed and come with the entry as it is now.
+// Delivery is at least once: replays can overlap events already received live.
+
+const DEFAULT_CHANGE_LIMIT = 100;
+const MAX_CHANGE_LIMIT = 500;
+// Pages replayed on reconnect before the client has to page through the rest itself
+const MAX_REPLAY_PAGES = 5;
+
+// Favorites are per user, so only the user who favorited sees the change
+const PERSONAL_TYPES = ['favorited'];
+
+const counterName = productId => `clipboard-changes:${productId}`;
+
+const idOf = value => (value && value._id) || value;
+
+const snapshotAudience = entry => ({
+  createdBy: idOf(entry.createdBy),
+  accessLevel: entry.accessLevel,
+  isPublic: entry.isPublic,
+  sharedWith: (entry.sharedWith || []).map(share => ({ userId: idOf(share.userId), expiresAt: share.expiresAt })),
+  groupShares: (entry.groupShares || []).map(share => ({
+    groupType: share.groupType,
+    groupId: share.groupId,
+    expiresAt: share.expiresAt,
+  })),
+});
+
+const parseChangeLimit = limit => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_CHANGE_LIMIT;
+  }
+
+  return Math.min(parsed, MAX_CHANGE_LIMIT);
+};
+
+// Records changes to entries of one product under consecutive sequence numbers and tells connected
+// clients about them. Each change is { type, entry, actor, recipients, details }.
+// Feed writes shouldn't fail the action they record, so errors are logged and nothing is returned
+async function recordChanges(productId, changes, io) {
+  if (changes.length === 0) {
+    return [];
+  }
+
+  try {
+    const lastSeq = await Counter.reserve(counterName(productId), changes.length);
+    const firstSeq = lastSeq - changes.length + 1;
+
+    const records = changes.map(({ type, entry, actor, recipients = [], details }, index) => ({
+      productId,
+      seq: firstSeq + index,
+      type,
+      entryId: entry._id,
+      actor: idOf(actor),
+      audience: PERSONAL_TYPES.includes(type) ? null : snapshotAudience(entry),
+      recipients: recipients.map(idOf),
+      details,
+    }));
+    await ClipboardChange.insertMany(records);
+
+    if (io) {
+      for (const record of records) {
+        const rooms = record.recipients.map(userRoom);
+        if (record.audience) {
+          rooms.push(productId);
+        }
+        const change = { productId, seq: record.seq, type: record.type, entryId: record.entryId };
+        io.to(rooms).emit('clipboard-change', change);
+      }
+    }
+
+    return records;
+  } catch (error) {
+    logError('Record change error:', error);
+    return [];
+  }
+}
+
+const recordChange = (productId, change, io) => recordChanges(productId, [change], io);
+
+const isChangeVisible = (change, context) => {
+  const userId = context.userId.toString();
+  if (change.recipients.some(recipient => recipient.toString() === userId)) {
+    return true;
+  }
+
+  return Boolean(change.audience) && isEntryVisible(change.audience, context);
+};
+
+// The user's view of a product's changes after `since`:
+// { changes, nextSeq, latestSeq, hasMore, resetRequired }. Keep asking with since = nextSeq while hasMore.
+// resetRequired means changes after `since` are no longer kept, so the client should reload its entries
+// and carry on from latestSeq
+async function getChanges(user, productId, since = 0, limit = DEFAULT_CHANGE_LIMIT) {
+  const latestSeq = await Counter.current(counterName(productId));
+  const oldestSeq = await ClipboardChange.oldestSeq(productId);
+
+  const aheadOfFeed = since > latestSeq;
+  const behindFeed = since < latestSeq && (oldestSeq === null || oldestSeq > since + 1);
+  if (aheadOfFeed || behindFeed) {
+    return { changes: [], nextSeq: latestSeq, latestSeq, hasMore: false, resetRequired: true };
+  }
+
+  const scanned = await ClipboardChange.findSince(productId, since, limit + 1);
+  const hasMore = scanned.length > limit;
+  const page = scanned.slice(0, limit);
+
+  const context = await getVisibilityContext(user, productId);
+  const visible = page.filter(change => isChangeVisible(change, context));
+
+  // Entries as they are now; deleted entries, and ones the user can no longer see, come without one
+  const entryIds = visible.filter(change => change.type !== 'deleted').map(change => change.entryId);
+  const entries = entryIds.length > 0 ? await Clipboard.find({ _id: { $in: entryIds }, productId }) : [];
+  const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+  const changes = visible.map(change => {
+    const entry = change.type !== 'deleted' && entriesById.get(change.entryId.toString());
+    return {
+      seq: change.seq,
+      type: change.type,
+      entryId: change.entryId,
+      actor: change.actor,
+      details: change.details,
+      createdAt: change.createdAt,
+      entry: entry && isEntryVisible(entry, context) ? entry : null,
+    };
+  });
+
+  // Scanning never passes a change the user can't see, so the position advances over those too
+  const nextSeq = page.length > 0 ? page[page.length - 1].seq : since;
+  return { changes, nextSeq, latestSeq: Math.max(latestSeq, nextSeq), hasMore, resetRequired: false };
+}
+
+// Sends the socket the changes it missed in each product it presented a sequence number for,
+// as 'clipboard-changes' events shaped like getChanges results
+async function replayChanges(socket, since) {
+  const productIds = Object.keys(since).filter(productId => socket.data.productIds.includes(productId));
+  if (productIds.length === 0) {
+    return;
+  }
+
+  const user = await User.findById(socket.data.userId);
+  if (!user) {
+    return;
+  }
+
+  for (const productId of productIds) {
+    let seq = parseInt(since[productId]) || 0;
+    for (let pageCount = 0; pageCount < MAX_REPLAY_PAGES; pageCount++) {
+      const page = await getChanges(user, productId, seq);
+      socket.emit('clipboard-changes', { productId, ...page });
+
+      if (!page.hasMore) {
+        break;
+      }
+      seq = page.nextSeq;
+    }
+  }
+}
+
+function handleSync(socket) {
+  const since = socket.handshake.auth && socket.handshake.auth.since;
+
+  // A recovered connection already had its missed events delivered
+  if (!socket.recovered && since && typeof since === 'object') {
+    replayChanges(socket, since).catch(error => logError('Replay changes error:', error));
+  }
+
+  // Acknowledges with a getChanges result, or { error }
+  socket.on('sync', async (request, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { productId, since: seq, limit } = request || {};
+      const user = await User.findById(socket.data.userId);
+      if (!user || !user.isActive || !user.hasProductAccess(productId, 'read')) {
+        return reply({ error: 'Access denied to this product' });
+      }
+
+      reply(await getChanges(user, productId, parseInt(seq) || 0, parseChangeLimit(limit)));
+    } catch (error) {
+      logError('Sync error:', error);
+      reply({ error: 'Failed to sync changes' });
+    }
+  });
+}
+
+function attachChangeFeed(io) {
+  io.on('connection', handleSync);
+  return io;
+}
+
+module.exports = {
+  DEFAULT_CHANGE_LIMIT,
+  MAX_CHANGE_LIMIT,
+  parseChangeLimit,
+  recordChange,
+  recordChanges,
+  getChanges,
+  replayChanges,
+  handleSync,
+  attachChangeFeed,
+};
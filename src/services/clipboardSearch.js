@@ -0,0 +1,556 @@
+const Clipboard = require('../models/Clipboard');
+const User = require('../models/User');
+const { getKeyring } = require('./atRestEncryption');
+const { parseLimit, findPage, getCursorError } = require('../utils/pagination');
+const { parseSearchQuery, hasMatchingText, formatTextSearch } = require('../utils/searchQuery');
+
+// Full-text search over the entries a user may see. Queries of one or two plain words match word
+// prefixes ("kube" finds "kubernetes") and, for words of four or more letters, words one typo away;
+// longer queries, phrases and negations go to the $text index. Results are ranked by relevance
+// (textScore, or how closely each word matched) blended with recency and favorites, and come with
+// highlighted fragments of the content they matched. Facet counts cover every match, not just the page.
+// `q` may also hold filters in the search box syntax (type:link tag:work from:alice ...), see utils/searchQuery.
+// Content encrypted at rest can't be matched, so text search is refused with TEXT_SEARCH_UNAVAILABLE while a
+// keyring is configured; filters still work.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEARCH_SORTS = ['relevance', 'newest'];
+const SHORT_QUERY_TERMS = 2;
+const FUZZY_MIN_LENGTH = 4;
+const MAX_TERM_LENGTH = 32;
+
+// Relevance of a short-query word by how it matched
+const MATCH_WEIGHTS = { word: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// An entry this many days old keeps half of its recency boost
+const RECENCY_HALF_LIFE_DAYS = 30;
+const RECENCY_WEIGHT = 0.5;
+const FAVORITE_WEIGHT = 0.5;
+
+const FACET_LIMIT = 10;
+const DATE_BUCKETS = [
+  { name: 'day', days: 1 },
+  { name: 'week', days: 7 },
+  { name: 'month', days: 30 },
+  { name: 'year', days: 365 },
+];
+
+const FRAGMENT_CONTEXT = 40;
+const MAX_FRAGMENT_LENGTH = 200;
+const MAX_FRAGMENTS = 3;
+
+const TEXT_SEARCH_UNAVAILABLE =
+  'Text search is unavailable while clipboard content is encrypted at rest. ' +
+  'Filter by type:, tag:, from:, after: or before: instead';
+
+// Whether content is stored in plaintext, so words and phrases can be matched against it
+const canSearchText = () => !getKeyring();
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercased words of a query, leaving out negated ones (-word)
+const parseTerms = q =>
+  String(q || '')
+    .split(/\s+/)
+    .filter(word => !word.startsWith('-'))
+    .flatMap(word => word.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+
+// Whether the query is matched by prefix and typo rather than by the text index
+const isShortQuery = q => {
+  const terms = parseTerms(q);
+  return (
+    terms.length > 0 &&
+    terms.length <= SHORT_QUERY_TERMS &&
+    terms.every(term => term.length <= MAX_TERM_LENGTH) &&
+    !/"|(?:^|\s)-/.test(q)
+  );
+};
+
+// Patterns for spellings one typo away from the term: a character added, dropped, changed or two swapped
+const fuzzyVariants = term => {
+  const chars = [...term];
+  if (chars.length < FUZZY_MIN_LENGTH) {
+    return [];
+  }
+
+  const variants = new Set();
+  for (let i = 0; i <= chars.length; i++) {
+    const head = escapeRegex(chars.slice(0, i).join(''));
+    variants.add(`${head}\\S${escapeRegex(chars.slice(i).join(''))}`);
+
+    if (i < chars.length) {
+      const rest = escapeRegex(chars.slice(i + 1).join(''));
+      variants.add(head + rest);
+      variants.add(`${head}\\S${rest}`);
+    }
+    if (i < chars.length - 1) {
+      variants.add(head + escapeRegex([chars[i + 1], chars[i], ...chars.slice(i + 2)].join('')));
+    }
+  }
+
+  return [...variants];
+};
+
+const termPatterns = term => {
+  const escaped = escapeRegex(term);
+  const variants = fuzzyVariants(term);
+
+  return {
+    word: `\\b${escaped}\\b`,
+    prefix: `\\b${escaped}`,
+    fuzzy: variants.length > 0 ? `\\b(?:${variants.join('|')})\\b` : null,
+  };
+};
+
+// Matches the term as the start of a word, or a whole word one typo away
+const termSource = term => {
+  const { prefix, fuzzy } = termPatterns(term);
+  return fuzzy ? `${prefix}|${fuzzy}` : prefix;
+};
+
+// Accepts repeated params or a comma-separated list
+const parseList = value =>
+  []
+    .concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// The words and phrases of `q` as a $text search string, without its filters. Empty when `q` is malformed
+const getTextQuery = q => {
+  const { query } = parseSearchQuery(q);
+  return query ? formatTextSearch(query.text) : '';
+};
+
+// Whether `q` has words or phrases to match, and so can be ranked by relevance
+const hasTextQuery = q => {
+  const { query } = parseSearchQuery(q);
+  return Boolean(query && hasMatchingText(query.text));
+};
+
+const textPattern = value => new RegExp(escapeRegex(value), 'i');
+
+// Whether the text part of a parsed query goes to the $text index rather than being matched by regex
+const usesTextIndex = text => hasMatchingText(text) && !isShortQuery(formatTextSearch(text));
+
+// Regex clauses for the text part of a parsed query that doesn't use the $text index: short queries, and
+// text that only leaves words and phrases out, which the index can't run as it needs something to match
+const textClauses = text => {
+  if (usesTextIndex(text)) {
+    return [];
+  }
+  if (!hasMatchingText(text)) {
+    const excluded = [...text.excludedWords, ...text.excludedPhrases].map(textPattern);
+    return excluded.map(pattern => ({ $nor: [{ content: pattern }, { tags: pattern }] }));
+  }
+
+  return parseTerms(formatTextSearch(text)).map(term => {
+    const pattern = new RegExp(termSource(term), 'i');
+    return { $or: [{ content: pattern }, { tags: pattern }] };
+  });
+};
+
+// Mongo clauses for the filters of a parsed query. Usernames in from: are looked up; unknown ones match nothing
+async function filterClauses(filters) {
+  const clauses = [];
+  // Any of several types may match, but every tag must
+  const addValues = (field, { include, exclude }, includeOperator) => {
+    if (include.length > 0) {
+      clauses.push({ [field]: { [includeOperator]: include } });
+    }
+    if (exclude.length > 0) {
+      clauses.push({ [field]: { $nin: exclude } });
+    }
+  };
+
+  addValues('type', filters.type, '$in');
+  addValues('tags', filters.tag, '$all');
+
+  const { include: fromNames, exclude: notFromNames } = filters.from;
+  if (fromNames.length > 0 || notFromNames.length > 0) {
+    const users = await User.find({ username: { $in: [...fromNames, ...notFromNames] } }).select('_id username');
+    const idsOf = names => users.filter(user => names.includes(user.username)).map(user => user._id);
+    if (fromNames.length > 0) {
+      clauses.push({ createdBy: { $in: idsOf(fromNames) } });
+    }
+    if (notFromNames.length > 0) {
+      clauses.push({ createdBy: { $nin: idsOf(notFromNames) } });
+    }
+  }
+
+  if (filters.after) {
+    clauses.push({ createdAt: { $gte: filters.after } });
+  }
+  if (filters.before) {
+    clauses.push({ createdAt: { $lt: filters.before } });
+  }
+
+  return clauses;
+}
+
+// Builds the search filter from the entries the user may see. End-to-end encrypted entries are left out of
+// text searches. Throws when `q` is malformed or its text can't be searched; check it with getSearchError first
+async function buildSearchFilter(visibleEntries, { q, type, tags, dateFrom, dateTo } = {}) {
+  const query = { ...visibleEntries };
+
+  const parsed = parseSearchQuery(q);
+  if (parsed.error) {
+    throw new Error(`Invalid search query: ${parsed.error}`);
+  }
+  const { text, filters } = parsed.query;
+
+  const textSearch = formatTextSearch(text);
+  if (textSearch && !canSearchText()) {
+    throw new Error(TEXT_SEARCH_UNAVAILABLE);
+  }
+  if (textSearch) {
+    query['encryption.isEncrypted'] = { $ne: true };
+    if (usesTextIndex(text)) {
+      query.$text = { $search: textSearch };
+    }
+  }
+
+  const clauses = [...textClauses(text), ...(await filterClauses(filters))];
+  if (clauses.length > 0) {
+    query.$and = clauses;
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  const tagList = parseList(tags);
+  if (tagList.length > 0) {
+    query.tags = { $in: tagList };
+  }
+
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) {
+      query.createdAt.$gte = new Date(dateFrom);
+    }
+    if (dateTo) {
+      query.createdAt.$lte = new Date(dateTo);
+    }
+  }
+
+  return query;
+}
+
+// Content and tags as one string, for matching short-query words in a pipeline
+const SEARCH_TEXT = {
+  $concat: [
+    { $ifNull: ['$content', ''] },
+    { $reduce: { input: { $ifNull: ['$tags', []] }, initialValue: '', in: { $concat: ['$$value', ' ', '$$this'] } } },
+  ],
+};
+
+// Relevance of each entry to the query: its textScore, or the sum of how closely each word matched
+const relevanceExpression = q => {
+  if (!isShortQuery(q)) {
+    return { $meta: 'textScore' };
+  }
+
+  const termRelevance = term => {
+    const patterns = termPatterns(term);
+    const tiers = ['word', 'prefix', 'fuzzy'].filter(tier => patterns[tier]);
+    return tiers.reduceRight((otherwise, tier) => {
+      const matched = { $regexMatch: { input: '$searchText', regex: patterns[tier], options: 'i' } };
+      return { $cond: [matched, MATCH_WEIGHTS[tier], otherwise] };
+    }, 0);
+  };
+
+  return { $add: parseTerms(q).map(termRelevance) };
+};
+
+// Relevance scaled up by recency (1 when new, halving every RECENCY_HALF_LIFE_DAYS) and favorites
+// (1 for the user's own, 0.1 per other favorite up to 0.5)
+const rankExpression = (userId, now) => {
+  const ageDays = { $max: [0, { $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] }] };
+  const recency = { $divide: [RECENCY_HALF_LIFE_DAYS, { $add: [RECENCY_HALF_LIFE_DAYS, ageDays] }] };
+  const favoritedBy = { $ifNull: ['$favoritedBy', []] };
+  const favorite = {
+    $cond: [{ $in: [userId, favoritedBy] }, 1, { $min: [0.5, { $multiply: [0.1, { $size: favoritedBy }] }] }],
+  };
+
+  return {
+    $multiply: [
+      '$relevance',
+      { $add: [1, { $multiply: [RECENCY_WEIGHT, recency] }, { $multiply: [FAVORITE_WEIGHT, favorite] }] },
+    ],
+  };
+};
+
+// Ranked pages use cursors holding a position in the ranking, base64url-encoded like date cursors
+const encodeRankCursor = position => Buffer.from(JSON.stringify({ r: position })).toString('base64url');
+
+const decodeRankCursor = cursor => {
+  try {
+    const { r } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(r) && r >= 0 ? r : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The slice of the ranking to read: from a `before` cursor down, or the page above an `after` cursor
+const buildRankWindow = ({ before, after } = {}, limit) => {
+  if (before && after) {
+    throw new Error('Use either before or after, not both');
+  }
+
+  const cursor = before || after;
+  if (!cursor) {
+    return { offset: 0, size: limit, reverse: false };
+  }
+
+  const position = decodeRankCursor(cursor);
+  if (position === null) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  if (before) {
+    return { offset: position, size: limit, reverse: false };
+  }
+
+  const offset = Math.max(0, position - limit);
+  return { offset, size: position - offset, reverse: true };
+};
+
+// Returns a client-facing message when the cursor params can't be used for a ranked page, otherwise null
+const getRankCursorError = params => {
+  try {
+    buildRankWindow(params, 1);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Authors shown alongside search results, as in clipboard lists
+const populateAuthors = query =>
+  query.populate('createdBy', 'username firstName lastName').populate('lastModifiedBy', 'username firstName lastName');
+
+// Fetches one page of matches, best first, ranked against `q`: the text part of the query, as
+// getTextQuery returns it. Each entry's rank is left in $locals.searchScore. Takes the same options as findPage
+async function findRankedPage(filter, q, userId, options = {}) {
+  const { before, after, includeTotal, prepare = query => query, now = new Date() } = options;
+  const limit = parseLimit(options.limit);
+  const { offset, size, reverse } = buildRankWindow({ before, after }, limit);
+
+  const pipeline = [
+    { $match: filter },
+    ...(isShortQuery(q) ? [{ $addFields: { searchText: SEARCH_TEXT } }] : []),
+    { $addFields: { relevance: relevanceExpression(q) } },
+    { $addFields: { rank: rankExpression(userId, now) } },
+    { $sort: { rank: -1, createdAt: -1, _id: -1 } },
+    { $skip: offset },
+    { $limit: size + 1 },
+    { $project: { rank: 1 } },
+  ];
+
+  const ranked = size > 0 ? await Clipboard.aggregate(pipeline) : [];
+  const page = ranked.slice(0, size);
+
+  const docs = page.length > 0 ? await prepare(Clipboard.find({ _id: { $in: page.map(match => match._id) } })) : [];
+  const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  const items = [];
+  for (const { _id, rank } of page) {
+    const entry = docsById.get(_id.toString());
+    if (entry) {
+      entry.$locals.searchScore = rank;
+      items.push(entry);
+    }
+  }
+
+  const pagination = {
+    limit,
+    // Pages above an `after` cursor run up to the top of the ranking
+    hasMore: reverse ? offset > 0 : ranked.length > size,
+    // Pass as `before` for the next page down and as `after` for the one above
+    nextCursor: page.length > 0 ? encodeRankCursor(offset + page.length) : null,
+    prevCursor: page.length > 0 ? encodeRankCursor(offset) : null,
+  };
+
+  if (includeTotal) {
+    pagination.total = await Clipboard.countDocuments(filter);
+  }
+
+  return { items, pagination };
+}
+
+const findMatches = (text, pattern) =>
+  [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+
+// Snippets of text around the pattern's matches; nearby matches share a snippet
+const buildFragments = (text, pattern) => {
+  const windows = [];
+  for (const [start, end] of findMatches(text, pattern)) {
+    const last = windows[windows.length - 1];
+    const windowEnd = Math.min(text.length, end + FRAGMENT_CONTEXT);
+    if (last && start - FRAGMENT_CONTEXT <= last.end && windowEnd - last.start <= MAX_FRAGMENT_LENGTH) {
+      last.end = Math.max(last.end, windowEnd);
+      last.matches.push([start, end]);
+      continue;
+    }
+    if (windows.length === MAX_FRAGMENTS) {
+      break;
+    }
+    windows.push({ start: Math.max(0, start - FRAGMENT_CONTEXT), end: windowEnd, matches: [[start, end]] });
+  }
+
+  return windows.map(({ start, end, matches }) => {
+    const lead = start > 0 ? '…' : '';
+    const shift = lead.length - start;
+    return {
+      text: `${lead}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+      matches: matches.map(([matchStart, matchEnd]) => [matchStart + shift, matchEnd + shift]),
+    };
+  });
+};
+
+// Fragments of the entry's content around the query's words, and the tags they matched. Match offsets
+// are [start, end) within each fragment's text. View-limited and encrypted entries get none
+function highlightEntry(entry, q) {
+  const terms = parseTerms(q);
+  const isEncrypted = Boolean(entry.encryption && entry.encryption.isEncrypted);
+  if (terms.length === 0 || entry.maxViews || isEncrypted) {
+    return [];
+  }
+
+  const pattern = new RegExp(terms.map(termSource).join('|'), 'gi');
+  const highlights = buildFragments(String(entry.content || ''), pattern).map(fragment => ({
+    field: 'content',
+    ...fragment,
+  }));
+
+  for (const tag of entry.tags || []) {
+    const matches = findMatches(tag, pattern);
+    if (matches.length > 0) {
+      highlights.push({ field: 'tags', text: tag, matches });
+    }
+  }
+
+  return highlights;
+}
+
+// Counts of every match by type, tag, creator and age. Each entry falls in its narrowest date bucket
+async function getSearchFacets(filter, now = new Date()) {
+  const countBy = field => [{ $group: { _id: field, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }];
+  const dateBucket = {
+    $switch: {
+      branches: DATE_BUCKETS.map(({ name, days }) => ({
+        case: { $gte: ['$createdAt', new Date(now.getTime() - days * DAY_MS)] },
+        then: name,
+      })),
+      default: 'older',
+    },
+  };
+
+  const [facets] = await Clipboard.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        type: countBy('$type'),
+        tags: [{ $unwind: '$tags' }, ...countBy('$tags'), { $limit: FACET_LIMIT }],
+        createdBy: [...countBy('$createdBy'), { $limit: FACET_LIMIT }],
+        date: countBy(dateBucket),
+      },
+    },
+  ]);
+
+  const creatorIds = facets.createdBy.map(facet => facet._id);
+  const creators = await User.find({ _id: { $in: creatorIds } }).select('username firstName lastName');
+  const creatorsById = new Map(creators.map(creator => [creator._id.toString(), creator]));
+  const dateCounts = new Map(facets.date.map(facet => [facet._id, facet.count]));
+
+  return {
+    type: facets.type.map(({ _id, count }) => ({ value: _id, count })),
+    tags: facets.tags.map(({ _id, count }) => ({ value: _id, count })),
+    createdBy: facets.createdBy.map(({ _id, count }) => ({
+      value: _id,
+      user: creatorsById.get(String(_id)) || null,
+      count,
+    })),
+    date: [...DATE_BUCKETS.map(bucket => bucket.name), 'older'].map(name => ({
+      value: name,
+      count: dateCounts.get(name) || 0,
+    })),
+  };
+}
+
+// Queries with words or phrases to match are ranked by relevance unless asked otherwise; filters alone by date
+const getSearchSort = ({ q, sort } = {}) => sort || (hasTextQuery(q) ? 'relevance' : 'newest');
+
+// Returns a client-facing message when the search params or cursors can't be used, otherwise null.
+// Malformed queries also get the position in `q` of the character at fault
+const getSearchError = (params = {}) => {
+  const parsed = parseSearchQuery(params.q);
+  if (parsed.error) {
+    return { error: parsed.error, position: parsed.position };
+  }
+  if (formatTextSearch(parsed.query.text) && !canSearchText()) {
+    return { error: TEXT_SEARCH_UNAVAILABLE };
+  }
+
+  const sort = getSearchSort(params);
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` };
+  }
+  if (sort === 'relevance' && !hasMatchingText(parsed.query.text)) {
+    return { error: 'Sorting by relevance needs words or phrases to search for' };
+  }
+
+  for (const name of ['dateFrom', 'dateTo']) {
+    if (params[name] && Number.isNaN(new Date(params[name]).getTime())) {
+      return { error: `${name} must be a date` };
+    }
+  }
+
+  const cursorError = sort === 'relevance' ? getRankCursorError(params) : getCursorError(params);
+  return cursorError ? { error: cursorError } : null;
+};
+
+// Runs a search over the entries a user may see: one page of matches, each with its score and
+// highlights, and the facet counts. Takes the same page options as findPage
+async function searchEntries(visibleEntries, userId, params, pageOptions = {}) {
+  const options = { prepare: populateAuthors, ...pageOptions };
+  const filter = await buildSearchFilter(visibleEntries, params);
+  const textQuery = getTextQuery(params.q);
+
+  const { items, pagination } =
+    getSearchSort(params) === 'relevance'
+      ? await findRankedPage(filter, textQuery, userId, options)
+      : await findPage(Clipboard, filter, options);
+
+  return {
+    entries: items.map(entry => ({
+      ...entry.toJSON(),
+      score: entry.$locals.searchScore,
+      highlights: highlightEntry(entry, textQuery),
+    })),
+    pagination,
+    facets: await getSearchFacets(filter),
+  };
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  TEXT_SEARCH_UNAVAILABLE,
+  canSearchText,
+  parseTerms,
+  isShortQuery,
+  fuzzyVariants,
+  termSource,
+  getTextQuery,
+  buildSearchFilter,
+  encodeRankCursor,
+  getRankCursorError,
+  findRankedPage,
+  highlightEntry,
+  getSearchFacets,
+  getSearchSort,
+  getSearchError,
+  searchEntries,
+};
@@ -0,0 +1,161 @@
+const FamilyGroup = require('../models/FamilyGroup');
+
+// Visibility policy for clipboard reads. Members of a product see:
+// - their own entries
+// - public entries (accessLevel 'public' or the legacy isPublic flag)
+// - entries shared with them directly through sharedWith, until the share's expiresAt
+// - entries shared with their family group or, by one of their friends, with that friend's friends
+//   (groupShares), until the share's expiresAt; these follow membership, so leaving the group or
+//   the friendship hides them again
+// - 'shared' entries created by members of their family group, unless their canViewAll permission is off
+// Platform admins and product admins see every entry in the product.
+
+const isAdminFor = (user, productId) =>
+  user.role === 'admin' || (typeof user.hasProductAccess === 'function' && user.hasProductAccess(productId, 'admin'));
+
+// The family group the user belongs to, and the members whose 'shared' entries they may see
+async function getFamilyContext(user) {
+  const none = { familyGroupId: null, familyMemberIds: [] };
+  if (!user.familyGroup) {
+    return none;
+  }
+
+  const group = await FamilyGroup.findById(user.familyGroup).select('members').lean();
+  if (!group) {
+    return none;
+  }
+
+  const membership = group.members.find(member => member.userId.toString() === user._id.toString());
+  if (!membership) {
+    return none;
+  }
+  if (membership.permissions && membership.permissions.canViewAll === false) {
+    return { familyGroupId: group._id, familyMemberIds: [] };
+  }
+
+  return { familyGroupId: group._id, familyMemberIds: group.members.map(member => member.userId) };
+}
+
+// Resolves what the user may see in a product; reuse it when checking many entries
+async function getVisibilityContext(user, productId) {
+  if (isAdminFor(user, productId)) {
+    return { userId: user._id, isAdmin: true, familyGroupId: null, familyMemberIds: [], friendIds: [] };
+  }
+
+  return { userId: user._id, isAdmin: false, ...(await getFamilyContext(user)), friendIds: user.friends || [] };
+}
+
+// Shares without an expiresAt never expire
+const isShareActive = (share, now = new Date()) => !share.expiresAt || new Date(share.expiresAt) > now;
+
+// Matches entries with a share for the user that hasn't expired
+const activeShareClause = (userId, now = new Date()) => ({
+  sharedWith: { $elemMatch: { userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } },
+});
+
+// Matches entries with a group share, that hasn't expired, for the user's family group or one of their friends
+const activeGroupShareClauses = (context, now = new Date()) => {
+  const active = { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  const clauses = [];
+
+  if (context.familyGroupId) {
+    const familyShare = { groupType: 'family', groupId: context.familyGroupId, ...active };
+    clauses.push({ groupShares: { $elemMatch: familyShare } });
+  }
+  if (context.friendIds.length > 0) {
+    const friendsShare = { groupType: 'friends', groupId: { $in: context.friendIds }, ...active };
+    clauses.push({ groupShares: { $elemMatch: friendsShare } });
+  }
+
+  return clauses;
+};
+
+// Group share clauses for the user in any product, e.g. to list what was shared with them
+async function buildGroupShareClauses(user) {
+  const { familyGroupId } = await getFamilyContext(user);
+  return activeGroupShareClauses({ familyGroupId, friendIds: user.friends || [] });
+}
+
+const isGroupShareFor = (share, context) => {
+  const groupId = share.groupId && share.groupId.toString();
+  if (share.groupType === 'family') {
+    return Boolean(context.familyGroupId) && context.familyGroupId.toString() === groupId;
+  }
+
+  return context.friendIds.some(friendId => friendId.toString() === groupId);
+};
+
+const buildVisibilityClauses = context => {
+  const clauses = [
+    { createdBy: context.userId },
+    { accessLevel: 'public' },
+    { isPublic: true },
+    activeShareClause(context.userId),
+    ...activeGroupShareClauses(context),
+  ];
+
+  if (context.familyMemberIds.length > 0) {
+    clauses.push({ accessLevel: 'shared', createdBy: { $in: context.familyMemberIds } });
+  }
+
+  return clauses;
+};
+
+// Builds the Mongo filter for entries of a product the user may see. Also usable as an aggregate $match
+async function buildVisibilityFilter(user, productId) {
+  const context = await getVisibilityContext(user, productId);
+  if (context.isAdmin) {
+    return { productId };
+  }
+
+  return { productId, $or: buildVisibilityClauses(context) };
+}
+
+const isEntryVisible = (entry, context) => {
+  if (context.isAdmin) {
+    return true;
+  }
+
+  const userId = context.userId.toString();
+  const createdBy = (entry.createdBy && entry.createdBy._id) || entry.createdBy;
+
+  if (createdBy && createdBy.toString() === userId) {
+    return true;
+  }
+
+  if (entry.isPublic || entry.accessLevel === 'public') {
+    return true;
+  }
+
+  const sharedWith = entry.sharedWith || [];
+  if (sharedWith.some(share => share.userId && share.userId.toString() === userId && isShareActive(share))) {
+    return true;
+  }
+
+  const groupShares = entry.groupShares || [];
+  if (groupShares.some(share => isGroupShareFor(share, context) && isShareActive(share))) {
+    return true;
+  }
+
+  return (
+    entry.accessLevel === 'shared' &&
+    Boolean(createdBy) &&
+    context.familyMemberIds.some(memberId => memberId.toString() === createdBy.toString())
+  );
+};
+
+// Checks a single entry against the same policy as buildVisibilityFilter
+async function canViewEntry(user, entry) {
+  const context = await getVisibilityContext(user, entry.productId);
+  return isEntryVisible(entry, context);
+}
+
+module.exports = {
+  isShareActive,
+  activeShareClause,
+  buildGroupShareClauses,
+  getVisibilityContext,
+  buildVisibilityFilter,
+  isEntryVisible,
+  canViewEntry,
+};
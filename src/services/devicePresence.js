@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Clipboard = require('../models/Clipboard');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const { canViewEntry } = require('./clipboardVisibility');
+const { userRoom, deviceRoom } = require('./realtime');
+const { logError } = require('../utils/logger');
+
+// Registered devices: presence and send-to-device. A socket that names one of its user's devices in the
+// handshake (auth.deviceId) joins that device's room, and the user's other sockets hear 'device-presence'
+// when the device comes online or goes offline. Presence is read from the sockets connected right now,
+// so nothing is stored for it beyond lastSeenAt. Entries sent to an offline device wait on the device
+// and are delivered when it next connects.
+
+const MAX_DEVICES_PER_USER = 20;
+
+// Resolves to the user's device, or null when the id isn't one of theirs
+async function findUserDevice(deviceId, userId) {
+  if (!mongoose.isValidObjectId(deviceId)) {
+    return null;
+  }
+
+  return Device.findOne({ _id: deviceId, userId });
+}
+
+// Entry metadata naming the device an entry was copied on, or { error } when it isn't one of the user's.
+// The free-text device field keeps the device's name for clients that only read that
+async function resolveSourceDevice(deviceId, userId) {
+  if (!deviceId) {
+    return { metadata: {} };
+  }
+
+  const device = await findUserDevice(deviceId, userId);
+  if (!device) {
+    return { error: 'Unknown device' };
+  }
+
+  await Device.touch(device._id);
+  return { metadata: { deviceId: device._id, device: device.name } };
+}
+
+// Ids of the user's devices with a connected socket. Takes the io server or a namespace
+async function getOnlineDeviceIds(io, userId) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  return new Set(sockets.map(socket => socket.data.deviceId).filter(Boolean));
+}
+
+async function isDeviceOnline(io, deviceId) {
+  const sockets = await io.in(deviceRoom(deviceId)).fetchSockets();
+  return sockets.length > 0;
+}
+
+// Resolves to 'delivered' when the device is connected, or 'queued' when it gets the entry on its next connect
+async function sendEntryToDevice(io, device, entry, sentFrom = null) {
+  if (await isDeviceOnline(io, device._id)) {
+    const delivery = { entry, productId: entry.productId, sentFrom, sentAt: new Date() };
+    io.to(deviceRoom(device._id)).emit('clipboard-sent', delivery);
+    return 'delivered';
+  }
+
+  await Device.queueEntry(device._id, { entryId: entry._id, productId: entry.productId, sentFrom });
+  return 'queued';
+}
+
+// Sends what arrived while the device was offline, skipping entries since deleted or no longer visible
+async function deliverPendingEntries(socket, device) {
+  if (device.pendingEntries.length === 0) {
+    return;
+  }
+
+  const user = await User.findById(device.userId);
+  const entryIds = device.pendingEntries.map(pending => pending.entryId);
+  const entries = await Clipboard.find({ _id: { $in: entryIds }, destroyedAt: null });
+  const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+  for (const pending of device.pendingEntries) {
+    const entry = entriesById.get(pending.entryId.toString());
+    const canRead = user && user.isActive && user.hasProductAccess(pending.productId, 'read');
+    if (entry && canRead && (await canViewEntry(user, entry))) {
+      const { productId, sentFrom, sentAt } = pending;
+      socket.emit('clipboard-sent', { entry, productId, sentFrom, sentAt });
+    }
+  }
+
+  const pendingIds = device.pendingEntries.map(pending => pending._id);
+  await Device.updateOne({ _id: device._id }, { $pull: { pendingEntries: { _id: { $in: pendingIds } } } });
+}
+
+// Socket middleware, run after authentication. Sockets without a deviceId connect as before
+async function identifyDevice(socket, next) {
+  const deviceId = socket.handshake.auth && socket.handshake.auth.deviceId;
+  if (!deviceId) {
+    return next();
+  }
+
+  try {
+    const device = await findUserDevice(deviceId, socket.data.userId);
+    if (!device) {
+      return next(new Error('Unknown device'));
+    }
+
+    socket.data.deviceId = device._id.toString();
+    next();
+  } catch (error) {
+    logError('Socket device error:', error);
+    next(new Error('Device check failed'));
+  }
+}
+
+function handleDeviceConnection(socket) {
+  const { userId, deviceId } = socket.data;
+  if (!deviceId) {
+    return;
+  }
+
+  socket.join(deviceRoom(deviceId));
+
+  const connectedAt = new Date();
+  socket.to(userRoom(userId)).emit('device-presence', { deviceId, online: true, lastSeenAt: connectedAt });
+
+  Device.findByIdAndUpdate(deviceId, { $set: { lastSeenAt: connectedAt } }, { new: true })
+    .then(device => device && deliverPendingEntries(socket, device))
+    .catch(error => logError('Deliver pending entries error:', error));
+
+  socket.on('disconnect', async () => {
+    try {
+      const lastSeenAt = new Date();
+      await Device.touch(deviceId, lastSeenAt);
+
+      // The device may still be connected through another socket
+      if (!(await isDeviceOnline(socket.nsp, deviceId))) {
+        socket.nsp.to(userRoom(userId)).emit('device-presence', { deviceId, online: false, lastSeenAt });
+      }
+    } catch (error) {
+      logError('Device disconnect error:', error);
+    }
+  });
+}
+
+function attachDevicePresence(io) {
+  io.use(identifyDevice);
+  io.on('connection', handleDeviceConnection);
+  return io;
+}
+
+module.exports = {
+  MAX_DEVICES_PER_USER,
+  findUserDevice,
+  resolveSourceDevice,
+  getOnlineDeviceIds,
+  isDeviceOnline,
+  sendEntryToDevice,
+  deliverPendingEntries,
+  identifyDevice,
+  handleDeviceConnection,
+  attachDevicePresence,
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const ClipboardRevision = require('../models/ClipboardRevision');
+const { mergeLines } = require('../utils/textDiff');
+
+// Optimistic concurrency for entry updates. An entry's revision is its version: clients send the
+// revision they last saw (If-Match, or a revision field) and the write is refused with 409 when the
+// entry has moved on since. The check is repeated by the save itself, so two writers that read the
+// same revision can't both win. Refused writes are announced as 'clipboard-conflict' so clients can
+// prompt the user, and text content can be combined with a three-way merge from the revision history.
+// Updates without a revision keep the old last-write-wins behaviour.
+
+// Entry types whose content is text that can be merged line by line
+const MERGEABLE_TYPES = ['text', 'link', 'template'];
+
+// The revision a client expects, from an If-Match header ("3", W/"3" or 3) or else a revision field.
+// null when neither is sent or If-Match is *, NaN when it can't be read
+const getExpectedRevision = (ifMatch, revision) => {
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+
+  if (ifMatch || revision === undefined || revision === null) {
+    return null;
+  }
+
+  return /^\d+$/.test(String(revision)) ? parseInt(revision) : NaN;
+};
+
+const isStaleWriteError = error =>
+  error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError;
+
+// Saves the entry only while it is still at the expected revision. Resolves to false when another
+// write got there first; with no expected revision it saves unconditionally
+async function saveIfUnchanged(entry, expectedRevision) {
+  if (expectedRevision === null) {
+    await entry.save();
+    return true;
+  }
+
+  entry.$where = { revision: expectedRevision };
+  try {
+    await entry.save();
+    return true;
+  } catch (error) {
+    if (isStaleWriteError(error)) {
+      return false;
+    }
+    throw error;
+  } finally {
+    entry.$where = undefined;
+  }
+}
+
+// What a refused write is told about the entry's current version, in the 409 response and the socket event
+const describeConflict = (current, attemptedRevision, attemptedBy) => ({
+  entryId: current._id,
+  productId: current.productId,
+  revision: current.revision,
+  attemptedRevision,
+  attemptedBy,
+  lastModifiedBy: current.lastModifiedBy,
+  lastModifiedAt: current.lastModifiedAt,
+});
+
+const notifyConflict = (io, conflict) => {
+  if (io) {
+    io.to(conflict.productId).emit('clipboard-conflict', conflict);
+  }
+};
+
+// Merges content the client edited from baseRevision with the entry's current content.
+// Resolves to a mergeLines result, or { status, error } when the entry can't be merged
+async function mergeEntryContent(entry, baseRevision, content) {
+  if (entry.encryption && entry.encryption.isEncrypted) {
+    return { status: 400, error: 'Encrypted entries must be merged on the client' };
+  }
+  if (!MERGEABLE_TYPES.includes(entry.type)) {
+    return { status: 400, error: 'Only text, link and template entries can be merged' };
+  }
+
+  const base = await ClipboardRevision.findOne({ entryId: entry._id, revision: baseRevision });
+  if (!base) {
+    return { status: 404, error: 'Base revision not found' };
+  }
+
+  return mergeLines(base.content, content, entry.content);
+}
+
+module.exports = {
+  MERGEABLE_TYPES,
+  getExpectedRevision,
+  isStaleWriteError,
+  saveIfUnchanged,
+  describeConflict,
+  notifyConflict,
+  mergeEntryContent,
+};
@@ -0,0 +1,98 @@
+const Clipboard = require('../models/Clipboard');
+const FamilyGroup = require('../models/FamilyGroup');
+const User = require('../models/User');
+const { grantShareAccess, recordShareEvents } = require('./shareAudit');
+
+// Group shares: one read grant on an entry for a whole family group, or for the sharer's friends.
+// Who is in the group is looked up whenever entries are read (see clipboardVisibility), so new
+// members see the entry and members who leave stop seeing it. Sharing with a family group needs the
+// canShare permission there. Friends are outside the family group, so sharing with them needs the
+// sharer's family group to allow external sharing. Members without access to the entry's product get read
+// access when the entry is shared, or when they join the group later.
+
+const isMemberOf = (group, userId) => group.members.some(member => member.userId.toString() === userId.toString());
+
+// Resolves { groupId, memberIds } for a share by the user, or { status, error } when it isn't allowed
+async function resolveGroupTarget(user, groupType, familyGroupId = null) {
+  if (groupType === 'friends') {
+    const familyGroup = user.familyGroup && (await FamilyGroup.findById(user.familyGroup).select('members security'));
+    if (familyGroup && isMemberOf(familyGroup, user._id) && !familyGroup.security.allowExternalSharing) {
+      return { status: 403, error: 'Your family group does not allow sharing outside the group' };
+    }
+
+    return { groupId: user._id, memberIds: user.friends || [] };
+  }
+
+  const group = await FamilyGroup.findById(familyGroupId || user.familyGroup);
+  if (!group) {
+    return { status: 404, error: 'Family group not found' };
+  }
+  if (!group.hasPermission(user._id, 'canShare')) {
+    return { status: 403, error: 'You do not have permission to share with this family group' };
+  }
+
+  const memberIds = group.members
+    .map(member => member.userId)
+    .filter(memberId => memberId.toString() !== user._id.toString());
+
+  return { groupId: group._id, memberIds };
+}
+
+// Current members of a group share, for recording and cleaning up after it
+async function getGroupMemberIds(groupType, groupId) {
+  if (groupType === 'friends') {
+    const sharer = await User.findById(groupId).select('friends').lean();
+    return sharer ? sharer.friends : [];
+  }
+
+  const group = await FamilyGroup.findById(groupId).select('members').lean();
+  return group ? group.members.map(member => member.userId) : [];
+}
+
+// Gives a user who just joined a group the product access its group shares need, as sharing gave the
+// members at the time, and records the grants. Resolves to the entries shared with the group
+async function grantJoinedGroupShares(user, groupType, groupId) {
+  if (!user.isActive) {
+    return [];
+  }
+
+  const now = new Date();
+  const activeShare = { groupType, groupId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  const entries = await Clipboard.find({
+    groupShares: { $elemMatch: activeShare },
+    createdBy: { $ne: user._id },
+    destroyedAt: null,
+  }).select('productId groupShares');
+
+  const events = entries.map(entry => {
+    const share = entry.findGroupShare(groupType, groupId);
+    return {
+      productId: entry.productId,
+      entryId: entry._id,
+      groupId,
+      action: 'granted',
+      actor: share.grantedBy,
+      recipient: user._id,
+      via: groupType,
+      accessLevel: 'read',
+      expiresAt: share.expiresAt,
+    };
+  });
+
+  const grantedProducts = new Set();
+  for (const { productId, actor } of events) {
+    if (!grantedProducts.has(productId)) {
+      grantedProducts.add(productId);
+      await grantShareAccess(user, productId, actor);
+    }
+  }
+  await recordShareEvents(events);
+
+  return entries;
+}
+
+module.exports = {
+  resolveGroupTarget,
+  getGroupMemberIds,
+  grantJoinedGroupShares,
+};
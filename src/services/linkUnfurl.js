@@ -0,0 +1,336 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const Clipboard = require('../models/Clipboard');
+const Product = require('../models/Product');
+const { getBlobStore } = require('./blobStore');
+const { recordChange } = require('./changeFeed');
+const { emitEntryEvent } = require('./realtime');
+const { decodeHtml, extractLinkPreview } = require('../utils/linkPreview');
+const { logError } = require('../utils/logger');
+
+// Link previews ("unfurling"). The server fetches a link entry's page, reads its title, description
+// and image, and keeps a copy of the image in the blob store as the entry's thumbnail. Fetches go
+// through an HTTP client with get(url, { maxBytes, timeout, truncate }) resolving to
+// { status, headers, body }, so tests can pass a stub. The URL is untrusted, so only public
+// addresses are fetched (checked again on every redirect and DNS lookup), with size, time and
+// redirect limits.
+
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_PAGE_BYTES = 512 * 1024;
+const MAX_THUMBNAIL_BYTES = 2 * 1024 * 1024;
+// SVG is left out: it can carry scripts
+const THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const USER_AGENT = 'ClipboardLinkPreview/1.0';
+
+// Loopback, private, link-local, shared, multicast, documentation and reserved ranges. The families
+// get separate lists, as a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules too
+const addSubnets = (family, subnets) => {
+  const list = new net.BlockList();
+  subnets.forEach(([network, prefix]) => list.addSubnet(network, prefix, family));
+  return list;
+};
+
+const nonPublicRanges = {
+  ipv4: addSubnets('ipv4', [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+  ]),
+  ipv6: addSubnets('ipv6', [
+    ['::', 127],
+    // IPv4-mapped and NAT64 addresses could reach any IPv4 range
+    ['::ffff:0:0', 96],
+    ['64:ff9b::', 96],
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+  ]),
+};
+
+const isPublicAddress = address => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return !nonPublicRanges[type].check(address, type);
+};
+
+// Throws unless the URL is an http(s) URL without credentials whose host isn't known to be private.
+// Hostnames are checked when they are resolved
+const checkFetchableUrl = url => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Only http and https links can be previewed');
+  }
+  if (url.username || url.password) {
+    throw new Error('Links with credentials are not previewed');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    throw new Error('Links to private addresses are not previewed');
+  }
+};
+
+// dns.lookup that refuses hosts with any non-public address, so connections are only made to
+// the addresses that were checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      callback(new Error('Links to private addresses are not previewed'));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// The default client. Bodies over maxBytes are cut there with `truncate`, and refused otherwise
+const createHttpClient = () => ({
+  get(url, { maxBytes, timeout, truncate = false }) {
+    return new Promise((resolve, reject) => {
+      let deadline = null;
+      const transport = new URL(url).protocol === 'https:' ? https : http;
+      const headers = { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,image/*;q=0.8' };
+      const request = transport.get(url, { headers, lookup: publicLookup }, response => {
+        const chunks = [];
+        let size = 0;
+        const finish = () => {
+          clearTimeout(deadline);
+          resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) });
+        };
+
+        response.on('data', chunk => {
+          size += chunk.length;
+          if (size <= maxBytes) {
+            chunks.push(chunk);
+            return;
+          }
+          if (!truncate) {
+            request.destroy(new Error('Response is too large'));
+            return;
+          }
+          chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+          finish();
+          request.destroy();
+        });
+        response.on('end', finish);
+        response.on('error', reject);
+      });
+
+      deadline = setTimeout(() => request.destroy(new Error('Timed out')), timeout);
+      request.on('error', error => {
+        clearTimeout(deadline);
+        reject(error);
+      });
+    });
+  },
+});
+
+let defaultClient = null;
+
+const getHttpClient = () => {
+  if (!defaultClient) {
+    defaultClient = createHttpClient();
+  }
+
+  return defaultClient;
+};
+
+// Fetches a URL, following up to MAX_REDIRECTS redirects and checking every URL on the way
+async function fetchUrl(client, url, options) {
+  let current = new URL(url);
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+    checkFetchableUrl(current);
+    const response = await client.get(current.href, { timeout: FETCH_TIMEOUT_MS, ...options });
+    const { location } = response.headers;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { ...response, url: current.href };
+    }
+    current = new URL(location, current);
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+const mimeTypeOf = response =>
+  String(response.headers['content-type'] || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+
+// Fetches the page and returns { url, title, description, siteName, image }. The image is
+// { data, mimeType }, or null when the page has none or it couldn't be fetched
+async function unfurlUrl(url, { client = getHttpClient() } = {}) {
+  const page = await fetchUrl(client, url, { maxBytes: MAX_PAGE_BYTES, truncate: true });
+  if (page.status !== 200) {
+    throw new Error(`The page returned ${page.status}`);
+  }
+  if (!HTML_TYPES.includes(mimeTypeOf(page))) {
+    throw new Error('The link is not a web page');
+  }
+
+  const { imageUrl, ...details } = extractLinkPreview(decodeHtml(page.body, page.headers['content-type']), page.url);
+
+  let image = null;
+  if (imageUrl) {
+    try {
+      const response = await fetchUrl(client, imageUrl, { maxBytes: MAX_THUMBNAIL_BYTES });
+      if (response.status === 200 && THUMBNAIL_TYPES.includes(mimeTypeOf(response))) {
+        image = { data: response.body, mimeType: mimeTypeOf(response) };
+      }
+    } catch (error) {
+      // A page without its image still makes a preview
+    }
+  }
+
+  return { url: page.url, ...details, image };
+}
+
+// Plain link entries whose content can be shown; encrypted and view-limited links are never fetched
+const canUnfurl = entry =>
+  entry.type === 'link' &&
+  !(entry.encryption && entry.encryption.isEncrypted) &&
+  !entry.maxViews &&
+  !entry.destroyedAt &&
+  Boolean(entry.metadata && entry.metadata.url);
+
+const removeThumbnail = ({ storage, key }) =>
+  getBlobStore(storage)
+    .remove(key)
+    .catch(error => logError('Remove thumbnail error:', error));
+
+const thumbnailOf = entry =>
+  entry.metadata.thumbnail ? { storage: entry.metadata.thumbnailStorage, key: entry.metadata.thumbnail } : null;
+
+const setThumbnail = (entry, thumbnail) => {
+  entry.metadata.thumbnail = thumbnail ? thumbnail.key : undefined;
+  entry.metadata.thumbnailStorage = thumbnail ? thumbnail.storage : undefined;
+  entry.metadata.thumbnailMimeType = thumbnail ? thumbnail.mimeType : undefined;
+};
+
+// Fetches the preview of a link entry and stores it on the entry. Returns { entry } with the updated
+// entry, or { status, error } when the entry can't be previewed or its page can't be fetched
+async function unfurlEntry(entryId, options = {}) {
+  const { io = null, client = getHttpClient(), blobStore = getBlobStore() } = options;
+
+  const entry = await Clipboard.findById(entryId);
+  if (!entry || !canUnfurl(entry)) {
+    return { status: 400, error: 'Only plain link entries can be previewed' };
+  }
+
+  const product = await Product.findOne({ productId: entry.productId }).select('settings.clipboard.unfurlLinks');
+  if (product && product.settings.clipboard.unfurlLinks === false) {
+    return { status: 403, error: 'Link previews are turned off for this product' };
+  }
+
+  const { url } = entry.metadata;
+  let preview;
+  try {
+    preview = await unfurlUrl(url, { client });
+  } catch (error) {
+    // A thumbnail left from before the link changed no longer belongs to it
+    const stale = !entry.metadata.unfurledAt && thumbnailOf(entry);
+    if (stale) {
+      setThumbnail(entry, null);
+      await entry.save();
+      await removeThumbnail(stale);
+    }
+    return { status: 502, error: `Could not preview the link: ${error.message}` };
+  }
+
+  let thumbnail = null;
+  if (preview.image) {
+    const key = `${entry.productId}/thumbnails/${uuidv4()}`;
+    await blobStore.put(key, preview.image.data, { contentType: preview.image.mimeType });
+    thumbnail = { storage: blobStore.driver, key, mimeType: preview.image.mimeType };
+  }
+
+  // The link may have been edited while its page was fetched
+  const current = await Clipboard.findById(entryId);
+  if (!current || !canUnfurl(current) || current.metadata.url !== url) {
+    if (thumbnail) {
+      await removeThumbnail(thumbnail);
+    }
+    return { status: 409, error: 'The link changed while its preview was fetched' };
+  }
+
+  const previousThumbnail = thumbnailOf(current);
+  current.metadata.title = preview.title || undefined;
+  current.metadata.description = preview.description || undefined;
+  current.metadata.siteName = preview.siteName || undefined;
+  current.metadata.unfurledAt = new Date();
+  setThumbnail(current, thumbnail);
+
+  try {
+    await current.save();
+  } catch (error) {
+    // Don't leave orphaned blobs behind
+    if (thumbnail) {
+      await removeThumbnail(thumbnail);
+    }
+    throw error;
+  }
+  if (previousThumbnail) {
+    await removeThumbnail(previousThumbnail);
+  }
+
+  const { productId } = current;
+  await recordChange(productId, { type: 'updated', entry: current, details: { action: 'unfurled' } }, io);
+  if (io) {
+    emitEntryEvent(io, current, 'clipboard-updated', { action: 'updated', entry: current, productId });
+  }
+
+  return { entry: current };
+}
+
+// Previews links that have none yet, one at a time. Failures are logged, so callers need not wait for it
+async function unfurlInBackground(entries, io) {
+  for (const entry of entries.filter(candidate => canUnfurl(candidate) && !candidate.metadata.unfurledAt)) {
+    try {
+      await unfurlEntry(entry._id, { io });
+    } catch (error) {
+      logError('Link unfurl error:', error);
+    }
+  }
+}
+
+module.exports = {
+  MAX_REDIRECTS,
+  MAX_PAGE_BYTES,
+  MAX_THUMBNAIL_BYTES,
+  isPublicAddress,
+  checkFetchableUrl,
+  publicLookup,
+  createHttpClient,
+  unfurlUrl,
+  canUnfurl,
+  unfurlEntry,
+  unfurlInBackground,
+};
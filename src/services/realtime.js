@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const FamilyGroup = require('../models/FamilyGroup');
+const User = require('../models/User');
+const { verifyAccessToken } = require('../middleware/auth');
+const { isShareActive } = require('./clipboardVisibility');
+const { logError } = require('../utils/logger');
+
+// Socket.IO authentication and rooms. Product rooms are named by productId, which is where routes
+// emit clipboard events; each user also has a personal room, each family group a room of its own and
+// each registered device one for entries sent to it.
+// Sockets join their personal room and their active products when they connect, so server events
+// reach them without a join-room round trip. Clients can't broadcast; every event comes from the server.
+// Product rooms hold everyone with read access, so entry events only go there in full for public entries;
+// see emitEntryEvent.
+
+const userRoom = userId => `user:${userId}`;
+const familyRoom = groupId => `family:${groupId}`;
+const deviceRoom = deviceId => `device:${deviceId}`;
+
+const idOf = value => (value && value._id) || value;
+
+// Rooms that may get an event about the entry in full: the product room for public entries, otherwise
+// the personal rooms of its creator and of the users it is shared with directly. Others who may see it,
+// through their family group, a friend or as admins, read it through the visibility-checked routes
+const entryAudienceRooms = entry => {
+  if (entry.isPublic || entry.accessLevel === 'public') {
+    return [entry.productId];
+  }
+
+  const recipients = (entry.sharedWith || []).filter(share => isShareActive(share)).map(share => share.userId);
+  return [...new Set([entry.createdBy, ...recipients].map(userId => userRoom(idOf(userId))))];
+};
+
+// Emits an event about an entry: the payload to entryAudienceRooms and any extra rooms allowed to see it,
+// and only { action, entryId, productId } to the rest of the product room
+function emitEntryEvent(io, entry, event, payload, extraRooms = []) {
+  const rooms = [...new Set([...entryAudienceRooms(entry), ...extraRooms])];
+  io.to(rooms).emit(event, payload);
+
+  if (!rooms.includes(entry.productId)) {
+    const summary = { action: payload.action, entryId: entry._id, productId: entry.productId };
+    io.to(entry.productId).except(rooms).emit(event, summary);
+  }
+}
+
+// Token from the handshake auth payload, or a Bearer Authorization header as with HTTP requests
+const getHandshakeToken = handshake => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  return authHeader && authHeader.split(' ')[1];
+};
+
+async function authenticateSocket(socket, next) {
+  try {
+    const { user, error } = await verifyAccessToken(getHandshakeToken(socket.handshake));
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.data.userId = user._id.toString();
+    socket.data.productIds = user.productAccess.filter(access => access.isActive).map(access => access.productId);
+    next();
+  } catch (error) {
+    logError('Socket auth error:', error);
+    next(new Error('Authentication failed'));
+  }
+}
+
+// Access is checked against the current user record, so access revoked since connecting is honoured
+async function canJoinRoom(userId, roomId) {
+  if (typeof roomId !== 'string' || roomId.length === 0) {
+    return false;
+  }
+
+  if (roomId.startsWith('user:')) {
+    return roomId === userRoom(userId);
+  }
+
+  // A device room is joined by naming the device when connecting (see devicePresence)
+  if (roomId.startsWith('device:')) {
+    return false;
+  }
+
+  if (roomId.startsWith('family:')) {
+    const groupId = roomId.slice('family:'.length);
+    if (!mongoose.isValidObjectId(groupId)) {
+      return false;
+    }
+    return Boolean(await FamilyGroup.exists({ _id: groupId, 'members.userId': userId }));
+  }
+
+  const user = await User.findById(userId).select('productAccess isActive');
+  return Boolean(user && user.isActive && user.hasProductAccess(roomId, 'read'));
+}
+
+function handleConnection(socket) {
+  const { userId, productIds } = socket.data;
+  socket.join([userRoom(userId), ...productIds]);
+
+  // Acknowledges with { ok: true, room } or { ok: false, error }
+  socket.on('join-room', async (roomId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (!(await canJoinRoom(userId, roomId))) {
+        return reply({ ok: false, error: 'Access denied to this room' });
+      }
+
+      socket.join(roomId);
+      reply({ ok: true, room: roomId });
+    } catch (error) {
+      logError('Join room error:', error);
+      reply({ ok: false, error: 'Failed to join room' });
+    }
+  });
+
+  socket.on('leave-room', roomId => {
+    // The personal room carries events meant only for this user, so it can't be left
+    if (roomId !== userRoom(userId)) {
+      socket.leave(roomId);
+    }
+  });
+}
+
+function attachRealtime(io) {
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+  return io;
+}
+
+module.exports = {
+  userRoom,
+  familyRoom,
+  deviceRoom,
+  entryAudienceRooms,
+  emitEntryEvent,
+  getHandshakeToken,
+  authenticateSocket,
+  canJoinRoom,
+  handleConnection,
+  attachRealtime,
+};
@@ -0,0 +1,243 @@
+const Clipboard = require('../models/Clipboard');
+const ClipboardRevision = require('../models/ClipboardRevision');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const RetentionReport = require('../models/RetentionReport');
+const { removeEntryAttachment } = require('./blobStore');
+const { recordChanges } = require('./changeFeed');
+const { logError } = require('../utils/logger');
+
+// Retention rules from Product.settings.clipboard.retention, overridable per user in
+// profile.preferences.retention. A rule of 0 is off.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_RULES = ['maxEntries', 'deleteAfterDays', 'purgeArchivedAfterDays'];
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DELETE_BATCH_SIZE = 500;
+
+// Favorited and pinned entries are never removed by retention, archived or not
+const UNPROTECTED = { 'favoritedBy.0': { $exists: false }, 'pinnedBy.0': { $exists: false } };
+
+const toRuleValue = value => Math.max(0, Math.floor(Number(value) || 0));
+
+// Users may tighten a rule the product sets, or set one the product leaves off, but never loosen it
+const resolvePolicy = (productRetention, userRetention) => {
+  const policy = {};
+
+  for (const rule of RETENTION_RULES) {
+    const productValue = toRuleValue(productRetention && productRetention[rule]);
+    const userValue = toRuleValue(userRetention && userRetention[rule]);
+    policy[rule] = userValue > 0 && (productValue === 0 || userValue < productValue) ? userValue : productValue;
+  }
+
+  return policy;
+};
+
+const isPolicyActive = policy => RETENTION_RULES.some(rule => policy[rule] > 0);
+
+// Filters for the entries of one user each rule would remove
+const buildRuleFilters = (productId, userId, policy, now = new Date()) => {
+  const owned = { productId, createdBy: userId };
+  const filters = {};
+
+  if (policy.deleteAfterDays > 0) {
+    const cutoff = new Date(now.getTime() - policy.deleteAfterDays * DAY_MS);
+    filters.deleteAfterDays = {
+      ...owned,
+      ...UNPROTECTED,
+      $or: [{ lastCopiedAt: { $lt: cutoff } }, { lastCopiedAt: { $exists: false }, createdAt: { $lt: cutoff } }],
+    };
+  }
+
+  if (policy.purgeArchivedAfterDays > 0) {
+    const cutoff = new Date(now.getTime() - policy.purgeArchivedAfterDays * DAY_MS);
+    filters.purgeArchivedAfterDays = {
+      ...owned,
+      ...UNPROTECTED,
+      isArchived: true,
+      $or: [{ archivedAt: { $lt: cutoff } }, { archivedAt: { $exists: false }, updatedAt: { $lt: cutoff } }],
+    };
+  }
+
+  return filters;
+};
+
+// Works out which of a user's entries the policy removes, each tagged with the first rule that matched
+async function planUserRemovals(productId, userId, policy, now = new Date()) {
+  const removals = new Map();
+  const add = (entries, rule) => {
+    for (const entry of entries) {
+      if (!removals.has(entry._id.toString())) {
+        removals.set(entry._id.toString(), { entryId: entry._id, createdBy: userId, rule });
+      }
+    }
+  };
+
+  const filters = buildRuleFilters(productId, userId, policy, now);
+  for (const rule of Object.keys(filters)) {
+    add(await Clipboard.find(filters[rule]).select('_id').lean(), rule);
+  }
+
+  // Keep the newest N unarchived entries; favorites and pins don't count towards N
+  if (policy.maxEntries > 0) {
+    const overflow = await Clipboard.find({ productId, createdBy: userId, isArchived: { $ne: true }, ...UNPROTECTED })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(policy.maxEntries)
+      .select('_id')
+      .lean();
+    add(overflow, 'maxEntries');
+  }
+
+  return [...removals.values()];
+}
+
+// Deletes entries along with their revisions, attachments and collection memberships
+async function deleteEntries(entryIds) {
+  for (let start = 0; start < entryIds.length; start += DELETE_BATCH_SIZE) {
+    const batch = entryIds.slice(start, start + DELETE_BATCH_SIZE);
+    const entries = await Clipboard.find({ _id: { $in: batch } })
+      .select('productId createdBy accessLevel isPublic sharedWith groupShares attachment')
+      .lean();
+
+    await Clipboard.deleteMany({ _id: { $in: batch } });
+    await ClipboardRevision.deleteMany({ entryId: { $in: batch } });
+    const memberships = { 'entries.entryId': { $in: batch } };
+    await Collection.updateMany(memberships, { $pull: { entries: { entryId: { $in: batch } } } });
+
+    // Blob cleanup failures shouldn't stop the run
+    for (const entry of entries.filter(entry => entry.attachment && entry.attachment.key)) {
+      await removeEntryAttachment(entry).catch(error => logError('Remove attachment error:', error));
+    }
+
+    // Clients syncing from the change feed drop the entries too
+    const productIds = [...new Set(entries.map(entry => entry.productId))];
+    for (const productId of productIds) {
+      const changes = entries
+        .filter(entry => entry.productId === productId)
+        .map(entry => ({ type: 'deleted', entry, details: { reason: 'retention' } }));
+      await recordChanges(productId, changes);
+    }
+  }
+}
+
+// Applies retention to one product. With dryRun nothing is changed or recorded; `policy` overrides
+// the product's rules for the run while user overrides still apply
+async function applyRetention(productId, options = {}) {
+  const { dryRun = false, policy: policyOverride = null, trigger = 'scheduler', now = new Date() } = options;
+  const startedAt = new Date();
+
+  const product = await Product.findOne({ productId }).select('settings.clipboard.retention').lean();
+  const productRetention = { ...product?.settings?.clipboard?.retention, ...policyOverride };
+
+  const expiredQuery = { productId, expiresAt: { $lt: now }, isArchived: { $ne: true } };
+  const archivedExpired = dryRun
+    ? await Clipboard.countDocuments(expiredQuery)
+    : (await Clipboard.cleanupExpired(productId)).modifiedCount;
+
+  const userIds = await Clipboard.distinct('createdBy', { productId });
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('profile.preferences.retention')
+    .lean();
+  const userRetention = new Map(users.map(user => [user._id.toString(), user.profile?.preferences?.retention]));
+
+  const removals = [];
+  for (const userId of userIds) {
+    const policy = resolvePolicy(productRetention, userRetention.get(userId.toString()));
+    if (isPolicyActive(policy)) {
+      removals.push(...(await planUserRemovals(productId, userId, policy, now)));
+    }
+  }
+
+  if (!dryRun) {
+    await deleteEntries(removals.map(removal => removal.entryId));
+  }
+
+  const removed = Object.fromEntries(RETENTION_RULES.map(rule => [rule, 0]));
+  removals.forEach(removal => {
+    removed[removal.rule] += 1;
+  });
+
+  const report = {
+    productId,
+    trigger,
+    dryRun,
+    policy: resolvePolicy(productRetention, null),
+    startedAt,
+    finishedAt: new Date(),
+    archivedExpired,
+    removed,
+    entries: removals.slice(0, RetentionReport.MAX_REPORTED_ENTRIES),
+    truncated: removals.length > RetentionReport.MAX_REPORTED_ENTRIES,
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  return RetentionReport.create(report);
+}
+
+// Applies retention to every product; one failing product doesn't stop the others
+async function runRetention(options = {}) {
+  const products = await Product.find().select('productId').lean();
+  const reports = [];
+
+  for (const { productId } of products) {
+    try {
+      reports.push(await applyRetention(productId, options));
+    } catch (error) {
+      logError(`Retention error for product ${productId}:`, error);
+      reports.push(await RetentionReport.create({ productId, trigger: options.trigger, error: error.message }));
+    }
+  }
+
+  return reports;
+}
+
+let schedulerTimer = null;
+let isRunning = false;
+
+// One scheduled run; ticks that fire while a run is still going are skipped
+async function runScheduledRetention() {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    await runRetention();
+  } catch (error) {
+    logError('Retention scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Starts the in-process scheduler; RETENTION_INTERVAL_MS sets how often it runs (default hourly)
+const startRetentionScheduler = (intervalMs = Number(process.env.RETENTION_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (!schedulerTimer) {
+    schedulerTimer = setInterval(runScheduledRetention, intervalMs);
+    // Don't keep the process alive just for retention
+    schedulerTimer.unref();
+  }
+
+  return schedulerTimer;
+};
+
+const stopRetentionScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  RETENTION_RULES,
+  resolvePolicy,
+  buildRuleFilters,
+  planUserRemovals,
+  deleteEntries,
+  applyRetention,
+  runRetention,
+  startRetentionScheduler,
+  stopRetentionScheduler,
+};
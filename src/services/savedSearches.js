@@ -0,0 +1,90 @@
+const Clipboard = require('../models/Clipboard');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const { buildVisibilityFilter } = require('./clipboardVisibility');
+const { buildSearchFilter, getSearchError } = require('./clipboardSearch');
+const { logError } = require('../utils/logger');
+
+// Saved searches ("smart collections"). A saved search keeps the params of GET /api/clipboard/search and is
+// run again whenever it is opened, so it always lists what matches now. Owners who turn on `notify` get an
+// in-app notification when someone else adds an entry that matches and that they can see.
+
+const MAX_SAVED_SEARCHES = 50;
+
+// Whether the saved search can run now. Text searches can't while content is encrypted at rest
+const canRun = savedSearch => !getSearchError(savedSearch.toSearchParams());
+
+// The user's saved searches in a product, each with how many entries match it now. Searches that
+// can't run get a null matchCount
+async function listWithMatchCounts(user, productId, visibleEntries) {
+  const savedSearches = await SavedSearch.findForUser(productId, user._id);
+
+  const countMatches = async savedSearch =>
+    canRun(savedSearch)
+      ? Clipboard.countDocuments(await buildSearchFilter(visibleEntries, savedSearch.toSearchParams()))
+      : null;
+  const matchCounts = await Promise.all(savedSearches.map(countMatches));
+
+  return savedSearches.map((savedSearch, index) => ({ ...savedSearch.toJSON(), matchCount: matchCounts[index] }));
+}
+
+const creatorOf = entry => String((entry.createdBy && entry.createdBy._id) || entry.createdBy);
+
+// Notifies the owners of saved searches with notify on about new entries that match them. Entries the
+// owner created, or can't see, are left out. Failures are logged, so callers need not wait for it
+async function notifySavedSearchMatches(productId, entries) {
+  try {
+    const searchable = entries.filter(entry => !(entry.encryption && entry.encryption.isEncrypted));
+    if (searchable.length === 0) {
+      return;
+    }
+
+    const savedSearches = (await SavedSearch.find({ productId, notify: true })).filter(canRun);
+    const visibleByOwner = new Map();
+
+    for (const savedSearch of savedSearches) {
+      const ownerId = savedSearch.owner.toString();
+      const candidates = searchable.filter(entry => creatorOf(entry) !== ownerId);
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      if (!visibleByOwner.has(ownerId)) {
+        const owner = await User.findById(ownerId);
+        const canRead = owner && owner.isActive && owner.hasProductAccess(productId, 'read');
+        visibleByOwner.set(ownerId, canRead ? await buildVisibilityFilter(owner, productId) : null);
+      }
+      const visibleEntries = visibleByOwner.get(ownerId);
+      if (!visibleEntries) {
+        continue;
+      }
+
+      const filter = await buildSearchFilter(visibleEntries, savedSearch.toSearchParams());
+      const candidateIds = candidates.map(entry => entry._id);
+      const matches = await Clipboard.find({ ...filter, _id: { $in: candidateIds } }).select('_id');
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const entryIds = matches.map(match => match._id);
+      const notification = {
+        type: 'saved-search-match',
+        message:
+          entryIds.length === 1
+            ? `A new entry matches your saved search "${savedSearch.name}"`
+            : `${entryIds.length} new entries match your saved search "${savedSearch.name}"`,
+        data: { savedSearchId: savedSearch._id, productId, entryIds },
+      };
+      await User.notify(savedSearch.owner, notification, 'clipboard');
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastNotifiedAt: new Date() } });
+    }
+  } catch (error) {
+    logError('Saved search notification error:', error);
+  }
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  listWithMatchCounts,
+  notifySavedSearchMatches,
+};
@@ -0,0 +1,77 @@
+const Clipboard = require('../models/Clipboard');
+const Collection = require('../models/Collection');
+const User = require('../models/User');
+const { removeEntryAttachment } = require('./blobStore');
+const { recordChange } = require('./changeFeed');
+const { logError } = require('../utils/logger');
+
+// View limits for self-destructing entries (maxViews, or burnAfterReading for a single view).
+// Reads by the creator are never counted. Any other read claims a view atomically, and the read
+// that reaches the limit is the last one to get the content: the entry is then wiped, its owner
+// notified and socket subscribers told it is gone.
+
+const isCreator = (entry, user) => {
+  const createdBy = (entry.createdBy && entry.createdBy._id) || entry.createdBy;
+  return Boolean(createdBy) && createdBy.toString() === user._id.toString();
+};
+
+// Limited entries only reveal their content through a counted read, so routes that would expose it
+// another way (revisions, rendering) are closed to everyone but the creator
+const isRestrictedFor = (entry, user) => Boolean(entry.maxViews) && !isCreator(entry, user);
+
+async function destroyEntry(entry, io) {
+  if (!(await Clipboard.destroyContent(entry._id))) {
+    return false;
+  }
+
+  await Collection.updateMany({ 'entries.entryId': entry._id }, { $pull: { entries: { entryId: entry._id } } });
+
+  // Blob cleanup failures shouldn't undo the wipe
+  await removeEntryAttachment(entry).catch(error => logError('Remove attachment error:', error));
+
+  const createdBy = (entry.createdBy && entry.createdBy._id) || entry.createdBy;
+  const notification = {
+    type: 'clipboard-destroyed',
+    message: 'A clipboard entry you shared reached its view limit and was destroyed',
+    data: { entryId: entry._id, productId: entry.productId, viewCount: entry.viewCount },
+  };
+  await User.notify(createdBy, notification, 'clipboard');
+
+  await recordChange(entry.productId, { type: 'deleted', entry, details: { reason: 'destroyed' } }, io);
+
+  if (io) {
+    io.to(entry.productId).emit('clipboard-updated', {
+      action: 'destroyed',
+      entryId: entry._id,
+      productId: entry.productId,
+    });
+  }
+
+  return true;
+}
+
+// Counts a read of the entry by the user
+// Resolves to { entry, lastView } with the content revealed, or null when no views are left
+async function recordView(entry, user) {
+  if (isCreator(entry, user)) {
+    entry.$locals.revealContent = true;
+    return { entry, lastView: false };
+  }
+
+  const claimed = await Clipboard.claimView(entry._id);
+  if (!claimed) {
+    return null;
+  }
+
+  entry.viewCount = claimed.viewCount;
+  entry.$locals.revealContent = true;
+
+  return { entry, lastView: Boolean(claimed.maxViews) && claimed.viewCount >= claimed.maxViews };
+}
+
+module.exports = {
+  isCreator,
+  isRestrictedFor,
+  recordView,
+  destroyEntry,
+};
@@ -0,0 +1,98 @@
+const Clipboard = require('../models/Clipboard');
+const Collection = require('../models/Collection');
+const ShareEvent = require('../models/ShareEvent');
+const User = require('../models/User');
+const { activeShareClause, buildGroupShareClauses, isShareActive } = require('./clipboardVisibility');
+const { logError } = require('../utils/logger');
+
+// Share audit trail, and the product access that sharing grants and takes back.
+// Recipients without access to a product get read access marked source: 'share'; that access is
+// removed again once they have no shares, group shares, collections or entries of their own left in the product.
+
+// Audit writes shouldn't fail the action they record
+async function recordShareEvents(events) {
+  if (events.length === 0) {
+    return;
+  }
+
+  try {
+    await ShareEvent.insertMany(events);
+  } catch (error) {
+    logError('Record share event error:', error);
+  }
+}
+
+const recordShareEvent = event => recordShareEvents([event]);
+
+async function grantShareAccess(user, productId, grantedBy) {
+  if (!user.hasProductAccess(productId, 'read')) {
+    await user.addProductAccess(productId, 'Shared Clipboard', 'read', grantedBy, null, 'share');
+  }
+}
+
+// Resolves to true when the user's share-only access to the product was removed
+async function releaseShareAccess(userId, productId) {
+  const user = await User.findById(userId).select('familyGroup friends');
+  const groupShareClauses = user ? await buildGroupShareClauses(user) : [];
+
+  const [hasEntryShare, hasCollectionShare, hasOwnEntries] = await Promise.all([
+    Clipboard.exists({ productId, $or: [activeShareClause(userId), ...groupShareClauses] }),
+    Collection.exists({ productId, 'sharedWith.userId': userId }),
+    Clipboard.exists({ productId, createdBy: userId }),
+  ]);
+  if (hasEntryShare || hasCollectionShare || hasOwnEntries) {
+    return false;
+  }
+
+  const filter = { _id: userId, productAccess: { $elemMatch: { productId, source: 'share', isActive: true } } };
+  const result = await User.updateOne(filter, { $set: { 'productAccess.$.isActive': false } });
+
+  return result.modifiedCount > 0;
+}
+
+// Records a revocation for each recipient after their shares are gone, releasing access they no longer need
+async function recordRevocations({ recipients, ...event }) {
+  const events = [];
+  for (const recipient of recipients) {
+    const productAccessRevoked = await releaseShareAccess(recipient, event.productId);
+    events.push({ ...event, action: 'revoked', recipient, productAccessRevoked });
+  }
+
+  await recordShareEvents(events);
+}
+
+// Records a view or copy by a recipient of a share; reads by the creator or through other
+// visibility rules (public, family) aren't share activity
+async function recordRecipientActivity(entry, user, action) {
+  const userId = user._id.toString();
+  const createdBy = (entry.createdBy && entry.createdBy._id) || entry.createdBy;
+  if (createdBy && createdBy.toString() === userId) {
+    return;
+  }
+
+  const isUsersShare = share => share.userId && share.userId.toString() === userId && isShareActive(share);
+  const share = (entry.sharedWith || []).find(isUsersShare);
+  if (!share) {
+    return;
+  }
+
+  await recordShareEvent({
+    productId: entry.productId,
+    entryId: entry._id,
+    collectionId: share.collectionId,
+    action,
+    actor: user._id,
+    recipient: user._id,
+    via: share.collectionId ? 'collection' : 'direct',
+    accessLevel: share.accessLevel,
+  });
+}
+
+module.exports = {
+  recordShareEvent,
+  recordShareEvents,
+  grantShareAccess,
+  releaseShareAccess,
+  recordRevocations,
+  recordRecipientActivity,
+};
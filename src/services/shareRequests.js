@@ -0,0 +1,138 @@
+const Clipboard = require('../models/Clipboard');
+const User = require('../models/User');
+const { grantShareAccess, recordShareEvents } = require('./shareAudit');
+
+// Share requests ("ask for this clip"): a user asks the owner of an entry, or of entries with a tag,
+// to share them. Tag requests are matched when the owner approves, so entries tagged after the
+// request was made are included. Approving shares each entry through Clipboard.shareWithUser.
+
+const MAX_ENTRIES_PER_REQUEST = 100;
+
+// Entries of the owner the request covers, newest first
+function findRequestedEntries(request) {
+  const query = { productId: request.productId, createdBy: request.owner, destroyedAt: null };
+  if (request.entryId) {
+    query._id = request.entryId;
+  } else {
+    query.tags = request.tag;
+  }
+
+  return Clipboard.find(query).sort({ createdAt: -1 }).limit(MAX_ENTRIES_PER_REQUEST);
+}
+
+const describeRequest = (request, whose) =>
+  request.entryId ? 'a clipboard entry' : `${whose} clipboard entries tagged "${request.tag}"`;
+
+// Tells the owner about a new request, with the routes that answer it
+async function notifyOwner(request, requester) {
+  const requestPath = `/api/shares/requests/${request._id}`;
+  const notification = {
+    type: 'share-request',
+    message: `${requester.username} asked you to share ${describeRequest(request, 'your')}`,
+    data: {
+      requestId: request._id,
+      productId: request.productId,
+      entryId: request.entryId,
+      tag: request.tag,
+      requester: requester._id,
+      accessLevel: request.accessLevel,
+      message: request.message,
+      expiresAt: request.expiresAt,
+      actions: { approve: `${requestPath}/approve`, deny: `${requestPath}/deny` },
+    },
+  };
+
+  await User.notify(request.owner, notification, 'clipboard');
+}
+
+// Tells the requester the owner approved or denied their request
+async function notifyRequester(request) {
+  const notification = {
+    type: `share-request-${request.status}`,
+    message: `Your request for ${describeRequest(request, 'their')} was ${request.status}`,
+    data: {
+      requestId: request._id,
+      productId: request.productId,
+      entryId: request.entryId,
+      tag: request.tag,
+      sharedEntries: request.sharedEntries,
+      message: request.responseMessage,
+    },
+  };
+
+  await User.notify(request.requester, notification, 'clipboard');
+}
+
+// Shares the requested entries with the requester and marks the request approved.
+// Resolves to { shared, skipped }; when nothing could be shared the request is left pending.
+async function approveRequest(request, requester, options = {}) {
+  const accessLevel = options.accessLevel || request.accessLevel;
+  const wrappedKeys = new Map((options.wrappedKeys || []).map(({ entryId, wrappedKey }) => [entryId, wrappedKey]));
+  const entries = await findRequestedEntries(request);
+  const shared = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const wrappedKey = wrappedKeys.get(entry._id.toString());
+    if (entry.userHasAccess(requester._id, accessLevel)) {
+      skipped.push({ entryId: entry._id, error: 'Requester already has access to this entry' });
+      continue;
+    }
+    // Recipients need the content key wrapped for them, which only the owner's client can do
+    if (entry.encryption.isEncrypted && !wrappedKey) {
+      skipped.push({ entryId: entry._id, error: 'wrappedKey is required to share an encrypted entry' });
+      continue;
+    }
+
+    if (entry.encryption.isEncrypted) {
+      entry.setWrappedKey(requester._id, wrappedKey);
+    }
+    await entry.shareWithUser(requester._id, accessLevel);
+    shared.push(entry._id);
+  }
+
+  if (shared.length === 0) {
+    return { shared, skipped };
+  }
+
+  await grantShareAccess(requester, request.productId, request.owner);
+
+  request.status = 'approved';
+  request.respondedAt = new Date();
+  request.responseMessage = options.message;
+  request.sharedEntries = shared;
+  await request.save();
+
+  const events = shared.map(entryId => ({
+    productId: request.productId,
+    entryId,
+    action: 'granted',
+    actor: request.owner,
+    recipient: requester._id,
+    via: 'request',
+    accessLevel,
+    message: options.message,
+  }));
+  await recordShareEvents(events);
+  await notifyRequester(request);
+
+  return { shared, skipped };
+}
+
+// Marks the request denied and tells the requester
+async function denyRequest(request, message) {
+  request.status = 'denied';
+  request.respondedAt = new Date();
+  request.responseMessage = message;
+  await request.save();
+
+  await notifyRequester(request);
+}
+
+module.exports = {
+  MAX_ENTRIES_PER_REQUEST,
+  findRequestedEntries,
+  notifyOwner,
+  approveRequest,
+  denyRequest,
+};
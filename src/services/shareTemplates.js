@@ -0,0 +1,100 @@
+const Clipboard = require('../models/Clipboard');
+const FamilyGroup = require('../models/FamilyGroup');
+const User = require('../models/User');
+const { isShareActive } = require('./clipboardVisibility');
+
+// Applies share templates to clipboard entries. Friends and family recipients are resolved at apply
+// time and honour the product's allowFriendSharing / allowFamilySharing settings.
+
+const MAX_ENTRIES_PER_APPLY = 100;
+
+// Members of the template's family group, if the owner belongs to it and may share there
+async function getFamilyRecipientIds(familyGroupId, ownerId) {
+  const group = await FamilyGroup.findById(familyGroupId).select('members').lean();
+  if (!group) {
+    return [];
+  }
+
+  const membership = group.members.find(member => member.userId.toString() === ownerId.toString());
+  if (!membership || (membership.permissions && membership.permissions.canShare === false)) {
+    return [];
+  }
+
+  return group.members.map(member => member.userId);
+}
+
+// Active users the template shares with, never including its owner
+async function resolveRecipients(template, owner, sharing = {}) {
+  const ids = new Set(template.recipients.users.map(String));
+
+  if (template.recipients.includeFriends && sharing.allowFriendSharing !== false) {
+    (owner.friends || []).forEach(friendId => ids.add(String(friendId)));
+  }
+
+  if (template.recipients.familyGroup && sharing.allowFamilySharing !== false) {
+    const memberIds = await getFamilyRecipientIds(template.recipients.familyGroup, owner._id);
+    memberIds.forEach(memberId => ids.add(String(memberId)));
+  }
+
+  ids.delete(String(owner._id));
+  if (ids.size === 0) {
+    return [];
+  }
+
+  return User.find({ _id: { $in: [...ids] }, isActive: true });
+}
+
+// Shares each entry with every recipient. Resolves to one result per requested entry id:
+// { entryId, sharedWith } when shared, or { entryId, error } when the entry was skipped
+async function applyTemplate(template, entryIds, owner, options = {}) {
+  const { maxSharedUsers = 0, now = new Date() } = options;
+  const recipients = options.recipients || [];
+  const recipientIds = recipients.map(recipient => recipient._id);
+  const expiresAt = template.getShareExpiry(now);
+
+  const entries = await Clipboard.find({ _id: { $in: entryIds }, productId: template.productId });
+  const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+  const results = [];
+
+  for (const entryId of entryIds) {
+    const entry = entriesById.get(String(entryId));
+    if (!entry) {
+      results.push({ entryId, error: 'Clipboard entry not found' });
+      continue;
+    }
+    // Reading someone else's public entry doesn't let the template owner share it
+    if (!entry.userCanShare(owner._id)) {
+      results.push({ entryId, error: 'Insufficient permissions to share this entry' });
+      continue;
+    }
+    // Recipients need the content key wrapped for them, which only the client can do
+    if (entry.encryption.isEncrypted) {
+      results.push({ entryId, error: 'Encrypted entries must be shared one recipient at a time' });
+      continue;
+    }
+    if (entry.destroyedAt) {
+      results.push({ entryId, error: 'Clipboard entry has been destroyed' });
+      continue;
+    }
+
+    const shared = recipientIds.filter(userId => userId.toString() !== entry.createdBy.toString());
+    shared.forEach(userId => entry.grantShare(userId, template.defaultAccessLevel, expiresAt));
+
+    const activeShares = entry.sharedWith.filter(share => isShareActive(share, now)).length;
+    if (maxSharedUsers > 0 && activeShares > maxSharedUsers) {
+      results.push({ entryId, error: `Entries can be shared with at most ${maxSharedUsers} users` });
+      continue;
+    }
+
+    await entry.save();
+    results.push({ entryId: entry._id, sharedWith: shared, expiresAt });
+  }
+
+  return results;
+}
+
+module.exports = {
+  MAX_ENTRIES_PER_APPLY,
+  resolveRecipients,
+  applyTemplate,
+};
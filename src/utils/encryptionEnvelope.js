@@ -0,0 +1,54 @@
+// Helpers for client-side (end-to-end) encrypted clipboard content
+// The server never sees plaintext for these entries, only the envelope below
+
+const SUPPORTED_ALGORITHMS = ['AES-GCM-256', 'XChaCha20-Poly1305'];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const MAX_KEY_ID_LENGTH = 128;
+
+const isBase64 = value => typeof value === 'string' && value.length > 0 && BASE64_PATTERN.test(value);
+
+// Returns a list of problems with an envelope, empty when it is valid
+const validateEnvelope = envelope => {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return ['Encrypted envelope must be an object'];
+  }
+
+  const errors = [];
+  if (!isBase64(envelope.ciphertext)) {
+    errors.push('ciphertext must be a base64 string');
+  }
+  if (!isBase64(envelope.nonce)) {
+    errors.push('nonce must be a base64 string');
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(envelope.algorithm)) {
+    errors.push(`algorithm must be one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+  if (typeof envelope.keyId !== 'string' || !envelope.keyId || envelope.keyId.length > MAX_KEY_ID_LENGTH) {
+    errors.push(`keyId must be a string of at most ${MAX_KEY_ID_LENGTH} characters`);
+  }
+  if (envelope.wrappedKey !== undefined && !isBase64(envelope.wrappedKey)) {
+    errors.push('wrappedKey must be a base64 string');
+  }
+
+  return errors;
+};
+
+// Maps a validated envelope onto the Clipboard fields that store it
+const toEntryFields = (envelope, ownerId) => ({
+  content: envelope.ciphertext,
+  encryption: {
+    isEncrypted: true,
+    algorithm: envelope.algorithm,
+    nonce: envelope.nonce,
+    keyId: envelope.keyId,
+    wrappedKeys: envelope.wrappedKey ? [{ userId: ownerId, wrappedKey: envelope.wrappedKey }] : [],
+  },
+});
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  isBase64,
+  validateEnvelope,
+  toEntryFields,
+};
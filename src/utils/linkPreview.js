@@ -0,0 +1,93 @@
+// Reads link preview details from a page's HTML: OpenGraph tags first, then Twitter card tags, then
+// <title> and the description meta tag. Only the head is needed, so a truncated page is fine.
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SITE_NAME_LENGTH = 100;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = text =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+// Collapses whitespace and cuts overlong values, or null when nothing is left
+const cleanText = (value, maxLength) => {
+  const text = decodeEntities(String(value || ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) {
+    return null;
+  }
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const parseAttributes = tag => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = name.toLowerCase();
+    if (!(key in attributes)) {
+      attributes[key] = doubleQuoted ?? singleQuoted ?? bare ?? '';
+    }
+  }
+
+  return attributes;
+};
+
+// An http(s) URL resolved against the page, or null
+const resolveUrl = (value, pageUrl) => {
+  try {
+    const url = new URL(decodeEntities(value).trim(), pageUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decodes a page body using the charset from its Content-Type or <meta charset>, falling back to UTF-8
+function decodeHtml(body, contentType = '') {
+  const head = body.subarray(0, 1024).toString('latin1');
+  const [, charset] = /charset=["']?([\w-]+)/i.exec(contentType) || /<meta[^>]+charset=["']?([\w-]+)/i.exec(head) || [];
+
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+// Returns { title, description, siteName, imageUrl }; missing details are null
+function extractLinkPreview(html, pageUrl) {
+  const meta = new Map();
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag.slice(5, -1));
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !meta.has(key)) {
+      meta.set(key, attributes.content);
+    }
+  }
+
+  const first = (...keys) => keys.map(key => meta.get(key)).find(Boolean);
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const image = first('og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src');
+
+  return {
+    title: cleanText(first('og:title', 'twitter:title') || (titleTag && titleTag[1]), MAX_TITLE_LENGTH),
+    description: cleanText(first('og:description', 'twitter:description', 'description'), MAX_DESCRIPTION_LENGTH),
+    siteName: cleanText(first('og:site_name', 'application-name'), MAX_SITE_NAME_LENGTH),
+    imageUrl: image ? resolveUrl(image, pageUrl) : null,
+  };
+}
+
+module.exports = {
+  decodeHtml,
+  extractLinkPreview,
+};
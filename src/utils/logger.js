@@ -0,0 +1,11 @@
+// Server logging. Code logs through here instead of the console, so where logs go can change in one place
+/* eslint-disable no-console */
+
+const logError = (...args) => console.error(...args);
+
+const logInfo = (...args) => console.log(...args);
+
+module.exports = {
+  logError,
+  logInfo,
+};
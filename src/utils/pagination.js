@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Cursor-based pagination over (createdAt, _id), newest first
+// Cursors are opaque to clients: base64url-encoded JSON of the boundary entry's sort key
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const parseLimit = (limit, defaultLimit = DEFAULT_LIMIT) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return defaultLimit;
+  }
+
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+const encodeCursor = entry => {
+  const key = { t: new Date(entry.createdAt).getTime(), id: entry._id.toString() };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+};
+
+// Returns the decoded sort key, or null when the cursor is malformed
+const decodeCursor = cursor => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Builds the extra filter and sort for a page before (older than) or after (newer than) a cursor
+const buildCursorQuery = ({ before, after } = {}) => {
+  if (before && after) {
+    throw new Error('Use either before or after, not both');
+  }
+
+  const cursor = before || after;
+  if (!cursor) {
+    return { filter: null, sort: { createdAt: -1, _id: -1 }, reverse: false };
+  }
+
+  const key = decodeCursor(cursor);
+  if (!key) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  const op = before ? '$lt' : '$gt';
+  const filter = {
+    $or: [{ createdAt: { [op]: key.createdAt } }, { createdAt: key.createdAt, _id: { [op]: key._id } }],
+  };
+
+  // Pages after a cursor are read oldest first, then flipped back to newest first
+  return before
+    ? { filter, sort: { createdAt: -1, _id: -1 }, reverse: false }
+    : { filter, sort: { createdAt: 1, _id: 1 }, reverse: true };
+};
+
+// Returns a client-facing message when the cursor params can't be used, otherwise null
+const getCursorError = params => {
+  try {
+    buildCursorQuery(params);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const withCursorFilter = (filter, cursorFilter) =>
+  cursorFilter ? { ...filter, $and: [...(filter.$and || []), cursorFilter] } : filter;
+
+// Fetches one page of a model's documents. `prepare` can decorate the query, e.g. with populate()
+async function findPage(Model, filter, options = {}) {
+  const { before, after, includeTotal, prepare = query => query } = options;
+  const limit = parseLimit(options.limit);
+  const { filter: cursorFilter, sort, reverse } = buildCursorQuery({ before, after });
+
+  const query = Model.find(withCursorFilter(filter, cursorFilter))
+    .sort(sort)
+    .limit(limit + 1);
+  const docs = await prepare(query);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (reverse) {
+    items.reverse();
+  }
+
+  const pagination = {
+    limit,
+    hasMore,
+    // Pass as `before` for older entries and as `after` for newer ones
+    nextCursor: items.length > 0 ? encodeCursor(items[items.length - 1]) : null,
+    prevCursor: items.length > 0 ? encodeCursor(items[0]) : null,
+  };
+
+  if (includeTotal) {
+    pagination.total = await Model.countDocuments(filter);
+  }
+
+  return { items, pagination };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  getCursorError,
+  withCursorFilter,
+  findPage,
+};
@@ -0,0 +1,195 @@
+// Parser for the search box query syntax, shared by search, bulk actions and exports:
+//
+//   deploy notes       entries matching the words
+//   "exact phrase"     entries containing the phrase
+//   -draft -"wip"      entries without the word or phrase
+//   type:link          entries of a type; repeat to allow several
+//   tag:work           entries with the tag; repeat to require several
+//   from:alice         entries created by the user with that username
+//   after:2026-01-01   entries created on or after the date (before: for strictly before)
+//
+// Filter values may be quoted (tag:"to do"), and type:, tag: and from: may be negated (-tag:draft).
+// Words with a colon that aren't filters, like URLs (https://...), are searched as words.
+// Malformed queries are reported with the position of the character at fault.
+
+const ENTRY_TYPES = ['text', 'image', 'file', 'link', 'template'];
+const FILTER_FIELDS = ['type', 'tag', 'from', 'after', 'before'];
+const NEGATABLE_FIELDS = ['type', 'tag', 'from'];
+
+const isSpace = char => /\s/.test(char);
+
+// Thrown while parsing; parseSearchQuery turns it into an { error, position } result
+const syntaxError = (message, position) => Object.assign(new Error(message), { position });
+
+// Reads a quoted string starting at the opening quote. Returns its text and the index after the closing quote
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw syntaxError('Unterminated quote', start);
+  }
+
+  return { value: input.slice(start + 1, end), next: end + 1 };
+};
+
+// Reads up to the next space or quote
+const readWord = (input, start) => {
+  let end = start;
+  while (end < input.length && !isSpace(input[end]) && input[end] !== '"') {
+    end += 1;
+  }
+
+  return { value: input.slice(start, end), next: end };
+};
+
+// Splits the query into words, phrases and filters, each with the position it starts at
+const tokenize = input => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (isSpace(input[i])) {
+      i += 1;
+      continue;
+    }
+
+    const position = i;
+    const negated = input[i] === '-';
+    if (negated) {
+      i += 1;
+      if (i === input.length || isSpace(input[i])) {
+        throw syntaxError('Expected a word, phrase or filter after "-"', position);
+      }
+    }
+
+    if (input[i] === '"') {
+      const { value, next } = readQuoted(input, i);
+      if (!value.trim()) {
+        throw syntaxError('Empty phrase', i);
+      }
+      tokens.push({ kind: 'phrase', value: value.trim(), negated, position });
+      i = next;
+      continue;
+    }
+
+    // A name followed by a colon and a value is a filter, unless the value starts with "/" as in URLs
+    const [name] = input.slice(i).match(/^[A-Za-z]*/);
+    const colon = i + name.length;
+    const valueStart = colon + 1;
+    if (name && input[colon] === ':' && input[valueStart] !== '/') {
+      const field = name.toLowerCase();
+      const hasValue = valueStart < input.length && !isSpace(input[valueStart]);
+      if (FILTER_FIELDS.includes(field)) {
+        if (!hasValue) {
+          throw syntaxError(`Expected a value after "${name}:"`, valueStart);
+        }
+        const { value, next } = input[valueStart] === '"' ? readQuoted(input, valueStart) : readWord(input, valueStart);
+        if (!value.trim()) {
+          throw syntaxError(`Expected a value after "${name}:"`, valueStart);
+        }
+        tokens.push({ kind: 'filter', field, value: value.trim(), negated, position, valuePosition: valueStart });
+        i = next;
+        continue;
+      }
+      if (hasValue) {
+        throw syntaxError(`Unknown filter "${name}:". Use one of: ${FILTER_FIELDS.join(', ')}`, i);
+      }
+    }
+
+    const { value, next } = readWord(input, i);
+    tokens.push({ kind: 'word', value, negated, position });
+    i = next;
+  }
+
+  return tokens;
+};
+
+const parseDate = (token, field) => {
+  const date = /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(token.value) && new Date(token.value);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw syntaxError(`${field}: must be a date like 2026-01-31`, token.valuePosition);
+  }
+
+  return date;
+};
+
+// Parses a query into its text part and its filters. Returns { query } or, for a malformed query,
+// { error, position } with the index of the character at fault
+function parseSearchQuery(input) {
+  const text = { words: [], phrases: [], excludedWords: [], excludedPhrases: [] };
+  const filters = {
+    type: { include: [], exclude: [] },
+    tag: { include: [], exclude: [] },
+    from: { include: [], exclude: [] },
+    after: null,
+    before: null,
+  };
+
+  try {
+    for (const token of tokenize(String(input || ''))) {
+      if (token.kind === 'word') {
+        (token.negated ? text.excludedWords : text.words).push(token.value);
+        continue;
+      }
+      if (token.kind === 'phrase') {
+        (token.negated ? text.excludedPhrases : text.phrases).push(token.value);
+        continue;
+      }
+
+      const { field, negated } = token;
+      if (negated && !NEGATABLE_FIELDS.includes(field)) {
+        throw syntaxError(`${field}: can't be negated`, token.position);
+      }
+
+      if (field === 'after' || field === 'before') {
+        const date = parseDate(token, field);
+        // Repeated bounds narrow the range
+        const narrower = field === 'after' ? date > filters.after : date < filters.before;
+        if (!filters[field] || narrower) {
+          filters[field] = date;
+        }
+        if (filters.after && filters.before && filters.after >= filters.before) {
+          throw syntaxError('after: must be earlier than before:', token.valuePosition);
+        }
+        continue;
+      }
+
+      let { value } = token;
+      if (field === 'type') {
+        value = value.toLowerCase();
+        if (!ENTRY_TYPES.includes(value)) {
+          throw syntaxError(`type: must be one of: ${ENTRY_TYPES.join(', ')}`, token.valuePosition);
+        }
+      } else if (field === 'tag') {
+        value = value.toLowerCase();
+      }
+      filters[field][negated ? 'exclude' : 'include'].push(value);
+    }
+  } catch (error) {
+    if (error.position === undefined) {
+      throw error;
+    }
+    return { error: error.message, position: error.position };
+  }
+
+  return { query: { text, filters } };
+}
+
+// Whether the text part has anything to match, rather than only words and phrases to leave out
+const hasMatchingText = text => text.words.length > 0 || text.phrases.length > 0;
+
+// The text part as a $text search string: words, "phrases", -words and -"phrases"
+const formatTextSearch = text =>
+  [
+    ...text.words,
+    ...text.phrases.map(phrase => `"${phrase}"`),
+    ...text.excludedWords.map(word => `-${word}`),
+    ...text.excludedPhrases.map(phrase => `-"${phrase}"`),
+  ].join(' ');
+
+module.exports = {
+  ENTRY_TYPES,
+  FILTER_FIELDS,
+  parseSearchQuery,
+  hasMatchingText,
+  formatTextSearch,
+};
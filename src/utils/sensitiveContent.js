@@ -0,0 +1,177 @@
+// Detectors for secrets and personal data copied to the clipboard
+// Findings hold only the type and position of a match, never the matched value
+
+const passesLuhn = digits => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: move the first four characters to the end, map letters to numbers, then mod 97 must be 1
+const passesIbanChecksum = iban => {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+};
+
+const isJwt = token => {
+  try {
+    const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+    return typeof header.alg === 'string';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Words that introduce a one-time code, e.g. "Your verification code is 482913"
+const OTP_KEYWORDS = 'otp|2fa|one[- ]time (?:code|password)|verification code|security code|login code|passcode|code';
+
+// `group` picks the capture group to flag when the pattern needs surrounding context
+const DETECTORS = [
+  {
+    type: 'private-key',
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY-----[\s\S]*?-----END \1PRIVATE KEY-----/g,
+  },
+  {
+    type: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g,
+    validate: isJwt,
+  },
+  {
+    type: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    type: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: 'aws-secret-key',
+    pattern: /\baws_?secret_?(?:access_?)?key\b["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1,
+  },
+  {
+    type: 'credit-card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/[ -]/g, '')),
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: match => passesIbanChecksum(match.replace(/ /g, '')),
+  },
+  {
+    type: 'ssn',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  },
+  {
+    type: 'one-time-code',
+    pattern: new RegExp(`\\b(?:${OTP_KEYWORDS})\\b[^\\d\\n]{0,20}\\b(\\d{4,8})\\b`, 'gi'),
+    group: 1,
+  },
+];
+
+const SENSITIVE_TYPES = DETECTORS.map(detector => detector.type);
+
+// Finds sensitive spans. Overlapping matches keep the detector listed first, so a private
+// key block isn't also reported as the tokens inside it
+const detectSensitiveContent = text => {
+  const content = String(text || '');
+  const findings = [];
+
+  for (const { type, pattern, validate, group } of DETECTORS) {
+    for (const match of content.matchAll(pattern)) {
+      const value = group ? match[group] : match[0];
+      const start = group ? match.index + match[0].lastIndexOf(value) : match.index;
+      const end = start + value.length;
+
+      const overlaps = findings.some(finding => start < finding.end && end > finding.start);
+      if (!overlaps && (!validate || validate(value))) {
+        findings.push({ type, start, end });
+      }
+    }
+  }
+
+  findings.sort((a, b) => a.start - b.start);
+
+  return {
+    isSensitive: findings.length > 0,
+    types: [...new Set(findings.map(finding => finding.type))],
+    findings,
+  };
+};
+
+// Card numbers and IBANs keep their last four characters so users can tell them apart
+const maskFinding = (value, type) => {
+  if (type === 'credit-card' || type === 'iban') {
+    const visible = value.replace(/[ -]/g, '').slice(-4);
+    return `[${type} ••••${visible}]`;
+  }
+
+  return `[${type}]`;
+};
+
+const redactSensitiveContent = (text, findings) => {
+  const content = String(text || '');
+  let redacted = '';
+  let position = 0;
+
+  for (const { type, start, end } of findings) {
+    redacted += content.slice(position, start) + maskFinding(content.slice(start, end), type);
+    position = end;
+  }
+
+  return redacted + content.slice(position);
+};
+
+// Works out the sensitivity fields of an entry under a product's policy
+// Returns { sensitivity, expiresAt } where expiresAt is only shortened, never extended
+const classifyContent = (content, policy = {}, options = {}) => {
+  const { previewLength = 200, expiresAt = null, now = new Date() } = options;
+  const { isSensitive, types, findings } = detectSensitiveContent(content);
+
+  if (!isSensitive) {
+    return { sensitivity: { isSensitive: false, types: [] }, expiresAt };
+  }
+
+  const sensitivity = { isSensitive: true, types, detectedAt: now };
+  if (policy.storeRedactedPreview) {
+    sensitivity.redactedPreview = redactSensitiveContent(content, findings).slice(0, previewLength);
+  }
+
+  let shortenedExpiry = expiresAt;
+  if (policy.expireAfter > 0) {
+    const sensitiveExpiry = new Date(now.getTime() + policy.expireAfter);
+    if (!expiresAt || sensitiveExpiry < new Date(expiresAt)) {
+      shortenedExpiry = sensitiveExpiry;
+    }
+  }
+
+  return { sensitivity, expiresAt: shortenedExpiry };
+};
+
+module.exports = {
+  SENSITIVE_TYPES,
+  passesLuhn,
+  passesIbanChecksum,
+  detectSensitiveContent,
+  redactSensitiveContent,
+  classifyContent,
+};
@@ -0,0 +1,84 @@
+// Placeholder expansion for 'template' clipboard entries
+// Syntax: {{name}} or {{name|default}}. Whitespace around the name is ignored, and \{{ is a literal {{
+
+const PLACEHOLDER_PATTERN = /\\\{\{|\{\{\s*([A-Za-z_][\w.-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+const BUILT_IN_NAMES = ['date', 'time', 'datetime', 'user.firstName', 'user.lastName', 'user.username', 'user.email'];
+
+// Lists each distinct placeholder in order of first appearance
+const parsePlaceholders = content => {
+  const placeholders = new Map();
+
+  for (const match of String(content || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const [, name, defaultValue] = match;
+    if (name && !placeholders.has(name)) {
+      placeholders.set(name, {
+        name,
+        defaultValue: defaultValue === undefined ? null : defaultValue,
+        builtIn: BUILT_IN_NAMES.includes(name),
+      });
+    }
+  }
+
+  return [...placeholders.values()];
+};
+
+const formatInTimezone = (now, timezone, options) => {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { ...options, timeZone: timezone || 'UTC' }).format(now);
+  } catch (error) {
+    // Unknown timezone on the profile
+    return new Intl.DateTimeFormat('en-CA', { ...options, timeZone: 'UTC' }).format(now);
+  }
+};
+
+// Values for the built-in placeholders, resolved for the requesting user
+const buildTemplateContext = (user, now = new Date()) => {
+  const timezone = user.profile && user.profile.timezone;
+
+  return {
+    date: formatInTimezone(now, timezone, { year: 'numeric', month: '2-digit', day: '2-digit' }),
+    time: formatInTimezone(now, timezone, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    datetime: now.toISOString(),
+    'user.firstName': user.firstName || '',
+    'user.lastName': user.lastName || '',
+    'user.username': user.username || '',
+    'user.email': user.email || '',
+  };
+};
+
+// Expands a template. Supplied values win over built-ins, which win over defaults.
+// Placeholders without any value are reported in `missing` and left in the text as-is
+const renderTemplate = (content, values = {}, context = {}) => {
+  const missing = new Set();
+
+  const text = String(content || '').replace(PLACEHOLDER_PATTERN, (match, name, defaultValue) => {
+    if (!name) {
+      return '{{';
+    }
+
+    if (Object.prototype.hasOwnProperty.call(values, name) && values[name] !== null && values[name] !== undefined) {
+      return String(values[name]);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(context, name)) {
+      return context[name];
+    }
+
+    if (defaultValue !== undefined) {
+      return defaultValue;
+    }
+
+    missing.add(name);
+    return match;
+  });
+
+  return { text, missing: [...missing] };
+};
+
+module.exports = {
+  BUILT_IN_NAMES,
+  parsePlaceholders,
+  buildTemplateContext,
+  renderTemplate,
+};
@@ -0,0 +1,172 @@
+// Line-based text diff using Myers' O(ND) algorithm, and a three-way merge built on it
+
+const splitLines = text => (text ? String(text).replace(/\r\n?/g, '\n').split('\n') : []);
+
+// Returns the shortest edit script between two line arrays as a list of single-line edits
+const diffLineArrays = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edits
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: 'added', line: b[y - 1] });
+      } else {
+        edits.push({ type: 'removed', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+};
+
+// Diffs two texts line by line and groups consecutive edits of the same kind into hunks
+const diffLines = (oldText, newText) => {
+  const edits = diffLineArrays(splitLines(oldText), splitLines(newText));
+  const hunks = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+
+  for (const { type, line } of edits) {
+    stats[type === 'equal' ? 'unchanged' : type] += 1;
+
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  }
+
+  return { hunks, stats };
+};
+
+// For each line of `a`, the index of the line it was kept as in `b`, or -1 when it was removed
+const matchLines = (a, b) => {
+  const matches = new Array(a.length).fill(-1);
+  let x = 0;
+  let y = 0;
+
+  for (const { type } of diffLineArrays(a, b)) {
+    if (type === 'equal') {
+      matches[x++] = y++;
+    } else if (type === 'removed') {
+      x++;
+    } else {
+      y++;
+    }
+  }
+
+  return matches;
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+// Three-way line merge of two texts that both started from `base`. Regions changed on one side only
+// take that side; regions changed the same way on both sides are taken once. Regions changed
+// differently are conflicts, written out between diff3-style markers:
+//   <<<<<<< ours / ||||||| base / ======= / >>>>>>> theirs
+// Returns { content, conflicts, clean }, each conflict being { base, ours, theirs } line arrays
+const mergeLines = (baseText, oursText, theirsText) => {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const oursMatches = matchLines(base, ours);
+  const theirsMatches = matchLines(base, theirs);
+
+  const lines = [];
+  const conflicts = [];
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  let done = false;
+  while (!done) {
+    // Next base line both sides kept; everything before it is a region that may have changed
+    let s = i;
+    while (s < base.length && (oursMatches[s] < 0 || theirsMatches[s] < 0)) {
+      s++;
+    }
+    const oursEnd = s < base.length ? oursMatches[s] : ours.length;
+    const theirsEnd = s < base.length ? theirsMatches[s] : theirs.length;
+
+    const region = { base: base.slice(i, s), ours: ours.slice(j, oursEnd), theirs: theirs.slice(k, theirsEnd) };
+    if (sameLines(region.ours, region.base) || sameLines(region.ours, region.theirs)) {
+      lines.push(...region.theirs);
+    } else if (sameLines(region.theirs, region.base)) {
+      lines.push(...region.ours);
+    } else {
+      conflicts.push(region);
+      lines.push('<<<<<<< ours', ...region.ours, '||||||| base', ...region.base);
+      lines.push('=======', ...region.theirs, '>>>>>>> theirs');
+    }
+
+    if (s < base.length) {
+      lines.push(base[s]);
+      i = s + 1;
+      j = oursEnd + 1;
+      k = theirsEnd + 1;
+    } else {
+      done = true;
+    }
+  }
+
+  return { content: lines.join('\n'), conflicts, clean: conflicts.length === 0 };
+};
+
+module.exports = {
+  splitLines,
+  diffLineArrays,
+  diffLines,
+  mergeLines,
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const Clipboard = require('../../src/models/Clipboard');
+const ClipboardRevision = require('../../src/models/ClipboardRevision');
+const { setKeyring, isEncryptedValue } = require('../../src/services/atRestEncryption');
+
+describe('Clipboard Model', () => {
+  describe('Content Hashing', () => {
+    it('should hash identical content identically', () => {
+      const first = Clipboard.computeContentHash('Hello world', 'text');
+      const second = Clipboard.computeContentHash('Hello world', 'text');
+
+      expect(first).toBe(second);
+      expect(first).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should ignore line ending and surrounding whitespace differences', () => {
+      const unix = Clipboard.computeContentHash('line one\nline two', 'text');
+      const windows = Clipboard.computeContentHash('  line one  \r\nline two\r\n', 'text');
+
+      expect(windows).toBe(unix);
+    });
+
+    it('should distinguish content types', () => {
+      const text = Clipboard.computeContentHash('https://yourl.cloud', 'text');
+      const link = Clipboard.computeContentHash('https://yourl.cloud', 'link');
+
+      expect(text).not.toBe(link);
+    });
+
+    it('should set the hash during validation', async () => {
+      const entry = new Clipboard({
+        content: 'Test clipboard content',
+        type: 'text',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+      });
+
+      await entry.validate();
+
+      expect(entry.contentHash).toBe(Clipboard.computeContentHash('Test clipboard content', 'text'));
+    });
+  });
+
+  describe('Templates', () => {
+    it('should record the placeholders of template entries', () => {
+      const entry = new Clipboard({
+        content: 'Hi {{name}}, meet at {{place|the office}} on {{date}}',
+        type: 'template',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+      });
+
+      entry.updateMetadata();
+
+      expect(entry.metadata.placeholders).toEqual(['name', 'place', 'date']);
+      expect(entry.metadata.wordCount).toBe(8);
+    });
+  });
+
+  describe('Links', () => {
+    const makeLink = metadata =>
+      new Clipboard({
+        content: 'https://example.com/guide',
+        type: 'link',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+        metadata,
+      });
+
+    it('should record the url and domain of link entries', () => {
+      const entry = makeLink();
+
+      entry.updateMetadata();
+
+      expect(entry.metadata.url).toBe('https://example.com/guide');
+      expect(entry.metadata.domain).toBe('example.com');
+    });
+
+    it('should clear the preview of a link that changed', () => {
+      const preview = { title: 'Old page', siteName: 'Old', unfurledAt: new Date(), thumbnail: 'key' };
+      const entry = makeLink({ url: 'https://example.com/old', ...preview });
+
+      entry.updateMetadata();
+
+      expect(entry.metadata.title).toBeUndefined();
+      expect(entry.metadata.siteName).toBeUndefined();
+      expect(entry.metadata.unfurledAt).toBeUndefined();
+      // The unfurler replaces the thumbnail and removes its blob
+      expect(entry.metadata.thumbnail).toBe('key');
+    });
+
+    it('should keep the preview while the link is the same', () => {
+      const entry = makeLink({ url: 'https://example.com/guide', title: 'Guide' });
+
+      entry.updateMetadata();
+
+      expect(entry.metadata.title).toBe('Guide');
+    });
+  });
+
+  describe('Self-destruct', () => {
+    const makeEntry = (overrides = {}) =>
+      new Clipboard({
+        content: 'Wi-Fi: hunter2',
+        type: 'text',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+        ...overrides,
+      });
+
+    it('should treat burn after reading as a single view', async () => {
+      const entry = makeEntry({ burnAfterReading: true });
+
+      await entry.validate();
+
+      expect(entry.maxViews).toBe(1);
+    });
+
+    it('should withhold the content of view-limited entries unless a read revealed it', () => {
+      const entry = makeEntry({ maxViews: 2 });
+
+      expect(entry.toJSON().content).toBeUndefined();
+      expect(entry.toJSON().contentWithheld).toBe(true);
+
+      entry.$locals.revealContent = true;
+      expect(entry.toJSON().content).toBe('Wi-Fi: hunter2');
+    });
+
+    it('should not require content once destroyed', async () => {
+      const entry = makeEntry({ content: undefined, maxViews: 1, destroyedAt: new Date() });
+
+      await expect(entry.validate()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Sharing on', () => {
+    it('should only let the creator and write sharees share an entry on', () => {
+      const creator = '654321098765432109876543';
+      const writer = '654321098765432109876501';
+      const reader = '654321098765432109876502';
+      const entry = new Clipboard({
+        content: 'Team wiki password',
+        type: 'text',
+        productId: 'test-product',
+        createdBy: creator,
+        isPublic: true,
+      });
+      entry.grantShare(writer, 'write');
+      entry.grantShare(reader, 'read');
+
+      expect(entry.userCanShare(creator)).toBe(true);
+      expect(entry.userCanShare(writer)).toBe(true);
+      expect(entry.userHasAccess(reader, 'write')).toBe(true);
+      expect(entry.userCanShare(reader)).toBe(false);
+      expect(entry.userCanShare('654321098765432109876503')).toBe(false);
+
+      entry.sharedWith[0].expiresAt = new Date(Date.now() - 1000);
+      expect(entry.userCanShare(writer)).toBe(false);
+    });
+  });
+
+  describe('Group shares', () => {
+    const groupId = '654321098765432109876500';
+
+    it('should replace an earlier share with the same group', async () => {
+      const entry = new Clipboard({
+        content: 'Gate code 4711',
+        type: 'text',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+      });
+      entry.save = jest.fn().mockResolvedValue(entry);
+
+      await entry.shareWithGroup('family', groupId, entry.createdBy);
+      await entry.shareWithGroup('family', groupId, entry.createdBy, new Date(Date.now() + 60000));
+      await entry.shareWithGroup('friends', entry.createdBy, entry.createdBy);
+
+      expect(entry.groupShares).toHaveLength(2);
+      expect(entry.findGroupShare('family', groupId).expiresAt).toBeInstanceOf(Date);
+
+      expect(entry.removeGroupShare('family', groupId)).toBeDefined();
+      expect(entry.removeGroupShare('family', groupId)).toBeUndefined();
+      expect(entry.groupShares.map(share => share.groupType)).toEqual(['friends']);
+    });
+  });
+
+  describe('At-rest encryption', () => {
+    beforeEach(() => {
+      setKeyring({ activeKeyId: 'v1', keys: new Map([['v1', crypto.randomBytes(32)]]) });
+    });
+
+    afterEach(() => {
+      setKeyring(undefined);
+    });
+
+    it('should re-encrypt fields updated on a saved entry', async () => {
+      const created = new Clipboard({
+        content: 'first draft',
+        type: 'link',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+        metadata: { url: 'https://example.com/a', title: 'A' },
+      });
+      const saved = Clipboard.hydrate(created.toObject({ getters: false }));
+
+      saved.content = 'second draft';
+      saved.metadata.url = 'https://example.com/b';
+      saved.metadata.title = 'B';
+
+      await expect(saved.validate()).resolves.toBeUndefined();
+      expect(isEncryptedValue(saved.get('content', null, { getters: false }))).toBe(true);
+      expect(saved.content).toBe('second draft');
+      expect(saved.metadata.url).toBe('https://example.com/b');
+      expect(saved.metadata.title).toBe('B');
+    });
+
+    it('should not store a plain hash of content encrypted at rest', async () => {
+      const entry = new Clipboard({
+        content: '4711',
+        type: 'text',
+        productId: 'test-product',
+        createdBy: '654321098765432109876543',
+      });
+
+      await entry.validate();
+
+      expect(entry.contentHash).toBe(Clipboard.computeContentHash('4711', 'text'));
+      expect(entry.contentHash).not.toBe(crypto.createHash('sha256').update('text\n4711').digest('hex'));
+    });
+
+    it('should recompute stored hashes that are not keyed with the active key', async () => {
+      const docs = [
+        { _id: 'stale', content: 'first', type: 'text', contentHash: 'plain-sha256' },
+        { _id: 'current', content: 'second', type: 'text', contentHash: Clipboard.computeContentHash('second') },
+      ];
+      const cursor = () => docs[Symbol.iterator]();
+      jest.spyOn(Clipboard, 'find').mockReturnValue({ select: () => ({ lean: () => ({ cursor }) }) });
+      const updateOne = jest.spyOn(Clipboard.collection, 'updateOne').mockResolvedValue({});
+
+      expect(await Clipboard.rehashContent()).toEqual({ scanned: 2, updated: 1 });
+      const contentHash = Clipboard.computeContentHash('first');
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'stale' }, { $set: { contentHash } });
+    });
+
+    it('should re-encrypt updated revision snapshots', () => {
+      const saved = ClipboardRevision.hydrate(new ClipboardRevision({ content: 'v1' }).toObject({ getters: false }));
+
+      saved.content = 'v2';
+
+      expect(saved.validateSync(['content'])).toBeUndefined();
+      expect(saved.content).toBe('v2');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Collection = require('../../src/models/Collection');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeCollection = (entryIds = []) => {
+  const collection = new Collection({
+    name: 'Addresses',
+    productId: 'test-product',
+    owner: objectId(),
+    entries: entryIds.map(entryId => ({ entryId })),
+  });
+  jest.spyOn(collection, 'save').mockResolvedValue(collection);
+
+  return collection;
+};
+
+const orderOf = collection => collection.entries.map(entry => entry.entryId.toString());
+
+describe('Collection Model', () => {
+  describe('Membership', () => {
+    it('should append entries and insert them at a position', async () => {
+      const [first, second, third] = [objectId(), objectId(), objectId()];
+      const collection = makeCollection([first]);
+
+      await collection.addEntry(second);
+      await collection.addEntry(third, null, 0);
+
+      expect(orderOf(collection)).toEqual([third, first, second].map(String));
+    });
+
+    it('should reject adding the same entry twice', async () => {
+      const entryId = objectId();
+      const collection = makeCollection([entryId]);
+
+      await expect(collection.addEntry(entryId)).rejects.toThrow('Entry is already in this collection');
+    });
+
+    it('should reorder entries', async () => {
+      const ids = [objectId(), objectId(), objectId()];
+      const collection = makeCollection(ids);
+
+      await collection.reorderEntries([ids[2], ids[0], ids[1]].map(String));
+
+      expect(orderOf(collection)).toEqual([ids[2], ids[0], ids[1]].map(String));
+    });
+
+    it('should reject an order that does not list every entry once', async () => {
+      const ids = [objectId(), objectId()];
+      const collection = makeCollection(ids);
+
+      await expect(collection.reorderEntries([ids[0]])).rejects.toThrow();
+      await expect(collection.reorderEntries([ids[0], ids[0]])).rejects.toThrow();
+      await expect(collection.reorderEntries([ids[0], objectId()])).rejects.toThrow();
+    });
+  });
+
+  describe('Access', () => {
+    it('should grant the owner full access and sharees their level', async () => {
+      const collection = makeCollection();
+      const reader = objectId();
+
+      await collection.shareWithUser(reader, 'read');
+
+      expect(collection.userHasAccess(collection.owner, 'write')).toBe(true);
+      expect(collection.userHasAccess(reader, 'read')).toBe(true);
+      expect(collection.userHasAccess(reader, 'write')).toBe(false);
+      expect(collection.userHasAccess(objectId(), 'read')).toBe(false);
+
+      await collection.removeUserAccess(reader);
+
+      expect(collection.userHasAccess(reader, 'read')).toBe(false);
+    });
+  });
+});
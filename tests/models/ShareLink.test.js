@@ -0,0 +1,55 @@
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../../src/models/ShareLink');
+
+const makeLink = (overrides = {}) =>
+  new ShareLink({
+    tokenHash: ShareLink.hashToken('token'),
+    entryId: '654321098765432109876543',
+    productId: 'test-product',
+    createdBy: '654321098765432109876543',
+    ...overrides,
+  });
+
+describe('ShareLink Model', () => {
+  describe('Tokens', () => {
+    it('should hash tokens deterministically without storing them', () => {
+      expect(ShareLink.hashToken('abc')).toBe(ShareLink.hashToken('abc'));
+      expect(ShareLink.hashToken('abc')).not.toBe(ShareLink.hashToken('abd'));
+      expect(ShareLink.hashToken('abc')).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should leave hashes out of JSON', () => {
+      const json = makeLink({ passwordHash: 'hash' }).toJSON();
+
+      expect(json.tokenHash).toBeUndefined();
+      expect(json.passwordHash).toBeUndefined();
+      expect(json.hasPassword).toBe(true);
+    });
+  });
+
+  describe('Passwords', () => {
+    it('should accept any password when none is set', async () => {
+      expect(await makeLink().checkPassword(undefined)).toBe(true);
+    });
+
+    it('should check the password when one is set', async () => {
+      const link = makeLink({ passwordHash: await bcrypt.hash('open sesame', 4) });
+
+      expect(await link.checkPassword('open sesame')).toBe(true);
+      expect(await link.checkPassword('wrong')).toBe(false);
+      expect(await link.checkPassword(undefined)).toBe(false);
+    });
+  });
+
+  describe('Usability', () => {
+    const now = new Date('2024-05-01T12:00:00Z');
+
+    it('should stop working once expired, used up or revoked', () => {
+      expect(makeLink().isUsable(now)).toBe(true);
+      expect(makeLink({ expiresAt: new Date('2024-05-01T11:00:00Z') }).isUsable(now)).toBe(false);
+      expect(makeLink({ maxUses: 2, useCount: 1 }).isUsable(now)).toBe(true);
+      expect(makeLink({ maxUses: 2, useCount: 2 }).isUsable(now)).toBe(false);
+      expect(makeLink({ revokedAt: now }).isUsable(now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Clipboard = require('../../src/models/Clipboard');
+const ClipboardRevision = require('../../src/models/ClipboardRevision');
+const User = require('../../src/models/User');
+const router = require('../../src/routes/clipboard');
+const { requestRoute } = require('./routeApp');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeMember = () => ({
+  _id: objectId(),
+  role: 'user',
+  friends: [],
+  hasProductAccess: (productId, accessLevel) => productId === 'product-1' && accessLevel !== 'admin',
+});
+
+const makeEntry = (overrides = {}) =>
+  new Clipboard({
+    content: 'Door code 4711',
+    type: 'text',
+    productId: 'product-1',
+    createdBy: objectId(),
+    revision: 2,
+    ...overrides,
+  });
+
+describe('clipboard routes', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+      populate: jest.fn().mockResolvedValue({ productAccess: [{ _id: objectId(), productId: 'product-1' }] }),
+    });
+    jest.spyOn(ClipboardRevision, 'findOne');
+  });
+
+  describe('POST /:id/merge', () => {
+    const merge = (user, entry) =>
+      requestRoute(router, user, {
+        method: 'POST',
+        path: `/${entry._id}/merge`,
+        body: { productId: 'product-1', baseRevision: 1, content: 'Door code 1234' },
+      });
+
+    it("should refuse to merge into another member's private entry", async () => {
+      const entry = makeEntry({ accessLevel: 'private' });
+      jest.spyOn(Clipboard, 'findOne').mockResolvedValue(entry);
+
+      const response = await merge(makeMember(), entry);
+
+      expect(response).toEqual({ status: 403, body: { error: 'Insufficient permissions' } });
+      expect(ClipboardRevision.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to merge into another member's view-limited entry", async () => {
+      const entry = makeEntry({ isPublic: true, maxViews: 1 });
+      jest.spyOn(Clipboard, 'findOne').mockResolvedValue(entry);
+
+      const response = await merge(makeMember(), entry);
+
+      expect(response.status).toBe(403);
+      expect(JSON.stringify(response.body)).not.toContain('4711');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Clipboard = require('../../src/models/Clipboard');
+const Collection = require('../../src/models/Collection');
+const ShareEvent = require('../../src/models/ShareEvent');
+const User = require('../../src/models/User');
+const router = require('../../src/routes/collections');
+const { requestRoute } = require('./routeApp');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeMember = () => ({
+  _id: objectId(),
+  role: 'user',
+  friends: [],
+  isActive: true,
+  hasProductAccess: (productId, accessLevel) => productId === 'product-1' && accessLevel !== 'admin',
+});
+
+// User.findById serves both the product access check and the lookup of the share's recipient
+const mockUsers = users => {
+  jest.spyOn(User, 'findById').mockImplementation(id => {
+    const query = Promise.resolve(users.find(user => user._id.toString() === id.toString()));
+    query.populate = jest.fn().mockResolvedValue({ productAccess: [{ _id: objectId(), productId: 'product-1' }] });
+    return query;
+  });
+};
+
+describe('collection routes', () => {
+  describe('POST /:id/share', () => {
+    it("should not pass on access to other members' public entries", async () => {
+      const owner = makeMember();
+      const recipient = makeMember();
+      const ownEntry = new Clipboard({ content: 'Packing list', productId: 'product-1', createdBy: owner._id });
+      const publicEntry = new Clipboard({
+        content: 'Team wiki password',
+        productId: 'product-1',
+        createdBy: objectId(),
+        isPublic: true,
+      });
+      const collection = new Collection({
+        name: 'Trip',
+        productId: 'product-1',
+        owner: owner._id,
+        entries: [ownEntry, publicEntry].map(entry => ({ entryId: entry._id, addedBy: owner._id })),
+      });
+      collection.save = jest.fn().mockResolvedValue(collection);
+      mockUsers([owner, recipient]);
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Clipboard, 'find').mockResolvedValue([ownEntry, publicEntry]);
+      jest.spyOn(Clipboard, 'grantCollectionAccess').mockResolvedValue([]);
+      jest.spyOn(ShareEvent, 'insertMany').mockResolvedValue([]);
+
+      const response = await requestRoute(router, owner, {
+        method: 'POST',
+        path: `/${collection._id}/share`,
+        body: { productId: 'product-1', userId: recipient._id.toString(), accessLevel: 'write' },
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.share.entriesShared).toBe(1);
+      expect(Clipboard.grantCollectionAccess).toHaveBeenCalledWith([ownEntry._id], collection._id, [
+        { userId: recipient._id, accessLevel: 'write' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const express = require('express');
+
+// Serves a router as the given signed-in user, like server.js does after authenticateToken, and
+// sends one JSON request to it. Resolves to { status, body }
+async function requestRoute(router, user, { method = 'GET', path, body } = {}) {
+  // Real-time events go nowhere
+  const io = { to: () => io, except: () => io, emit: () => {} };
+  const app = express();
+  app.set('io', io);
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(router);
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+module.exports = { requestRoute };
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Clipboard = require('../../src/models/Clipboard');
+const Product = require('../../src/models/Product');
+const ShareLink = require('../../src/models/ShareLink');
+const User = require('../../src/models/User');
+const router = require('../../src/routes/shares');
+const { requestRoute } = require('./routeApp');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeMember = () => ({
+  _id: objectId(),
+  role: 'user',
+  friends: [],
+  hasProductAccess: (productId, accessLevel) => productId === 'product-1' && accessLevel !== 'admin',
+});
+
+const makePublicEntry = () =>
+  new Clipboard({
+    content: 'Team wiki password',
+    type: 'text',
+    productId: 'product-1',
+    createdBy: objectId(),
+    isPublic: true,
+  });
+
+describe('share routes', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+      populate: jest.fn().mockResolvedValue({ productAccess: [{ _id: objectId(), productId: 'product-1' }] }),
+    });
+    jest.spyOn(Product, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ settings: { sharing: { allowPublicSharing: true } } }),
+    });
+  });
+
+  describe('POST /links', () => {
+    it("should not let a member link another member's public entry", async () => {
+      const entry = makePublicEntry();
+      jest.spyOn(Clipboard, 'findOne').mockResolvedValue(entry);
+      jest.spyOn(ShareLink, 'mint');
+
+      const response = await requestRoute(router, makeMember(), {
+        method: 'POST',
+        path: '/links',
+        body: { entryId: entry._id.toString(), productId: 'product-1' },
+      });
+
+      expect(response).toEqual({ status: 403, body: { error: 'Insufficient permissions to share this entry' } });
+      expect(ShareLink.mint).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /group', () => {
+    it("should not let a member share another member's public entry with a group", async () => {
+      const entry = makePublicEntry();
+      jest.spyOn(Clipboard, 'findOne').mockResolvedValue(entry);
+
+      const response = await requestRoute(router, makeMember(), {
+        method: 'POST',
+        path: '/group',
+        body: { entryId: entry._id.toString(), productId: 'product-1', groupType: 'friends' },
+      });
+
+      expect(response).toEqual({ status: 403, body: { error: 'Insufficient permissions to share this entry' } });
+      expect(entry.groupShares).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Clipboard = require('../../src/models/Clipboard');
+const {
+  setKeyring,
+  encryptValue,
+  encryptSetter,
+  hashValue,
+  decryptValue,
+  isEncryptedValue,
+  getValueKeyId,
+  reencryptCollection,
+} = require('../../src/services/atRestEncryption');
+
+const createKeyring = (activeKeyId, keyIds) => ({
+  activeKeyId,
+  keys: new Map(keyIds.map(keyId => [keyId, crypto.randomBytes(32)])),
+});
+
+describe('atRestEncryption', () => {
+  afterEach(() => {
+    setKeyring(undefined);
+  });
+
+  it('should pass values through when no keyring is configured', () => {
+    setKeyring(null);
+
+    expect(encryptValue('plain text')).toBe('plain text');
+    expect(decryptValue('plain text')).toBe('plain text');
+  });
+
+  it('should encrypt with the active key and decrypt back', () => {
+    setKeyring(createKeyring('v1', ['v1']));
+
+    const encrypted = encryptValue('secret clipboard content');
+
+    expect(isEncryptedValue(encrypted)).toBe(true);
+    expect(getValueKeyId(encrypted)).toBe('v1');
+    expect(encrypted).not.toContain('secret');
+    expect(decryptValue(encrypted)).toBe('secret clipboard content');
+  });
+
+  it('should use a fresh IV for every encryption', () => {
+    setKeyring(createKeyring('v1', ['v1']));
+
+    expect(encryptValue('same')).not.toBe(encryptValue('same'));
+  });
+
+  it('should decrypt values written with an older key version', () => {
+    const keyring = createKeyring('v1', ['v1', 'v2']);
+    setKeyring(keyring);
+    const oldValue = encryptValue('rotated content');
+
+    keyring.activeKeyId = 'v2';
+    const newValue = encryptValue(decryptValue(oldValue));
+
+    expect(getValueKeyId(newValue)).toBe('v2');
+    expect(decryptValue(oldValue)).toBe('rotated content');
+    expect(decryptValue(newValue)).toBe('rotated content');
+  });
+
+  it('should reject tampered ciphertext', () => {
+    setKeyring(createKeyring('v1', ['v1']));
+    const parts = encryptValue('integrity matters').split(':');
+    parts[4] = Buffer.from('tampered').toString('base64');
+
+    expect(() => decryptValue(parts.join(':'))).toThrow();
+  });
+
+  it('should fail clearly when a key version is missing', () => {
+    setKeyring(createKeyring('v1', ['v1']));
+    const encrypted = encryptValue('content');
+
+    setKeyring(createKeyring('v2', ['v2']));
+
+    expect(() => decryptValue(encrypted)).toThrow('Encryption key v1 is not available');
+  });
+
+  it('should key hashes with the keyring', () => {
+    const plainHash = hashValue('PIN 4711');
+    const keyring = createKeyring('v1', ['v1', 'v2']);
+    setKeyring(keyring);
+
+    const keyedHash = hashValue('PIN 4711');
+
+    expect(plainHash).toBe(crypto.createHash('sha256').update('PIN 4711').digest('hex'));
+    expect(keyedHash).not.toBe(plainHash);
+    expect(hashValue('PIN 4711')).toBe(keyedHash);
+    keyring.activeKeyId = 'v2';
+    expect(hashValue('PIN 4711')).not.toBe(keyedHash);
+  });
+
+  describe('reencryptCollection', () => {
+    // A model over stored documents, as find().select().lean().cursor() and collection.updateOne use them
+    const fakeModel = docs => {
+      const cursor = () => docs[Symbol.iterator]();
+      return {
+        find: () => ({ select: () => ({ lean: () => ({ cursor }) }) }),
+        collection: { updateOne: jest.fn() },
+      };
+    };
+
+    it('should list every encrypted clipboard field', () => {
+      const encryptedPaths = [];
+      Clipboard.schema.eachPath((path, schemaType) => {
+        if (schemaType.options.set === encryptSetter) {
+          encryptedPaths.push(path);
+        }
+      });
+
+      expect(Clipboard.AT_REST_ENCRYPTED_PATHS.slice().sort()).toEqual(encryptedPaths.sort());
+    });
+
+    it('should move link metadata onto the new key', async () => {
+      const keyring = createKeyring('v1', ['v1', 'v2']);
+      setKeyring(keyring);
+      const metadata = {
+        url: 'https://example.com/guide',
+        domain: 'example.com',
+        title: 'Guide',
+        description: 'How we ship',
+        siteName: 'Example',
+      };
+      const entry = new Clipboard({ content: metadata.url, type: 'link', productId: 'product-1', metadata });
+      const Model = fakeModel([entry.toObject({ getters: false })]);
+
+      keyring.activeKeyId = 'v2';
+      const result = await reencryptCollection(Model, Clipboard.AT_REST_ENCRYPTED_PATHS);
+
+      expect(result).toEqual({ scanned: 1, updated: 1 });
+      const updates = Model.collection.updateOne.mock.calls[0][1].$set;
+      Object.entries(metadata).forEach(([field, value]) => {
+        expect(getValueKeyId(updates[`metadata.${field}`])).toBe('v2');
+        expect(decryptValue(updates[`metadata.${field}`])).toBe(value);
+      });
+      expect(getValueKeyId(updates.content)).toBe('v2');
+    });
+  });
+});
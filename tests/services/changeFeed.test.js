@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/ClipboardChange', () => ({
+  insertMany: jest.fn(),
+  findSince: jest.fn(),
+  oldestSeq: jest.fn(),
+}));
+jest.mock('../../src/models/Counter', () => ({ reserve: jest.fn(), current: jest.fn() }));
+jest.mock('../../src/models/FamilyGroup', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/realtime', () => ({ userRoom: userId => `user:${userId}` }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const ClipboardChange = require('../../src/models/ClipboardChange');
+const Counter = require('../../src/models/Counter');
+const User = require('../../src/models/User');
+const { recordChanges, getChanges, handleSync } = require('../../src/services/changeFeed');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeUser = (overrides = {}) => ({
+  _id: objectId(),
+  role: 'user',
+  familyGroup: null,
+  hasProductAccess: () => false,
+  ...overrides,
+});
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  productId: 'product-1',
+  createdBy: objectId(),
+  accessLevel: 'private',
+  isPublic: false,
+  sharedWith: [],
+  groupShares: [],
+  ...overrides,
+});
+
+const makeChange = (seq, entry, overrides = {}) => ({
+  seq,
+  type: 'updated',
+  entryId: entry._id,
+  audience: { createdBy: entry.createdBy, accessLevel: entry.accessLevel, sharedWith: entry.sharedWith },
+  recipients: [],
+  ...overrides,
+});
+
+const makeIo = () => {
+  const emit = jest.fn();
+  return { to: jest.fn(() => ({ emit })), emit };
+};
+
+describe('changeFeed', () => {
+  describe('recordChanges', () => {
+    it('should number changes consecutively after the last reserved sequence', async () => {
+      Counter.reserve.mockResolvedValue(12);
+      const entries = [makeEntry(), makeEntry(), makeEntry()];
+      const changes = entries.map(entry => ({ type: 'created', entry, actor: entry.createdBy }));
+
+      const records = await recordChanges('product-1', changes);
+
+      expect(Counter.reserve).toHaveBeenCalledWith('clipboard-changes:product-1', 3);
+      expect(records.map(record => record.seq)).toEqual([10, 11, 12]);
+      expect(ClipboardChange.insertMany).toHaveBeenCalledWith(records);
+    });
+
+    it("should snapshot who could see the entry, except for a user's own favorites", async () => {
+      Counter.reserve.mockResolvedValue(2);
+      const recipient = objectId();
+      const entry = makeEntry({ sharedWith: [{ userId: recipient, accessLevel: 'read', grantedAt: new Date() }] });
+
+      const [shared, favorited] = await recordChanges('product-1', [
+        { type: 'shared', entry },
+        { type: 'favorited', entry, recipients: [recipient] },
+      ]);
+
+      expect(shared.audience).toEqual(expect.objectContaining({ createdBy: entry.createdBy, accessLevel: 'private' }));
+      expect(shared.audience.sharedWith).toEqual([{ userId: recipient, expiresAt: undefined }]);
+      expect(favorited.audience).toBeNull();
+      expect(favorited.recipients).toEqual([recipient]);
+    });
+
+    it('should tell the product room and recipients about each change', async () => {
+      Counter.reserve.mockResolvedValue(2);
+      const recipient = objectId();
+      const entry = makeEntry();
+      const io = makeIo();
+
+      await recordChanges(
+        'product-1',
+        [
+          { type: 'deleted', entry, recipients: [recipient] },
+          { type: 'favorited', entry, recipients: [recipient] },
+        ],
+        io
+      );
+
+      expect(io.to).toHaveBeenNthCalledWith(1, [`user:${recipient}`, 'product-1']);
+      expect(io.to).toHaveBeenNthCalledWith(2, [`user:${recipient}`]);
+      expect(io.emit).toHaveBeenCalledWith('clipboard-change', {
+        productId: 'product-1',
+        seq: 1,
+        type: 'deleted',
+        entryId: entry._id,
+      });
+    });
+
+    it('should not fail the action when the change cannot be recorded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Counter.reserve.mockRejectedValue(new Error('write failed'));
+
+      expect(await recordChanges('product-1', [{ type: 'created', entry: makeEntry() }])).toEqual([]);
+    });
+  });
+
+  describe('getChanges', () => {
+    const mockFeed = ({ latestSeq, oldestSeq, changes = [], entries = [] }) => {
+      Counter.current.mockResolvedValue(latestSeq);
+      ClipboardChange.oldestSeq.mockResolvedValue(oldestSeq);
+      ClipboardChange.findSince.mockResolvedValue(changes);
+      Clipboard.find.mockResolvedValue(entries);
+    };
+
+    it('should only return changes the user could see, with the entries as they are now', async () => {
+      const user = makeUser();
+      const own = makeEntry({ createdBy: user._id });
+      const hidden = makeEntry();
+      const deleted = makeEntry({ accessLevel: 'public' });
+      mockFeed({
+        latestSeq: 7,
+        oldestSeq: 1,
+        changes: [makeChange(5, own), makeChange(6, hidden), makeChange(7, deleted, { type: 'deleted' })],
+        entries: [own],
+      });
+
+      const page = await getChanges(user, 'product-1', 4, 10);
+
+      expect(page.changes.map(change => change.seq)).toEqual([5, 7]);
+      expect(page.changes[0].entry).toBe(own);
+      expect(page.changes[1].entry).toBeNull();
+      expect(page).toEqual(expect.objectContaining({ nextSeq: 7, latestSeq: 7, hasMore: false, resetRequired: false }));
+      expect(ClipboardChange.findSince).toHaveBeenCalledWith('product-1', 4, 11);
+    });
+
+    it('should show recipients the change that took their share away', async () => {
+      const user = makeUser();
+      const entry = makeEntry();
+      mockFeed({
+        latestSeq: 3,
+        oldestSeq: 1,
+        changes: [makeChange(3, entry, { type: 'shared', recipients: [user._id] })],
+        entries: [entry],
+      });
+
+      const page = await getChanges(user, 'product-1', 2, 10);
+
+      expect(page.changes).toHaveLength(1);
+      expect(page.changes[0].entry).toBeNull();
+    });
+
+    it('should advance past changes the user cannot see and report more pages', async () => {
+      const hidden = makeEntry();
+      mockFeed({
+        latestSeq: 9,
+        oldestSeq: 1,
+        changes: [makeChange(2, hidden), makeChange(3, hidden), makeChange(4, hidden)],
+      });
+
+      const page = await getChanges(makeUser(), 'product-1', 1, 2);
+
+      expect(page).toEqual({ changes: [], nextSeq: 3, latestSeq: 9, hasMore: true, resetRequired: false });
+    });
+
+    it('should ask for a resync when changes since the sequence number are gone', async () => {
+      mockFeed({ latestSeq: 50, oldestSeq: 20 });
+
+      const page = await getChanges(makeUser(), 'product-1', 10, 10);
+
+      expect(page).toEqual({ changes: [], nextSeq: 50, latestSeq: 50, hasMore: false, resetRequired: true });
+      expect(ClipboardChange.findSince).not.toHaveBeenCalled();
+    });
+
+    it('should ask for a resync when the sequence number is ahead of the feed', async () => {
+      mockFeed({ latestSeq: 5, oldestSeq: 1 });
+
+      expect((await getChanges(makeUser(), 'product-1', 8, 10)).resetRequired).toBe(true);
+    });
+
+    it('should return nothing for a client that is up to date', async () => {
+      mockFeed({ latestSeq: 5, oldestSeq: 1 });
+
+      const page = await getChanges(makeUser(), 'product-1', 5, 10);
+
+      expect(page).toEqual({ changes: [], nextSeq: 5, latestSeq: 5, hasMore: false, resetRequired: false });
+    });
+  });
+
+  describe('handleSync', () => {
+    const makeSocket = (auth, recovered = false) => {
+      const handlers = {};
+      return {
+        data: { userId: 'u1', productIds: ['product-1'] },
+        handshake: { auth },
+        recovered,
+        emit: jest.fn(),
+        on: (event, handler) => {
+          handlers[event] = handler;
+        },
+        handlers,
+      };
+    };
+
+    beforeEach(() => {
+      Counter.current.mockResolvedValue(3);
+      ClipboardChange.oldestSeq.mockResolvedValue(1);
+      ClipboardChange.findSince.mockResolvedValue([]);
+      Clipboard.find.mockResolvedValue([]);
+    });
+
+    it('should replay missed changes for products the socket can read', async () => {
+      const user = makeUser({ isActive: true });
+      User.findById.mockResolvedValue(user);
+      const socket = makeSocket({ since: { 'product-1': 2, 'product-2': 0 } });
+
+      handleSync(socket);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(socket.emit).toHaveBeenCalledTimes(1);
+      expect(socket.emit).toHaveBeenCalledWith(
+        'clipboard-changes',
+        expect.objectContaining({ productId: 'product-1', nextSeq: 2 })
+      );
+    });
+
+    it('should not replay on a recovered connection', async () => {
+      const socket = makeSocket({ since: { 'product-1': 2 } }, true);
+
+      handleSync(socket);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(socket.emit).not.toHaveBeenCalled();
+    });
+
+    it('should acknowledge sync requests for products without access with an error', async () => {
+      User.findById.mockResolvedValue(makeUser({ isActive: true }));
+      const socket = makeSocket({});
+      const ack = jest.fn();
+      handleSync(socket);
+
+      await socket.handlers.sync({ productId: 'product-2', since: 0 }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ error: 'Access denied to this product' });
+    });
+  });
+});
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+}));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const User = require('../../src/models/User');
+const { setKeyring } = require('../../src/services/atRestEncryption');
+const {
+  TEXT_SEARCH_UNAVAILABLE,
+  isShortQuery,
+  termSource,
+  getTextQuery,
+  buildSearchFilter,
+  encodeRankCursor,
+  getRankCursorError,
+  findRankedPage,
+  highlightEntry,
+  getSearchFacets,
+  getSearchError,
+} = require('../../src/services/clipboardSearch');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const matches = (term, text) => new RegExp(termSource(term), 'i').test(text);
+
+describe('clipboardSearch', () => {
+  describe('isShortQuery', () => {
+    it('should match one or two plain words by prefix and typo', () => {
+      expect(isShortQuery('kube')).toBe(true);
+      expect(isShortQuery('docker compose')).toBe(true);
+    });
+
+    it('should leave longer queries, phrases and negations to the text index', () => {
+      expect(isShortQuery('docker compose file')).toBe(false);
+      expect(isShortQuery('"docker compose"')).toBe(false);
+      expect(isShortQuery('docker -swarm')).toBe(false);
+      expect(isShortQuery('!!!')).toBe(false);
+    });
+  });
+
+  describe('termSource', () => {
+    it('should match words starting with the term', () => {
+      expect(matches('kube', 'deploy to Kubernetes')).toBe(true);
+      expect(matches('kube', 'minikube')).toBe(false);
+    });
+
+    it('should match words one typo away', () => {
+      expect(matches('recieve', 'receive')).toBe(true);
+      expect(matches('adress', 'address')).toBe(true);
+      expect(matches('passwrod', 'password')).toBe(true);
+      expect(matches('passwrod', 'passport')).toBe(false);
+    });
+
+    it('should not match typos of short words', () => {
+      expect(matches('cat', 'cut')).toBe(false);
+    });
+  });
+
+  describe('buildSearchFilter', () => {
+    const visibleEntries = { productId: 'product-1', $or: [{ isPublic: true }] };
+
+    it('should match every word of a short query against content or tags', async () => {
+      const query = await buildSearchFilter(visibleEntries, { q: 'docker compose' });
+
+      expect(query.$text).toBeUndefined();
+      expect(query.$and).toHaveLength(2);
+      expect(query.$and[0].$or.map(clause => Object.keys(clause)[0])).toEqual(['content', 'tags']);
+      expect(query.$or).toBe(visibleEntries.$or);
+      expect(query['encryption.isEncrypted']).toEqual({ $ne: true });
+    });
+
+    it('should use the text index for longer queries', async () => {
+      const query = await buildSearchFilter(visibleEntries, { q: 'docker compose file' });
+
+      expect(query.$text).toEqual({ $search: 'docker compose file' });
+      expect(query.$and).toBeUndefined();
+    });
+
+    it('should apply type, tag and date filters', async () => {
+      const query = await buildSearchFilter(visibleEntries, {
+        type: 'link',
+        tags: 'work,urgent',
+        dateFrom: '2024-01-01',
+      });
+
+      expect(query.type).toBe('link');
+      expect(query.tags).toEqual({ $in: ['work', 'urgent'] });
+      expect(query.createdAt).toEqual({ $gte: new Date('2024-01-01') });
+    });
+
+    it('should apply filters written in the query', async () => {
+      const alice = { _id: objectId(), username: 'alice' };
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([alice]) });
+
+      const q = 'type:link tag:work from:alice after:2026-01-01 "exact phrase" -draft';
+      const query = await buildSearchFilter(visibleEntries, { q });
+
+      expect(query.$text).toEqual({ $search: '"exact phrase" -draft' });
+      expect(query.$and).toEqual([
+        { type: { $in: ['link'] } },
+        { tags: { $all: ['work'] } },
+        { createdBy: { $in: [alice._id] } },
+        { createdAt: { $gte: new Date('2026-01-01') } },
+      ]);
+      expect(User.find).toHaveBeenCalledWith({ username: { $in: ['alice'] } });
+    });
+
+    it('should match nothing from users that do not exist', async () => {
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      const query = await buildSearchFilter(visibleEntries, { q: 'from:nobody -tag:draft' });
+
+      expect(query.$and).toEqual([{ tags: { $nin: ['draft'] } }, { createdBy: { $in: [] } }]);
+      expect(query['encryption.isEncrypted']).toBeUndefined();
+    });
+
+    it('should leave out words by regex when the query has nothing to match', async () => {
+      const query = await buildSearchFilter(visibleEntries, { q: '-draft type:text' });
+
+      expect(query.$text).toBeUndefined();
+      expect(query.$and[0].$nor).toEqual([{ content: /draft/i }, { tags: /draft/i }]);
+      expect(query['encryption.isEncrypted']).toEqual({ $ne: true });
+    });
+
+    it('should refuse malformed queries', async () => {
+      await expect(buildSearchFilter(visibleEntries, { q: 'tag:"work' })).rejects.toThrow('Unterminated quote');
+    });
+  });
+
+  describe('getTextQuery', () => {
+    it('should keep the words and phrases of a query without its filters', () => {
+      expect(getTextQuery('deploy tag:ops "blue green" -draft')).toBe('deploy "blue green" -draft');
+      expect(getTextQuery('type:link')).toBe('');
+    });
+  });
+
+  describe('findRankedPage', () => {
+    const mockFind = docs => Clipboard.find.mockReturnValue(Promise.resolve(docs));
+
+    it('should return entries in rank order with their scores', async () => {
+      const first = { _id: objectId(), $locals: {} };
+      const second = { _id: objectId(), $locals: {} };
+      Clipboard.aggregate.mockResolvedValue([
+        { _id: first._id, rank: 2.5 },
+        { _id: second._id, rank: 1.2 },
+        { _id: objectId(), rank: 0.9 },
+      ]);
+      mockFind([second, first]);
+
+      const { items, pagination } = await findRankedPage({}, 'kube', objectId(), { limit: 2 });
+
+      expect(items).toEqual([first, second]);
+      expect(first.$locals.searchScore).toBe(2.5);
+      expect(pagination.hasMore).toBe(true);
+      expect(pagination.nextCursor).toBe(encodeRankCursor(2));
+      expect(pagination.prevCursor).toBe(encodeRankCursor(0));
+    });
+
+    it('should rank short queries by how each word matched, and others by textScore', async () => {
+      Clipboard.aggregate.mockResolvedValue([]);
+
+      await findRankedPage({}, 'kube', objectId());
+      const shortPipeline = Clipboard.aggregate.mock.calls[0][0];
+      await findRankedPage({}, 'deploy the cluster', objectId());
+      const textPipeline = Clipboard.aggregate.mock.calls[1][0];
+
+      const relevance = pipeline => pipeline.find(stage => stage.$addFields && stage.$addFields.relevance);
+      expect(relevance(shortPipeline).$addFields.relevance.$add).toHaveLength(1);
+      expect(relevance(textPipeline).$addFields.relevance).toEqual({ $meta: 'textScore' });
+    });
+
+    it('should read the next page down from a before cursor', async () => {
+      Clipboard.aggregate.mockResolvedValue([]);
+
+      await findRankedPage({}, 'kube', objectId(), { before: encodeRankCursor(20), limit: 10 });
+
+      const pipeline = Clipboard.aggregate.mock.calls[0][0];
+      expect(pipeline).toContainEqual({ $skip: 20 });
+      expect(pipeline).toContainEqual({ $limit: 11 });
+    });
+
+    it('should read the page above an after cursor', async () => {
+      const entry = { _id: objectId(), $locals: {} };
+      Clipboard.aggregate.mockResolvedValue([{ _id: entry._id, rank: 1 }]);
+      mockFind([entry]);
+
+      const { pagination } = await findRankedPage({}, 'kube', objectId(), { after: encodeRankCursor(4), limit: 10 });
+
+      const pipeline = Clipboard.aggregate.mock.calls[0][0];
+      expect(pipeline).toContainEqual({ $skip: 0 });
+      expect(pipeline).toContainEqual({ $limit: 5 });
+      expect(pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('getRankCursorError', () => {
+    it('should refuse malformed cursors and both directions at once', () => {
+      expect(getRankCursorError({ before: encodeRankCursor(10) })).toBeNull();
+      expect(getRankCursorError({ before: 'not-a-cursor' })).toBe('Invalid pagination cursor');
+      const both = { before: encodeRankCursor(10), after: encodeRankCursor(0) };
+      expect(getRankCursorError(both)).toBe('Use either before or after, not both');
+    });
+  });
+
+  describe('getSearchError', () => {
+    it('should accept searches by relevance or date', () => {
+      expect(getSearchError({ q: 'kube' })).toBeNull();
+      expect(getSearchError({ type: 'link', sort: 'newest' })).toBeNull();
+      expect(getSearchError({ q: 'type:link tag:work' })).toBeNull();
+    });
+
+    it('should refuse unknown sorts, relevance without a query and unreadable dates', () => {
+      const unknownSort = { error: 'sort must be one of: relevance, newest' };
+      expect(getSearchError({ q: 'kube', sort: 'oldest' })).toEqual(unknownSort);
+      const noText = { error: 'Sorting by relevance needs words or phrases to search for' };
+      expect(getSearchError({ sort: 'relevance' })).toEqual(noText);
+      expect(getSearchError({ q: 'type:link -draft', sort: 'relevance' })).toEqual(noText);
+      expect(getSearchError({ q: 'kube', dateFrom: 'yesterday' })).toEqual({ error: 'dateFrom must be a date' });
+    });
+
+    it('should point at the part of a malformed query at fault', () => {
+      expect(getSearchError({ q: 'deploy kind:link' })).toEqual({
+        error: 'Unknown filter "kind:". Use one of: type, tag, from, after, before',
+        position: 7,
+      });
+    });
+
+    it('should refuse text but not filters while content is encrypted at rest', async () => {
+      setKeyring({ activeKeyId: 'v1', keys: new Map() });
+      try {
+        expect(getSearchError({ q: 'kube' })).toEqual({ error: TEXT_SEARCH_UNAVAILABLE });
+        expect(getSearchError({ q: '-draft tag:ops' })).toEqual({ error: TEXT_SEARCH_UNAVAILABLE });
+        expect(getSearchError({ q: 'type:link tag:ops' })).toBeNull();
+        await expect(buildSearchFilter({}, { q: 'kube' })).rejects.toThrow(TEXT_SEARCH_UNAVAILABLE);
+      } finally {
+        setKeyring(undefined);
+      }
+    });
+
+    it('should check cursors against the kind of page the sort returns', () => {
+      expect(getSearchError({ q: 'kube', before: encodeRankCursor(10) })).toBeNull();
+      expect(getSearchError({ before: encodeRankCursor(10) })).toEqual({ error: 'Invalid pagination cursor' });
+      expect(getSearchError({ q: 'tag:ops', before: encodeRankCursor(10) })).toEqual({
+        error: 'Invalid pagination cursor',
+      });
+    });
+  });
+
+  describe('highlightEntry', () => {
+    it('should mark the matched words within fragments of the content', () => {
+      const entry = { content: 'Run kubectl apply to deploy', tags: ['kubernetes', 'ops'] };
+
+      const highlights = highlightEntry(entry, 'kube');
+
+      const content = { field: 'content', text: 'Run kubectl apply to deploy', matches: [[4, 8]] };
+      expect(highlights).toEqual([content, { field: 'tags', text: 'kubernetes', matches: [[0, 4]] }]);
+    });
+
+    it('should cut long content around the matches', () => {
+      const entry = { content: `${'a '.repeat(100)}needle${' b'.repeat(100)}`, tags: [] };
+
+      const [fragment] = highlightEntry(entry, 'needle');
+
+      expect(fragment.text.startsWith('…')).toBe(true);
+      expect(fragment.text.endsWith('…')).toBe(true);
+      const [[start, end]] = fragment.matches;
+      expect(fragment.text.slice(start, end)).toBe('needle');
+    });
+
+    it('should not reveal view-limited or encrypted content', () => {
+      expect(highlightEntry({ content: 'secret', maxViews: 1 }, 'secret')).toEqual([]);
+      const encrypted = { content: 'c2VjcmV0', encryption: { isEncrypted: true } };
+      expect(highlightEntry(encrypted, 'c2VjcmV0')).toEqual([]);
+    });
+  });
+
+  describe('getSearchFacets', () => {
+    it('should count matches by type, tag, creator and date bucket', async () => {
+      const creatorId = objectId();
+      const creator = { _id: creatorId, username: 'ada' };
+      Clipboard.aggregate.mockResolvedValue([
+        {
+          type: [{ _id: 'text', count: 3 }],
+          tags: [{ _id: 'work', count: 2 }],
+          createdBy: [{ _id: creatorId, count: 3 }],
+          date: [
+            { _id: 'day', count: 1 },
+            { _id: 'older', count: 2 },
+          ],
+        },
+      ]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([creator]) });
+
+      const facets = await getSearchFacets({ productId: 'product-1' });
+
+      expect(facets.type).toEqual([{ value: 'text', count: 3 }]);
+      expect(facets.tags).toEqual([{ value: 'work', count: 2 }]);
+      expect(facets.createdBy).toEqual([{ value: creatorId, user: creator, count: 3 }]);
+      expect(facets.date).toEqual([
+        { value: 'day', count: 1 },
+        { value: 'week', count: 0 },
+        { value: 'month', count: 0 },
+        { value: 'year', count: 0 },
+        { value: 'older', count: 2 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/FamilyGroup', () => ({ findById: jest.fn() }));
+
+const FamilyGroup = require('../../src/models/FamilyGroup');
+const { buildVisibilityFilter, canViewEntry } = require('../../src/services/clipboardVisibility');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockFamilyGroup = group => {
+  FamilyGroup.findById.mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(group) }),
+  });
+};
+
+const makeUser = (overrides = {}) => ({
+  _id: objectId(),
+  role: 'user',
+  familyGroup: null,
+  hasProductAccess: () => false,
+  ...overrides,
+});
+
+const makeEntry = (overrides = {}) => ({
+  productId: 'product-1',
+  createdBy: objectId(),
+  isPublic: false,
+  accessLevel: 'private',
+  sharedWith: [],
+  ...overrides,
+});
+
+describe('clipboardVisibility', () => {
+  beforeEach(() => {
+    FamilyGroup.findById.mockReset();
+    mockFamilyGroup(null);
+  });
+
+  describe('canViewEntry', () => {
+    it('should let users see their own private entries only', async () => {
+      const user = makeUser();
+
+      expect(await canViewEntry(user, makeEntry({ createdBy: user._id }))).toBe(true);
+      expect(await canViewEntry(user, makeEntry())).toBe(false);
+    });
+
+    it('should let every member see public entries', async () => {
+      const user = makeUser();
+
+      expect(await canViewEntry(user, makeEntry({ accessLevel: 'public' }))).toBe(true);
+      expect(await canViewEntry(user, makeEntry({ isPublic: true }))).toBe(true);
+    });
+
+    it('should let users see entries shared with them directly', async () => {
+      const user = makeUser();
+      const entry = makeEntry({ sharedWith: [{ userId: user._id, accessLevel: 'read' }] });
+
+      expect(await canViewEntry(user, entry)).toBe(true);
+    });
+
+    it('should stop showing shared entries once the share expires', async () => {
+      const user = makeUser();
+      const expired = makeEntry({ sharedWith: [{ userId: user._id, expiresAt: new Date(Date.now() - 1000) }] });
+      const current = makeEntry({ sharedWith: [{ userId: user._id, expiresAt: new Date(Date.now() + 60000) }] });
+
+      expect(await canViewEntry(user, expired)).toBe(false);
+      expect(await canViewEntry(user, current)).toBe(true);
+    });
+
+    it("should let family members see each other's shared entries", async () => {
+      const user = makeUser({ familyGroup: objectId() });
+      const relative = objectId();
+      mockFamilyGroup({ members: [{ userId: user._id, permissions: { canViewAll: true } }, { userId: relative }] });
+
+      expect(await canViewEntry(user, makeEntry({ createdBy: relative, accessLevel: 'shared' }))).toBe(true);
+      expect(await canViewEntry(user, makeEntry({ createdBy: relative, accessLevel: 'private' }))).toBe(false);
+      expect(await canViewEntry(user, makeEntry({ accessLevel: 'shared' }))).toBe(false);
+    });
+
+    it('should hide family entries from members without canViewAll', async () => {
+      const user = makeUser({ familyGroup: objectId() });
+      const relative = objectId();
+      mockFamilyGroup({ members: [{ userId: user._id, permissions: { canViewAll: false } }, { userId: relative }] });
+
+      expect(await canViewEntry(user, makeEntry({ createdBy: relative, accessLevel: 'shared' }))).toBe(false);
+    });
+
+    it('should let users see entries shared with their family group while they are members', async () => {
+      const groupId = objectId();
+      const user = makeUser({ familyGroup: groupId });
+      const entry = makeEntry({ groupShares: [{ groupType: 'family', groupId }] });
+
+      mockFamilyGroup({ _id: groupId, members: [{ userId: user._id, permissions: { canViewAll: false } }] });
+      expect(await canViewEntry(user, entry)).toBe(true);
+
+      mockFamilyGroup({ _id: groupId, members: [] });
+      expect(await canViewEntry(user, entry)).toBe(false);
+    });
+
+    it('should let users see entries a friend shared with their friends', async () => {
+      const friend = objectId();
+      const entry = makeEntry({ createdBy: friend, groupShares: [{ groupType: 'friends', groupId: friend }] });
+      const expired = makeEntry({
+        groupShares: [{ groupType: 'friends', groupId: friend, expiresAt: new Date(Date.now() - 1000) }],
+      });
+
+      expect(await canViewEntry(makeUser({ friends: [friend] }), entry)).toBe(true);
+      expect(await canViewEntry(makeUser({ friends: [friend] }), expired)).toBe(false);
+      expect(await canViewEntry(makeUser(), entry)).toBe(false);
+    });
+
+    it('should let platform and product admins see everything', async () => {
+      const admin = makeUser({ role: 'admin' });
+      const productAdmin = makeUser({ hasProductAccess: (productId, level) => level === 'admin' });
+
+      expect(await canViewEntry(admin, makeEntry())).toBe(true);
+      expect(await canViewEntry(productAdmin, makeEntry())).toBe(true);
+    });
+  });
+
+  describe('buildVisibilityFilter', () => {
+    it('should scope members to own, public and shared entries', async () => {
+      const user = makeUser();
+      const filter = await buildVisibilityFilter(user, 'product-1');
+
+      expect(filter).toEqual({
+        productId: 'product-1',
+        $or: [
+          { createdBy: user._id },
+          { accessLevel: 'public' },
+          { isPublic: true },
+          {
+            sharedWith: {
+              $elemMatch: { userId: user._id, $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }] },
+            },
+          },
+        ],
+      });
+    });
+
+    it('should add family members for shared entries', async () => {
+      const user = makeUser({ familyGroup: objectId() });
+      const relative = objectId();
+      mockFamilyGroup({ members: [{ userId: user._id }, { userId: relative }] });
+
+      const filter = await buildVisibilityFilter(user, 'product-1');
+
+      expect(filter.$or).toContainEqual({ accessLevel: 'shared', createdBy: { $in: [user._id, relative] } });
+    });
+
+    it("should add group shares for the user's family group and friends", async () => {
+      const groupId = objectId();
+      const friend = objectId();
+      const user = makeUser({ familyGroup: groupId, friends: [friend] });
+      mockFamilyGroup({ _id: groupId, members: [{ userId: user._id }] });
+
+      const filter = await buildVisibilityFilter(user, 'product-1');
+      const groupShares = filter.$or.filter(clause => clause.groupShares).map(clause => clause.groupShares.$elemMatch);
+
+      expect(groupShares).toEqual([
+        expect.objectContaining({ groupType: 'family', groupId }),
+        expect.objectContaining({ groupType: 'friends', groupId: { $in: [friend] } }),
+      ]);
+    });
+
+    it('should not restrict admins', async () => {
+      const filter = await buildVisibilityFilter(makeUser({ role: 'admin' }), 'product-1');
+
+      expect(filter).toEqual({ productId: 'product-1' });
+      expect(FamilyGroup.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Device', () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  touch: jest.fn(),
+  queueEntry: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/clipboardVisibility', () => ({ canViewEntry: jest.fn() }));
+jest.mock('../../src/services/realtime', () => ({
+  userRoom: userId => `user:${userId}`,
+  deviceRoom: deviceId => `device:${deviceId}`,
+}));
+
+const Clipboard = require('../../src/models/Clipboard');
+const Device = require('../../src/models/Device');
+const User = require('../../src/models/User');
+const { canViewEntry } = require('../../src/services/clipboardVisibility');
+const {
+  resolveSourceDevice,
+  sendEntryToDevice,
+  deliverPendingEntries,
+  identifyDevice,
+  handleDeviceConnection,
+} = require('../../src/services/devicePresence');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// A stand-in for the io server or a namespace, with the sockets connected to each room
+const makeIo = (socketsByRoom = {}) => {
+  const emit = jest.fn();
+  return {
+    in: room => ({ fetchSockets: async () => socketsByRoom[room] || [] }),
+    to: jest.fn(() => ({ emit })),
+    emit,
+  };
+};
+
+describe('devicePresence', () => {
+  describe('resolveSourceDevice', () => {
+    it('should leave entries without a device untouched', async () => {
+      expect(await resolveSourceDevice(undefined, objectId())).toEqual({ metadata: {} });
+      expect(Device.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should refuse devices that aren't the user's", async () => {
+      Device.findOne.mockResolvedValue(null);
+
+      expect(await resolveSourceDevice(objectId(), objectId())).toEqual({ error: 'Unknown device' });
+      expect(await resolveSourceDevice('not-an-id', objectId())).toEqual({ error: 'Unknown device' });
+    });
+
+    it('should name the device in the entry metadata and mark it as seen', async () => {
+      const device = { _id: objectId(), name: 'Work laptop' };
+      Device.findOne.mockResolvedValue(device);
+
+      const source = await resolveSourceDevice(device._id, objectId());
+
+      expect(source).toEqual({ metadata: { deviceId: device._id, device: 'Work laptop' } });
+      expect(Device.touch).toHaveBeenCalledWith(device._id);
+    });
+  });
+
+  describe('sendEntryToDevice', () => {
+    const device = { _id: objectId() };
+    const entry = { _id: objectId(), productId: 'product-1' };
+
+    it('should deliver straight to a connected device', async () => {
+      const io = makeIo({ [`device:${device._id}`]: [{ data: {} }] });
+
+      expect(await sendEntryToDevice(io, device, entry)).toBe('delivered');
+
+      expect(io.to).toHaveBeenCalledWith(`device:${device._id}`);
+      const delivery = expect.objectContaining({ entry, productId: 'product-1' });
+      expect(io.emit).toHaveBeenCalledWith('clipboard-sent', delivery);
+      expect(Device.queueEntry).not.toHaveBeenCalled();
+    });
+
+    it('should queue the entry for a device that is offline', async () => {
+      const sentFrom = objectId();
+
+      expect(await sendEntryToDevice(makeIo(), device, entry, sentFrom)).toBe('queued');
+
+      expect(Device.queueEntry).toHaveBeenCalledWith(device._id, {
+        entryId: entry._id,
+        productId: 'product-1',
+        sentFrom,
+      });
+    });
+  });
+
+  describe('deliverPendingEntries', () => {
+    it('should send entries the user can still see and clear the queue', async () => {
+      const visible = { _id: objectId() };
+      const hidden = { _id: objectId() };
+      const pendingEntries = [visible, hidden, { _id: objectId() }].map(entry => ({
+        _id: objectId(),
+        entryId: entry._id,
+        productId: 'product-1',
+        sentAt: new Date(),
+      }));
+      const device = { _id: objectId(), userId: objectId(), pendingEntries };
+      User.findById.mockResolvedValue({ isActive: true, hasProductAccess: () => true });
+      Clipboard.find.mockResolvedValue([visible, hidden]);
+      canViewEntry.mockImplementation(async (user, entry) => entry === visible);
+      const socket = { emit: jest.fn() };
+
+      await deliverPendingEntries(socket, device);
+
+      expect(socket.emit).toHaveBeenCalledTimes(1);
+      expect(socket.emit).toHaveBeenCalledWith('clipboard-sent', expect.objectContaining({ entry: visible }));
+      const cleared = { $pull: { pendingEntries: { _id: { $in: pendingEntries.map(pending => pending._id) } } } };
+      expect(Device.updateOne).toHaveBeenCalledWith({ _id: device._id }, cleared);
+    });
+  });
+
+  describe('identifyDevice', () => {
+    const makeSocket = auth => ({ handshake: { auth }, data: { userId: objectId().toString() } });
+
+    it('should let sockets connect without naming a device', async () => {
+      const next = jest.fn();
+
+      await identifyDevice(makeSocket({}), next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should refuse devices the user has not registered', async () => {
+      Device.findOne.mockResolvedValue(null);
+      const next = jest.fn();
+
+      await identifyDevice(makeSocket({ deviceId: objectId().toString() }), next);
+
+      expect(next).toHaveBeenCalledWith(new Error('Unknown device'));
+    });
+
+    it('should remember the device on the socket', async () => {
+      const deviceId = objectId();
+      Device.findOne.mockResolvedValue({ _id: deviceId });
+      const socket = makeSocket({ deviceId: deviceId.toString() });
+      const next = jest.fn();
+
+      await identifyDevice(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.deviceId).toBe(deviceId.toString());
+    });
+  });
+
+  describe('handleDeviceConnection', () => {
+    const makeSocket = (data, nsp = makeIo()) => {
+      const handlers = {};
+      const emit = jest.fn();
+      return {
+        data,
+        nsp,
+        join: jest.fn(),
+        to: jest.fn(() => ({ emit })),
+        emit,
+        on: (event, handler) => {
+          handlers[event] = handler;
+        },
+        handlers,
+      };
+    };
+
+    beforeEach(() => {
+      Device.findByIdAndUpdate.mockResolvedValue(null);
+    });
+
+    it('should ignore sockets without a device', () => {
+      const socket = makeSocket({ userId: 'u1' });
+
+      handleDeviceConnection(socket);
+
+      expect(socket.join).not.toHaveBeenCalled();
+    });
+
+    it("should join the device room and tell the user's other sockets it is online", () => {
+      const socket = makeSocket({ userId: 'u1', deviceId: 'd1' });
+
+      handleDeviceConnection(socket);
+
+      expect(socket.join).toHaveBeenCalledWith('device:d1');
+      expect(socket.to).toHaveBeenCalledWith('user:u1');
+      const presence = expect.objectContaining({ deviceId: 'd1', online: true });
+      expect(socket.emit).toHaveBeenCalledWith('device-presence', presence);
+    });
+
+    it('should report the device offline once its last socket disconnects', async () => {
+      const nsp = makeIo();
+      const socket = makeSocket({ userId: 'u1', deviceId: 'd1' }, nsp);
+      handleDeviceConnection(socket);
+
+      await socket.handlers.disconnect();
+
+      expect(Device.touch).toHaveBeenCalledWith('d1', expect.any(Date));
+      expect(nsp.to).toHaveBeenCalledWith('user:u1');
+      const presence = expect.objectContaining({ deviceId: 'd1', online: false });
+      expect(nsp.emit).toHaveBeenCalledWith('device-presence', presence);
+    });
+
+    it('should keep the device online while another of its sockets is connected', async () => {
+      const nsp = makeIo({ 'device:d1': [{ data: { deviceId: 'd1' } }] });
+      const socket = makeSocket({ userId: 'u1', deviceId: 'd1' }, nsp);
+      handleDeviceConnection(socket);
+
+      await socket.handlers.disconnect();
+
+      expect(nsp.emit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/ClipboardRevision', () => ({ findOne: jest.fn() }));
+
+const ClipboardRevision = require('../../src/models/ClipboardRevision');
+const {
+  getExpectedRevision,
+  saveIfUnchanged,
+  describeConflict,
+  notifyConflict,
+  mergeEntryContent,
+} = require('../../src/services/entryConflicts');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  productId: 'product-1',
+  type: 'text',
+  content: 'a\nb\nc',
+  revision: 4,
+  encryption: { isEncrypted: false },
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe('entryConflicts', () => {
+  describe('getExpectedRevision', () => {
+    it('should read the revision from If-Match in any common form', () => {
+      expect(getExpectedRevision('"3"')).toBe(3);
+      expect(getExpectedRevision('W/"3"')).toBe(3);
+      expect(getExpectedRevision(' 3 ')).toBe(3);
+    });
+
+    it('should fall back to the revision field', () => {
+      expect(getExpectedRevision(undefined, 5)).toBe(5);
+      expect(getExpectedRevision(undefined, '5')).toBe(5);
+    });
+
+    it('should not expect a revision when none is sent or If-Match is *', () => {
+      expect(getExpectedRevision(undefined, undefined)).toBeNull();
+      expect(getExpectedRevision('*', 5)).toBeNull();
+    });
+
+    it('should reject values that are not revisions', () => {
+      expect(getExpectedRevision('"abc"')).toBeNaN();
+      expect(getExpectedRevision(undefined, 'latest')).toBeNaN();
+    });
+  });
+
+  describe('saveIfUnchanged', () => {
+    it('should only save while the entry is at the expected revision', async () => {
+      const entry = makeEntry();
+      entry.save.mockImplementation(async () => {
+        expect(entry.$where).toEqual({ revision: 4 });
+      });
+
+      expect(await saveIfUnchanged(entry, 4)).toBe(true);
+      expect(entry.$where).toBeUndefined();
+    });
+
+    it('should report a write that lost the race', async () => {
+      const entry = makeEntry();
+      const stale = new mongoose.Error.DocumentNotFoundError({ revision: 4 }, 'Clipboard', 0, {});
+      entry.save.mockRejectedValue(stale);
+
+      expect(await saveIfUnchanged(entry, 4)).toBe(false);
+    });
+
+    it('should rethrow other save errors', async () => {
+      const entry = makeEntry();
+      entry.save.mockRejectedValue(new Error('connection lost'));
+
+      await expect(saveIfUnchanged(entry, 4)).rejects.toThrow('connection lost');
+    });
+
+    it('should save unconditionally without an expected revision', async () => {
+      const entry = makeEntry();
+
+      expect(await saveIfUnchanged(entry, null)).toBe(true);
+      expect(entry.$where).toBeUndefined();
+    });
+  });
+
+  describe('notifyConflict', () => {
+    it("should tell the product room about the refused write and the entry's current revision", () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      const entry = makeEntry();
+      const userId = objectId();
+
+      notifyConflict(io, describeConflict(entry, 3, userId));
+
+      expect(io.to).toHaveBeenCalledWith('product-1');
+      const conflict = { entryId: entry._id, revision: 4, attemptedRevision: 3, attemptedBy: userId };
+      expect(emit).toHaveBeenCalledWith('clipboard-conflict', expect.objectContaining(conflict));
+    });
+  });
+
+  describe('mergeEntryContent', () => {
+    it('should merge the edit with the current content from the base revision', async () => {
+      ClipboardRevision.findOne.mockResolvedValue({ content: 'a\nb\nc' });
+      const entry = makeEntry({ content: 'a\nb\nC' });
+
+      const merge = await mergeEntryContent(entry, 2, 'A\nb\nc');
+
+      expect(ClipboardRevision.findOne).toHaveBeenCalledWith({ entryId: entry._id, revision: 2 });
+      expect(merge).toEqual({ content: 'A\nb\nC', conflicts: [], clean: true });
+    });
+
+    it('should report a base revision that is no longer kept', async () => {
+      ClipboardRevision.findOne.mockResolvedValue(null);
+
+      expect(await mergeEntryContent(makeEntry(), 1, 'x')).toEqual({ status: 404, error: 'Base revision not found' });
+    });
+
+    it('should refuse encrypted and binary entries', async () => {
+      const encrypted = makeEntry({ encryption: { isEncrypted: true } });
+
+      expect((await mergeEntryContent(encrypted, 1, 'x')).status).toBe(400);
+      expect((await mergeEntryContent(makeEntry({ type: 'image' }), 1, 'x')).status).toBe(400);
+      expect(ClipboardRevision.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/FamilyGroup', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/shareAudit', () => ({ grantShareAccess: jest.fn(), recordShareEvents: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const FamilyGroup = require('../../src/models/FamilyGroup');
+const { grantShareAccess, recordShareEvents } = require('../../src/services/shareAudit');
+const { resolveGroupTarget, grantJoinedGroupShares } = require('../../src/services/groupShares');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeGroup = (user, overrides = {}) => ({
+  _id: objectId(),
+  members: [{ userId: user._id }, { userId: objectId() }],
+  security: { allowExternalSharing: false },
+  hasPermission: () => true,
+  ...overrides,
+});
+
+const mockFamilyGroup = group => {
+  const query = Promise.resolve(group);
+  query.select = () => Promise.resolve(group);
+  FamilyGroup.findById.mockReturnValue(query);
+};
+
+describe('groupShares', () => {
+  describe('resolveGroupTarget', () => {
+    it('should share with the other members of a family group', async () => {
+      const user = { _id: objectId() };
+      const group = makeGroup(user);
+      mockFamilyGroup(group);
+
+      const target = await resolveGroupTarget(user, 'family', group._id);
+
+      expect(target.groupId).toBe(group._id);
+      expect(target.memberIds).toEqual([group.members[1].userId]);
+    });
+
+    it('should need the canShare permission in the family group', async () => {
+      const user = { _id: objectId() };
+      const hasPermission = jest.fn().mockReturnValue(false);
+      mockFamilyGroup(makeGroup(user, { hasPermission }));
+
+      const target = await resolveGroupTarget(user, 'family', objectId());
+
+      expect(target).toEqual({ status: 403, error: expect.any(String) });
+      expect(hasPermission).toHaveBeenCalledWith(user._id, 'canShare');
+    });
+
+    it('should report a missing family group', async () => {
+      mockFamilyGroup(null);
+
+      const target = await resolveGroupTarget({ _id: objectId() }, 'family');
+
+      expect(target).toEqual({ status: 404, error: expect.any(String) });
+    });
+
+    it('should share with friends as a group keyed by the sharer', async () => {
+      const friends = [objectId(), objectId()];
+      const user = { _id: objectId(), friends };
+
+      expect(await resolveGroupTarget(user, 'friends')).toEqual({ groupId: user._id, memberIds: friends });
+      expect(FamilyGroup.findById).not.toHaveBeenCalled();
+    });
+
+    it('should only share with friends when the family group allows external sharing', async () => {
+      const user = { _id: objectId(), familyGroup: objectId(), friends: [objectId()] };
+      mockFamilyGroup(makeGroup(user));
+
+      expect(await resolveGroupTarget(user, 'friends')).toEqual({ status: 403, error: expect.any(String) });
+
+      mockFamilyGroup(makeGroup(user, { security: { allowExternalSharing: true } }));
+
+      expect((await resolveGroupTarget(user, 'friends')).memberIds).toEqual(user.friends);
+    });
+  });
+
+  describe('grantJoinedGroupShares', () => {
+    const makeEntry = (productId, share) => ({
+      _id: objectId(),
+      productId,
+      findGroupShare: () => share,
+    });
+
+    it('should give a new member access to the products of the group shares', async () => {
+      const user = { _id: objectId(), isActive: true };
+      const groupId = objectId();
+      const share = { grantedBy: objectId(), expiresAt: null };
+      const entries = [makeEntry('product-1', share), makeEntry('product-1', share), makeEntry('product-2', share)];
+      const select = jest.fn().mockResolvedValue(entries);
+      Clipboard.find.mockReturnValue({ select });
+
+      expect(await grantJoinedGroupShares(user, 'family', groupId)).toBe(entries);
+
+      const query = Clipboard.find.mock.calls[0][0];
+      expect(query.createdBy).toEqual({ $ne: user._id });
+      expect(query.destroyedAt).toBeNull();
+      expect(grantShareAccess).toHaveBeenCalledTimes(2);
+      expect(grantShareAccess).toHaveBeenCalledWith(user, 'product-1', share.grantedBy);
+      expect(grantShareAccess).toHaveBeenCalledWith(user, 'product-2', share.grantedBy);
+      const events = recordShareEvents.mock.calls[0][0];
+      expect(events).toHaveLength(3);
+      expect(events[0]).toMatchObject({ action: 'granted', recipient: user._id, via: 'family', groupId });
+    });
+
+    it('should not grant anything to inactive users', async () => {
+      expect(await grantJoinedGroupShares({ _id: objectId(), isActive: false }, 'friends', objectId())).toEqual([]);
+      expect(Clipboard.find).not.toHaveBeenCalled();
+    });
+  });
+});
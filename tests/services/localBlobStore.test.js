@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalBlobStore = require('../../src/services/blobStore/localBlobStore');
+
+const readStream = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('LocalBlobStore', () => {
+  let rootDir;
+  let store;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'blob-store-'));
+    store = new LocalBlobStore({ rootDir });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should store and stream back a blob', async () => {
+    const data = Buffer.from('hello clipboard');
+
+    const result = await store.put('product-1/blob-1', data, { contentType: 'text/plain' });
+
+    expect(result).toEqual({ key: 'product-1/blob-1', size: data.length });
+    expect(await store.exists('product-1/blob-1')).toBe(true);
+    expect(await readStream(await store.createReadStream('product-1/blob-1'))).toEqual(data);
+  });
+
+  it('should remove a blob and ignore missing ones', async () => {
+    await store.put('product-1/blob-1', Buffer.from('data'));
+
+    await store.remove('product-1/blob-1');
+    await store.remove('product-1/blob-1');
+
+    expect(await store.exists('product-1/blob-1')).toBe(false);
+  });
+
+  it('should reject reads of missing blobs', async () => {
+    await expect(store.createReadStream('product-1/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should reject keys that escape the storage root', async () => {
+    await expect(store.put('../outside', Buffer.from('data'))).rejects.toThrow('Invalid blob key');
+  });
+});
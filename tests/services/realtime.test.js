@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/FamilyGroup', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/middleware/auth', () => ({ verifyAccessToken: jest.fn() }));
+
+const FamilyGroup = require('../../src/models/FamilyGroup');
+const User = require('../../src/models/User');
+const { verifyAccessToken } = require('../../src/middleware/auth');
+const {
+  userRoom,
+  entryAudienceRooms,
+  emitEntryEvent,
+  getHandshakeToken,
+  authenticateSocket,
+  canJoinRoom,
+  handleConnection,
+} = require('../../src/services/realtime');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeSocket = data => {
+  const handlers = {};
+  return {
+    data,
+    handshake: { auth: {}, headers: {} },
+    join: jest.fn(),
+    leave: jest.fn(),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    handlers,
+  };
+};
+
+const mockUser = user => {
+  User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+};
+
+describe('realtime', () => {
+  describe('getHandshakeToken', () => {
+    it('should read the token from the auth payload or a Bearer header', () => {
+      expect(getHandshakeToken({ auth: { token: 'abc' }, headers: {} })).toBe('abc');
+      expect(getHandshakeToken({ auth: {}, headers: { authorization: 'Bearer def' } })).toBe('def');
+      expect(getHandshakeToken({ auth: {}, headers: {} })).toBeUndefined();
+    });
+  });
+
+  describe('authenticateSocket', () => {
+    it('should refuse sockets whose token does not verify', async () => {
+      verifyAccessToken.mockResolvedValue({ status: 401, error: 'Invalid token' });
+      const next = jest.fn();
+
+      await authenticateSocket(makeSocket({}), next);
+
+      expect(next).toHaveBeenCalledWith(new Error('Invalid token'));
+    });
+
+    it('should remember the user and their active products', async () => {
+      const user = {
+        _id: objectId(),
+        productAccess: [
+          { productId: 'product-1', isActive: true },
+          { productId: 'product-2', isActive: false },
+        ],
+      };
+      verifyAccessToken.mockResolvedValue({ user });
+      const socket = makeSocket({});
+      const next = jest.fn();
+
+      await authenticateSocket(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data).toEqual({ userId: user._id.toString(), productIds: ['product-1'] });
+    });
+  });
+
+  describe('canJoinRoom', () => {
+    const userId = objectId().toString();
+
+    it('should only allow the user their own personal room', async () => {
+      expect(await canJoinRoom(userId, `user:${userId}`)).toBe(true);
+      expect(await canJoinRoom(userId, `user:${objectId()}`)).toBe(false);
+    });
+
+    it('should not allow joining device rooms', async () => {
+      expect(await canJoinRoom(userId, `device:${objectId()}`)).toBe(false);
+    });
+
+    it('should allow family rooms to members only', async () => {
+      FamilyGroup.exists.mockResolvedValue({ _id: objectId() });
+      expect(await canJoinRoom(userId, `family:${objectId()}`)).toBe(true);
+
+      FamilyGroup.exists.mockResolvedValue(null);
+      expect(await canJoinRoom(userId, `family:${objectId()}`)).toBe(false);
+      expect(await canJoinRoom(userId, 'family:not-an-id')).toBe(false);
+    });
+
+    it('should allow product rooms to users with current access', async () => {
+      mockUser({ isActive: true, hasProductAccess: productId => productId === 'product-1' });
+
+      expect(await canJoinRoom(userId, 'product-1')).toBe(true);
+      expect(await canJoinRoom(userId, 'product-2')).toBe(false);
+      expect(await canJoinRoom(userId, '')).toBe(false);
+    });
+  });
+
+  describe('handleConnection', () => {
+    it('should join the personal and product rooms on connect', () => {
+      const socket = makeSocket({ userId: 'u1', productIds: ['product-1'] });
+
+      handleConnection(socket);
+
+      expect(socket.join).toHaveBeenCalledWith(['user:u1', 'product-1']);
+      expect(socket.handlers['clipboard-update']).toBeUndefined();
+    });
+
+    it('should acknowledge refused joins without joining', async () => {
+      mockUser({ isActive: true, hasProductAccess: () => false });
+      const socket = makeSocket({ userId: 'u1', productIds: [] });
+      const ack = jest.fn();
+      handleConnection(socket);
+
+      await socket.handlers['join-room']('product-2', ack);
+
+      expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Access denied to this room' });
+      expect(socket.join).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep sockets in their personal room', () => {
+      const socket = makeSocket({ userId: 'u1', productIds: [] });
+      handleConnection(socket);
+
+      socket.handlers['leave-room']('user:u1');
+      socket.handlers['leave-room']('product-1');
+
+      expect(socket.leave).toHaveBeenCalledTimes(1);
+      expect(socket.leave).toHaveBeenCalledWith('product-1');
+    });
+  });
+
+  describe('emitEntryEvent', () => {
+    const creator = objectId();
+    const recipient = objectId();
+    const makeEntry = (overrides = {}) => ({
+      _id: objectId(),
+      productId: 'product-1',
+      createdBy: { _id: creator, username: 'alice' },
+      accessLevel: 'private',
+      sharedWith: [{ userId: recipient }, { userId: objectId(), expiresAt: new Date(Date.now() - 1000) }],
+      ...overrides,
+    });
+
+    // Records which rooms each emit went to, and which were left out
+    const makeIo = () => {
+      const sent = [];
+      const io = {
+        to: jest.fn(rooms => {
+          const target = { rooms, except: [] };
+          const chain = {
+            except: excluded => {
+              target.except = excluded;
+              return chain;
+            },
+            emit: (event, payload) => sent.push({ ...target, event, payload }),
+          };
+          return chain;
+        }),
+      };
+      return { io, sent };
+    };
+
+    it('should send private entries in full only to their creator and active recipients', () => {
+      const entry = makeEntry();
+      const { io, sent } = makeIo();
+
+      emitEntryEvent(io, entry, 'clipboard-updated', { action: 'updated', entry, productId: 'product-1' });
+
+      const audience = [userRoom(creator), userRoom(recipient)];
+      expect(entryAudienceRooms(entry)).toEqual(audience);
+      expect(sent).toEqual([
+        {
+          rooms: audience,
+          except: [],
+          event: 'clipboard-updated',
+          payload: { action: 'updated', entry, productId: 'product-1' },
+        },
+        {
+          rooms: 'product-1',
+          except: audience,
+          event: 'clipboard-updated',
+          payload: { action: 'updated', entryId: entry._id, productId: 'product-1' },
+        },
+      ]);
+    });
+
+    it('should send public entries in full to the product room', () => {
+      const entry = makeEntry({ accessLevel: 'public' });
+      const { io, sent } = makeIo();
+
+      emitEntryEvent(io, entry, 'clipboard-updated', { action: 'created', entry, productId: 'product-1' });
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].rooms).toEqual(['product-1']);
+      expect(sent[0].payload.entry).toBe(entry);
+    });
+
+    it('should also send the payload to the extra rooms given', () => {
+      const entry = makeEntry({ sharedWith: [] });
+      const { io, sent } = makeIo();
+
+      emitEntryEvent(io, entry, 'clipboard-shared', { action: 'shared', entryId: entry._id }, ['family:1']);
+
+      expect(sent[0].rooms).toEqual([userRoom(creator), 'family:1']);
+      expect(sent[1].except).toEqual([userRoom(creator), 'family:1']);
+    });
+  });
+});
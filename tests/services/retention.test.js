@@ -0,0 +1,84 @@
+const {
+  resolvePolicy,
+  buildRuleFilters,
+  startRetentionScheduler,
+  stopRetentionScheduler,
+} = require('../../src/services/retention');
+
+describe('retention', () => {
+  describe('resolvePolicy', () => {
+    it('should use the product rules when the user has no overrides', () => {
+      expect(resolvePolicy({ maxEntries: 100, deleteAfterDays: 30 }, undefined)).toEqual({
+        maxEntries: 100,
+        deleteAfterDays: 30,
+        purgeArchivedAfterDays: 0,
+      });
+    });
+
+    it('should let users tighten product rules but not loosen them', () => {
+      const policy = resolvePolicy({ maxEntries: 100, deleteAfterDays: 30 }, { maxEntries: 20, deleteAfterDays: 90 });
+
+      expect(policy.maxEntries).toBe(20);
+      expect(policy.deleteAfterDays).toBe(30);
+    });
+
+    it('should let users turn on rules the product leaves off', () => {
+      expect(resolvePolicy({}, { purgeArchivedAfterDays: 7 }).purgeArchivedAfterDays).toBe(7);
+    });
+
+    it('should treat missing, negative and invalid values as off', () => {
+      expect(resolvePolicy({ maxEntries: -5, deleteAfterDays: 'soon' }, { maxEntries: null })).toEqual({
+        maxEntries: 0,
+        deleteAfterDays: 0,
+        purgeArchivedAfterDays: 0,
+      });
+    });
+  });
+
+  describe('buildRuleFilters', () => {
+    const now = new Date('2024-05-31T00:00:00.000Z');
+
+    it('should only build filters for active age rules', () => {
+      const filters = buildRuleFilters(
+        'p1',
+        'u1',
+        { maxEntries: 10, deleteAfterDays: 0, purgeArchivedAfterDays: 0 },
+        now
+      );
+
+      expect(filters).toEqual({});
+    });
+
+    it('should skip favorited and pinned entries when deleting old entries', () => {
+      const { deleteAfterDays } = buildRuleFilters('p1', 'u1', { deleteAfterDays: 30 }, now);
+
+      expect(deleteAfterDays).toMatchObject({
+        productId: 'p1',
+        createdBy: 'u1',
+        'favoritedBy.0': { $exists: false },
+        'pinnedBy.0': { $exists: false },
+      });
+      expect(deleteAfterDays.$or[0]).toEqual({ lastCopiedAt: { $lt: new Date('2024-05-01T00:00:00.000Z') } });
+    });
+
+    it('should purge archived entries by when they were archived', () => {
+      const { purgeArchivedAfterDays } = buildRuleFilters('p1', 'u1', { purgeArchivedAfterDays: 1 }, now);
+
+      expect(purgeArchivedAfterDays.isArchived).toBe(true);
+      expect(purgeArchivedAfterDays['favoritedBy.0']).toEqual({ $exists: false });
+      expect(purgeArchivedAfterDays['pinnedBy.0']).toEqual({ $exists: false });
+      expect(purgeArchivedAfterDays.$or[0]).toEqual({ archivedAt: { $lt: new Date('2024-05-30T00:00:00.000Z') } });
+    });
+  });
+
+  describe('scheduler', () => {
+    afterEach(() => stopRetentionScheduler());
+
+    it('should start only one timer', () => {
+      const first = startRetentionScheduler(60000);
+      const second = startRetentionScheduler(60000);
+
+      expect(second).toBe(first);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ countDocuments: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/SavedSearch', () => ({ findForUser: jest.fn(), find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn(), notify: jest.fn() }));
+jest.mock('../../src/services/clipboardVisibility', () => ({ buildVisibilityFilter: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const SavedSearch = require('../../src/models/SavedSearch');
+const User = require('../../src/models/User');
+const { buildVisibilityFilter } = require('../../src/services/clipboardVisibility');
+const { setKeyring } = require('../../src/services/atRestEncryption');
+const { listWithMatchCounts, notifySavedSearchMatches } = require('../../src/services/savedSearches');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeSavedSearch = (overrides = {}) => {
+  const params = { q: 'invoice', ...overrides.params };
+  return {
+    _id: objectId(),
+    name: 'Invoices',
+    owner: objectId(),
+    notify: true,
+    toSearchParams: () => params,
+    toJSON: () => ({ name: overrides.name || 'Invoices' }),
+    ...overrides,
+  };
+};
+
+// Clipboard.find(...).select('_id') resolving to the matching ids
+const mockMatches = ids =>
+  Clipboard.find.mockReturnValue({ select: jest.fn().mockResolvedValue(ids.map(_id => ({ _id }))) });
+
+describe('savedSearches', () => {
+  describe('listWithMatchCounts', () => {
+    it('should count what matches each saved search now', async () => {
+      SavedSearch.findForUser.mockResolvedValue([makeSavedSearch(), makeSavedSearch({ name: 'Links' })]);
+      Clipboard.countDocuments.mockResolvedValueOnce(4).mockResolvedValueOnce(0);
+      const visibleEntries = { productId: 'product-1' };
+
+      const savedSearches = await listWithMatchCounts({ _id: objectId() }, 'product-1', visibleEntries);
+
+      expect(savedSearches).toEqual([
+        { name: 'Invoices', matchCount: 4 },
+        { name: 'Links', matchCount: 0 },
+      ]);
+      const filter = Clipboard.countDocuments.mock.calls[0][0];
+      expect(filter.productId).toBe('product-1');
+      expect(filter.$and).toHaveLength(1);
+    });
+    it('should not count text searches while content is encrypted at rest', async () => {
+      const byTag = makeSavedSearch({ name: 'Ops', params: { q: 'tag:ops' } });
+      SavedSearch.findForUser.mockResolvedValue([makeSavedSearch(), byTag]);
+      Clipboard.countDocuments.mockResolvedValue(2);
+      setKeyring({ activeKeyId: 'v1', keys: new Map() });
+
+      try {
+        const savedSearches = await listWithMatchCounts({ _id: objectId() }, 'product-1', {});
+
+        expect(savedSearches).toEqual([
+          { name: 'Invoices', matchCount: null },
+          { name: 'Ops', matchCount: 2 },
+        ]);
+      } finally {
+        setKeyring(undefined);
+      }
+    });
+  });
+
+  describe('notifySavedSearchMatches', () => {
+    const owner = { _id: objectId(), isActive: true, hasProductAccess: () => true };
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue(owner);
+      buildVisibilityFilter.mockResolvedValue({ productId: 'product-1' });
+    });
+
+    it('should notify the owner about new entries that match', async () => {
+      const savedSearch = makeSavedSearch({ owner: owner._id });
+      SavedSearch.find.mockResolvedValue([savedSearch]);
+      const entry = { _id: objectId(), createdBy: objectId() };
+      mockMatches([entry._id]);
+
+      await notifySavedSearchMatches('product-1', [entry]);
+
+      expect(SavedSearch.find).toHaveBeenCalledWith({ productId: 'product-1', notify: true });
+      const query = Clipboard.find.mock.calls[0][0];
+      expect(query._id).toEqual({ $in: [entry._id] });
+      const notification = expect.objectContaining({
+        type: 'saved-search-match',
+        data: { savedSearchId: savedSearch._id, productId: 'product-1', entryIds: [entry._id] },
+      });
+      expect(User.notify).toHaveBeenCalledWith(owner._id, notification, 'clipboard');
+      expect(SavedSearch.updateOne).toHaveBeenCalledWith({ _id: savedSearch._id }, expect.any(Object));
+    });
+
+    it("should skip the owner's own and encrypted entries", async () => {
+      SavedSearch.find.mockResolvedValue([makeSavedSearch({ owner: owner._id })]);
+      const own = { _id: objectId(), createdBy: owner._id };
+      const encrypted = { _id: objectId(), createdBy: objectId(), encryption: { isEncrypted: true } };
+
+      await notifySavedSearchMatches('product-1', [own, encrypted]);
+
+      expect(Clipboard.find).not.toHaveBeenCalled();
+      expect(User.notify).not.toHaveBeenCalled();
+    });
+
+    it('should not notify owners who lost access to the product', async () => {
+      SavedSearch.find.mockResolvedValue([makeSavedSearch({ owner: owner._id })]);
+      User.findById.mockResolvedValue({ ...owner, hasProductAccess: () => false });
+
+      await notifySavedSearchMatches('product-1', [{ _id: objectId(), createdBy: objectId() }]);
+
+      expect(Clipboard.find).not.toHaveBeenCalled();
+      expect(User.notify).not.toHaveBeenCalled();
+    });
+
+    it('should stay quiet when nothing matches', async () => {
+      SavedSearch.find.mockResolvedValue([makeSavedSearch({ owner: owner._id })]);
+      mockMatches([]);
+
+      await notifySavedSearchMatches('product-1', [{ _id: objectId(), createdBy: objectId() }]);
+
+      expect(User.notify).not.toHaveBeenCalled();
+    });
+
+    it('should log failures instead of throwing', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      SavedSearch.find.mockRejectedValue(new Error('connection lost'));
+
+      await expect(notifySavedSearchMatches('product-1', [{ _id: objectId() }])).resolves.toBeUndefined();
+      expect(consoleError).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ claimView: jest.fn(), destroyContent: jest.fn() }));
+jest.mock('../../src/models/Collection', () => ({ updateMany: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ notify: jest.fn() }));
+jest.mock('../../src/services/blobStore', () => ({ removeEntryAttachment: jest.fn() }));
+jest.mock('../../src/services/changeFeed', () => ({ recordChange: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const Collection = require('../../src/models/Collection');
+const User = require('../../src/models/User');
+const { removeEntryAttachment } = require('../../src/services/blobStore');
+const { recordChange } = require('../../src/services/changeFeed');
+const { isRestrictedFor, recordView, destroyEntry } = require('../../src/services/selfDestruct');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  productId: 'product-1',
+  createdBy: objectId(),
+  viewCount: 0,
+  maxViews: 2,
+  $locals: {},
+  ...overrides,
+});
+
+describe('selfDestruct', () => {
+  beforeEach(() => {
+    Clipboard.destroyContent.mockResolvedValue(true);
+    Collection.updateMany.mockResolvedValue({});
+    User.notify.mockResolvedValue({});
+    removeEntryAttachment.mockResolvedValue();
+  });
+
+  describe('recordView', () => {
+    it('should reveal the content to the creator without counting a view', async () => {
+      const entry = makeEntry();
+
+      const view = await recordView(entry, { _id: entry.createdBy });
+
+      expect(view).toEqual({ entry, lastView: false });
+      expect(entry.$locals.revealContent).toBe(true);
+      expect(Clipboard.claimView).not.toHaveBeenCalled();
+    });
+
+    it('should flag the read that reaches the limit', async () => {
+      const entry = makeEntry();
+      Clipboard.claimView.mockResolvedValueOnce({ viewCount: 1, maxViews: 2 });
+      Clipboard.claimView.mockResolvedValueOnce({ viewCount: 2, maxViews: 2 });
+
+      expect((await recordView(entry, { _id: objectId() })).lastView).toBe(false);
+      expect((await recordView(entry, { _id: objectId() })).lastView).toBe(true);
+      expect(entry.viewCount).toBe(2);
+    });
+
+    it('should refuse reads once no views are left', async () => {
+      const entry = makeEntry();
+      Clipboard.claimView.mockResolvedValue(null);
+
+      expect(await recordView(entry, { _id: objectId() })).toBeNull();
+      expect(entry.$locals.revealContent).toBeUndefined();
+    });
+
+    it('should count reads of unlimited entries without a last view', async () => {
+      const entry = makeEntry({ maxViews: undefined });
+      Clipboard.claimView.mockResolvedValue({ viewCount: 5 });
+
+      expect((await recordView(entry, { _id: objectId() })).lastView).toBe(false);
+    });
+  });
+
+  describe('isRestrictedFor', () => {
+    it('should only restrict view-limited entries for other users', () => {
+      const entry = makeEntry();
+
+      expect(isRestrictedFor(entry, { _id: entry.createdBy })).toBe(false);
+      expect(isRestrictedFor(entry, { _id: objectId() })).toBe(true);
+      expect(isRestrictedFor(makeEntry({ maxViews: undefined }), { _id: objectId() })).toBe(false);
+    });
+  });
+
+  describe('destroyEntry', () => {
+    it('should wipe the entry, notify its owner and tell subscribers', async () => {
+      const entry = makeEntry({ attachment: { storage: 'local', key: 'product-1/blob' } });
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+
+      expect(await destroyEntry(entry, io)).toBe(true);
+
+      expect(Clipboard.destroyContent).toHaveBeenCalledWith(entry._id);
+      expect(removeEntryAttachment).toHaveBeenCalledWith(entry);
+      expect(User.notify).toHaveBeenCalledWith(
+        entry.createdBy,
+        expect.objectContaining({ type: 'clipboard-destroyed' }),
+        'clipboard'
+      );
+      expect(recordChange).toHaveBeenCalledWith('product-1', expect.objectContaining({ type: 'deleted', entry }), io);
+      expect(io.to).toHaveBeenCalledWith('product-1');
+      expect(emit).toHaveBeenCalledWith('clipboard-updated', {
+        action: 'destroyed',
+        entryId: entry._id,
+        productId: 'product-1',
+      });
+    });
+
+    it('should do nothing when another request already destroyed the entry', async () => {
+      Clipboard.destroyContent.mockResolvedValue(false);
+
+      expect(await destroyEntry(makeEntry(), null)).toBe(false);
+      expect(User.notify).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/Collection', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/ShareEvent', () => ({ insertMany: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const Collection = require('../../src/models/Collection');
+const ShareEvent = require('../../src/models/ShareEvent');
+const User = require('../../src/models/User');
+const {
+  recordShareEvent,
+  grantShareAccess,
+  releaseShareAccess,
+  recordRevocations,
+  recordRecipientActivity,
+} = require('../../src/services/shareAudit');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockUser = user => {
+  User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+};
+
+describe('shareAudit', () => {
+  beforeEach(() => {
+    Clipboard.exists.mockResolvedValue(null);
+    Collection.exists.mockResolvedValue(null);
+    ShareEvent.insertMany.mockResolvedValue([]);
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockUser(null);
+  });
+
+  describe('recordShareEvent', () => {
+    it('should not throw when the event cannot be written', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      ShareEvent.insertMany.mockRejectedValue(new Error('write failed'));
+
+      await expect(recordShareEvent({ action: 'granted' })).resolves.toBeUndefined();
+
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('grantShareAccess', () => {
+    it('should add read access marked as coming from a share', async () => {
+      const grantedBy = objectId();
+      const user = { hasProductAccess: () => false, addProductAccess: jest.fn() };
+
+      await grantShareAccess(user, 'product-1', grantedBy);
+
+      const [productId, , accessLevel, , , source] = user.addProductAccess.mock.calls[0];
+      expect([productId, accessLevel, source]).toEqual(['product-1', 'read', 'share']);
+    });
+
+    it('should leave existing access alone', async () => {
+      const user = { hasProductAccess: () => true, addProductAccess: jest.fn() };
+
+      await grantShareAccess(user, 'product-1', objectId());
+
+      expect(user.addProductAccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseShareAccess', () => {
+    it('should deactivate share-only access once nothing is shared with the user', async () => {
+      const userId = objectId();
+
+      await expect(releaseShareAccess(userId, 'product-1')).resolves.toBe(true);
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter.productAccess.$elemMatch).toEqual({ productId: 'product-1', source: 'share', isActive: true });
+      expect(update).toEqual({ $set: { 'productAccess.$.isActive': false } });
+    });
+
+    it('should keep access while a collection is still shared with the user', async () => {
+      Collection.exists.mockResolvedValue({ _id: objectId() });
+
+      await expect(releaseShareAccess(objectId(), 'product-1')).resolves.toBe(false);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should look for group shares that reach the user through their friends', async () => {
+      const friendId = objectId();
+      mockUser({ _id: objectId(), friends: [friendId] });
+
+      await releaseShareAccess(objectId(), 'product-1');
+
+      const groupShare = Clipboard.exists.mock.calls[0][0].$or[1].groupShares.$elemMatch;
+      expect(groupShare).toMatchObject({ groupType: 'friends', groupId: { $in: [friendId] } });
+    });
+
+    it('should report nothing revoked when the access was not from a share', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(releaseShareAccess(objectId(), 'product-1')).resolves.toBe(false);
+    });
+  });
+
+  describe('recordRevocations', () => {
+    it('should record one revocation per recipient with whether access was removed', async () => {
+      const kept = objectId();
+      const released = objectId();
+      const ownEntry = { _id: objectId() };
+      Clipboard.exists.mockImplementation(query => Promise.resolve(query.createdBy === kept ? ownEntry : null));
+
+      await recordRevocations({ recipients: [kept, released], productId: 'product-1', reason: 'entry-deleted' });
+
+      const events = ShareEvent.insertMany.mock.calls[0][0];
+      expect(events).toEqual([
+        expect.objectContaining({ action: 'revoked', recipient: kept, productAccessRevoked: false }),
+        expect.objectContaining({ action: 'revoked', recipient: released, productAccessRevoked: true }),
+      ]);
+      expect(events[0].reason).toBe('entry-deleted');
+    });
+  });
+
+  describe('recordRecipientActivity', () => {
+    const recipient = { _id: objectId() };
+
+    it('should record views by a recipient of an active share', async () => {
+      const collectionId = objectId();
+      const entry = {
+        _id: objectId(),
+        productId: 'product-1',
+        createdBy: objectId(),
+        sharedWith: [{ userId: recipient._id, accessLevel: 'read', collectionId }],
+      };
+
+      await recordRecipientActivity(entry, recipient, 'viewed');
+
+      expect(ShareEvent.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ action: 'viewed', actor: recipient._id, via: 'collection', collectionId }),
+      ]);
+    });
+
+    it('should ignore the creator and expired shares', async () => {
+      const expired = { userId: recipient._id, accessLevel: 'read', expiresAt: new Date(Date.now() - 1000) };
+
+      await recordRecipientActivity({ createdBy: recipient._id, sharedWith: [] }, recipient, 'copied');
+      await recordRecipientActivity({ createdBy: objectId(), sharedWith: [expired] }, recipient, 'copied');
+
+      expect(ShareEvent.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ notify: jest.fn() }));
+jest.mock('../../src/services/shareAudit', () => ({
+  grantShareAccess: jest.fn(),
+  recordShareEvents: jest.fn(),
+}));
+
+const Clipboard = require('../../src/models/Clipboard');
+const User = require('../../src/models/User');
+const ShareRequest = require('../../src/models/ShareRequest');
+const { grantShareAccess, recordShareEvents } = require('../../src/services/shareAudit');
+const { findRequestedEntries, approveRequest, denyRequest } = require('../../src/services/shareRequests');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeRequest = (overrides = {}) => {
+  const request = new ShareRequest({
+    productId: 'product-1',
+    requester: objectId(),
+    owner: objectId(),
+    tag: 'Addresses',
+    ...overrides,
+  });
+  request.save = jest.fn().mockResolvedValue(request);
+  return request;
+};
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  encryption: { isEncrypted: false },
+  userHasAccess: () => false,
+  setWrappedKey: jest.fn(),
+  shareWithUser: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+const mockEntries = entries => {
+  const limit = jest.fn().mockResolvedValue(entries);
+  Clipboard.find.mockReturnValue({ sort: () => ({ limit }) });
+};
+
+describe('shareRequests', () => {
+  describe('ShareRequest model', () => {
+    it('should need exactly one of an entry or a tag', async () => {
+      await expect(makeRequest().validate()).resolves.toBeUndefined();
+      await expect(makeRequest({ tag: undefined }).validate()).rejects.toThrow('either an entry or a tag');
+      await expect(makeRequest({ entryId: objectId() }).validate()).rejects.toThrow('either an entry or a tag');
+    });
+
+    it('should lowercase tags and expire pending requests after their expiry', () => {
+      const request = makeRequest({ expiresAt: new Date(Date.now() - 1000) });
+
+      expect(request.tag).toBe('addresses');
+      expect(request.isExpired()).toBe(true);
+      expect(makeRequest().isExpired()).toBe(false);
+    });
+  });
+
+  describe('findRequestedEntries', () => {
+    it('should match the owner\'s live entries with the tag', () => {
+      mockEntries([]);
+      const request = makeRequest();
+
+      findRequestedEntries(request);
+
+      expect(Clipboard.find).toHaveBeenCalledWith({
+        productId: 'product-1',
+        createdBy: request.owner,
+        destroyedAt: null,
+        tags: 'addresses',
+      });
+    });
+  });
+
+  describe('approveRequest', () => {
+    it('should share each entry and mark the request approved', async () => {
+      const entries = [makeEntry(), makeEntry()];
+      mockEntries(entries);
+      const request = makeRequest();
+      const requester = { _id: request.requester };
+
+      const { shared, skipped } = await approveRequest(request, requester, { accessLevel: 'write' });
+
+      expect(shared).toEqual(entries.map(entry => entry._id));
+      expect(skipped).toEqual([]);
+      entries.forEach(entry => expect(entry.shareWithUser).toHaveBeenCalledWith(requester._id, 'write'));
+      expect(request.status).toBe('approved');
+      expect(request.sharedEntries).toHaveLength(2);
+      expect(grantShareAccess).toHaveBeenCalledWith(requester, 'product-1', request.owner);
+      expect(recordShareEvents.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ action: 'granted', via: 'request', accessLevel: 'write' }),
+        expect.objectContaining({ action: 'granted', via: 'request', accessLevel: 'write' }),
+      ]);
+      const notification = User.notify.mock.calls[0][1];
+      expect(User.notify.mock.calls[0][0]).toBe(request.requester);
+      expect(notification.type).toBe('share-request-approved');
+    });
+
+    it('should skip encrypted entries without a wrapped key and entries already shared', async () => {
+      const encrypted = makeEntry({ encryption: { isEncrypted: true } });
+      const keyed = makeEntry({ encryption: { isEncrypted: true } });
+      const alreadyShared = makeEntry({ userHasAccess: () => true });
+      mockEntries([encrypted, keyed, alreadyShared]);
+      const request = makeRequest();
+
+      const wrappedKeys = [{ entryId: keyed._id.toString(), wrappedKey: 'a2V5' }];
+
+      const { shared, skipped } = await approveRequest(request, { _id: request.requester }, { wrappedKeys });
+
+      expect(shared).toEqual([keyed._id]);
+      expect(keyed.setWrappedKey).toHaveBeenCalledWith(request.requester, 'a2V5');
+      expect(skipped.map(result => result.entryId)).toEqual([encrypted._id, alreadyShared._id]);
+    });
+
+    it('should leave the request pending when nothing can be shared', async () => {
+      mockEntries([]);
+      const request = makeRequest();
+
+      const { shared } = await approveRequest(request, { _id: request.requester });
+
+      expect(shared).toEqual([]);
+      expect(request.status).toBe('pending');
+      expect(request.save).not.toHaveBeenCalled();
+      expect(grantShareAccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('denyRequest', () => {
+    it('should mark the request denied and tell the requester', async () => {
+      const request = makeRequest();
+
+      await denyRequest(request, 'Not this one');
+
+      expect(request.status).toBe('denied');
+      expect(request.responseMessage).toBe('Not this one');
+      const notification = User.notify.mock.calls[0][1];
+      expect(User.notify.mock.calls[0][0]).toBe(request.requester);
+      expect(notification.type).toBe('share-request-denied');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Clipboard', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/FamilyGroup', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+
+const Clipboard = require('../../src/models/Clipboard');
+const FamilyGroup = require('../../src/models/FamilyGroup');
+const User = require('../../src/models/User');
+const ShareTemplate = require('../../src/models/ShareTemplate');
+const { resolveRecipients, applyTemplate } = require('../../src/services/shareTemplates');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockFamilyGroup = group => {
+  FamilyGroup.findById.mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(group) }),
+  });
+};
+
+const makeTemplate = (overrides = {}) =>
+  new ShareTemplate({
+    name: 'Family',
+    productId: 'product-1',
+    owner: objectId(),
+    ...overrides,
+  });
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  createdBy: objectId(),
+  sharedWith: [],
+  encryption: { isEncrypted: false },
+  userCanShare: () => true,
+  grantShare: jest.fn(function(userId, accessLevel, expiresAt) {
+    this.sharedWith.push({ userId, accessLevel, expiresAt });
+  }),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+describe('shareTemplates', () => {
+  beforeEach(() => {
+    User.find.mockImplementation(query => Promise.resolve(query._id.$in.map(_id => ({ _id }))));
+    mockFamilyGroup(null);
+  });
+
+  describe('resolveRecipients', () => {
+    it('should combine users, friends and family members without the owner', async () => {
+      const owner = { _id: objectId(), friends: [objectId()] };
+      const listed = objectId();
+      const relative = objectId();
+      mockFamilyGroup({ members: [{ userId: owner._id }, { userId: relative }] });
+      const template = makeTemplate({
+        owner: owner._id,
+        recipients: { users: [listed, owner._id], includeFriends: true, familyGroup: objectId() },
+      });
+
+      const recipients = await resolveRecipients(template, owner);
+
+      expect(recipients.map(recipient => recipient._id.toString()).sort()).toEqual(
+        [listed, owner.friends[0], relative].map(String).sort()
+      );
+    });
+
+    it('should respect the product sharing settings', async () => {
+      const owner = { _id: objectId(), friends: [objectId()] };
+      mockFamilyGroup({ members: [{ userId: owner._id }, { userId: objectId() }] });
+      const template = makeTemplate({ recipients: { includeFriends: true, familyGroup: objectId() } });
+
+      const recipients = await resolveRecipients(template, owner, {
+        allowFriendSharing: false,
+        allowFamilySharing: false,
+      });
+
+      expect(recipients).toEqual([]);
+      expect(FamilyGroup.findById).not.toHaveBeenCalled();
+    });
+
+    it('should skip family groups the owner may not share with', async () => {
+      const owner = { _id: objectId(), friends: [] };
+      mockFamilyGroup({ members: [{ userId: owner._id, permissions: { canShare: false } }, { userId: objectId() }] });
+
+      expect(await resolveRecipients(makeTemplate({ recipients: { familyGroup: objectId() } }), owner)).toEqual([]);
+    });
+  });
+
+  describe('applyTemplate', () => {
+    const owner = { _id: objectId() };
+    const recipients = [{ _id: objectId() }, { _id: objectId() }];
+
+    it('should share every entry with the recipients and the template expiry', async () => {
+      const entry = makeEntry();
+      Clipboard.find.mockResolvedValue([entry]);
+      const now = new Date('2024-05-01T12:00:00Z');
+      const template = makeTemplate({ defaultAccessLevel: 'write', expiresAfter: 60 * 60 * 1000 });
+
+      const [result] = await applyTemplate(template, [entry._id], owner, { recipients, now });
+
+      const expiresAt = new Date('2024-05-01T13:00:00Z');
+      expect(result).toEqual({ entryId: entry._id, sharedWith: recipients.map(r => r._id), expiresAt });
+      expect(entry.grantShare).toHaveBeenCalledWith(recipients[0]._id, 'write', expiresAt);
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('should report entries it could not share', async () => {
+      const encrypted = makeEntry({ encryption: { isEncrypted: true } });
+      const othersPublic = makeEntry({ isPublic: true, userCanShare: () => false });
+      const missing = objectId();
+      Clipboard.find.mockResolvedValue([encrypted, othersPublic]);
+
+      const results = await applyTemplate(makeTemplate(), [encrypted._id, othersPublic._id, missing], owner, {
+        recipients,
+      });
+
+      expect(results.map(result => result.error)).toEqual([
+        'Encrypted entries must be shared one recipient at a time',
+        'Insufficient permissions to share this entry',
+        'Clipboard entry not found',
+      ]);
+      expect(encrypted.save).not.toHaveBeenCalled();
+    });
+
+    it('should not exceed the product limit on shared users', async () => {
+      const entry = makeEntry({ sharedWith: [{ userId: objectId() }] });
+      Clipboard.find.mockResolvedValue([entry]);
+
+      const [result] = await applyTemplate(makeTemplate(), [entry._id], owner, { recipients, maxSharedUsers: 2 });
+
+      expect(result.error).toBe('Entries can be shared with at most 2 users');
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { decodeHtml, extractLinkPreview } = require('../../src/utils/linkPreview');
+
+describe('linkPreview', () => {
+  describe('extractLinkPreview', () => {
+    it('should prefer OpenGraph tags', () => {
+      const html = `
+        <html><head>
+          <title>Page title</title>
+          <meta property="og:title" content="OpenGraph title">
+          <meta name="twitter:title" content="Twitter title">
+          <meta property="og:description" content="What the page is about">
+          <meta property="og:site_name" content="Example">
+          <meta property="og:image" content="/images/cover.png" />
+        </head></html>`;
+
+      expect(extractLinkPreview(html, 'https://example.com/posts/1')).toEqual({
+        title: 'OpenGraph title',
+        description: 'What the page is about',
+        siteName: 'Example',
+        imageUrl: 'https://example.com/images/cover.png',
+      });
+    });
+
+    it('should fall back to Twitter cards, then the title and description tags', () => {
+      const html = `
+        <title>
+          Release notes &amp; changes
+        </title>
+        <meta name='description' content='Plain description'>
+        <meta content="https://cdn.example.com/card.jpg" name="twitter:image">`;
+
+      expect(extractLinkPreview(html, 'https://example.com/')).toEqual({
+        title: 'Release notes & changes',
+        description: 'Plain description',
+        siteName: null,
+        imageUrl: 'https://cdn.example.com/card.jpg',
+      });
+    });
+
+    it('should decode entities and leave out images that are not http(s)', () => {
+      const html =
+        '<meta property="og:title" content="Caf&#233; &#x2615; &#8212; &quot;open&quot;">' +
+        '<meta property="og:image" content="javascript:alert(1)">';
+
+      const preview = extractLinkPreview(html, 'https://example.com/');
+
+      expect(preview.title).toBe('Café ☕ — "open"');
+      expect(preview.imageUrl).toBeNull();
+    });
+
+    it('should cut overlong titles', () => {
+      const preview = extractLinkPreview(`<title>${'a'.repeat(400)}</title>`, 'https://example.com/');
+
+      expect(preview.title).toHaveLength(300);
+      expect(preview.title.endsWith('…')).toBe(true);
+    });
+
+    it('should return nulls for a page without details', () => {
+      expect(extractLinkPreview('<p>Hello</p>', 'https://example.com/')).toEqual({
+        title: null,
+        description: null,
+        siteName: null,
+        imageUrl: null,
+      });
+    });
+  });
+
+  describe('decodeHtml', () => {
+    it('should use the charset from the content type or a meta tag', () => {
+      const latin1 = Buffer.from('<title>caf\xe9</title>', 'latin1');
+
+      expect(decodeHtml(latin1, 'text/html; charset=ISO-8859-1')).toBe('<title>café</title>');
+      const withMeta = Buffer.concat([Buffer.from('<meta charset="iso-8859-1">'), latin1]);
+      expect(decodeHtml(withMeta, 'text/html')).toContain('café');
+    });
+
+    it('should fall back to UTF-8 for unknown charsets', () => {
+      expect(decodeHtml(Buffer.from('<title>café</title>'), 'text/html; charset=made-up')).toBe('<title>café</title>');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  getCursorError,
+  findPage,
+} = require('../../src/utils/pagination');
+
+const makeEntry = (createdAt, id = new mongoose.Types.ObjectId()) => ({ _id: id, createdAt: new Date(createdAt) });
+
+// Minimal stand-in for a Mongoose model: records the query and resolves to the given docs
+const makeModel = (docs, total = docs.length) => {
+  const calls = {};
+  const query = {
+    sort(sort) {
+      calls.sort = sort;
+      return query;
+    },
+    limit(limit) {
+      calls.limit = limit;
+      return Promise.resolve(docs.slice(0, limit));
+    },
+  };
+
+  return {
+    calls,
+    find(filter) {
+      calls.filter = filter;
+      return query;
+    },
+    countDocuments: jest.fn().mockResolvedValue(total),
+  };
+};
+
+describe('pagination', () => {
+  describe('parseLimit', () => {
+    it('should fall back to the default and cap at the maximum', () => {
+      expect(parseLimit(undefined)).toBe(50);
+      expect(parseLimit('abc')).toBe(50);
+      expect(parseLimit('-3')).toBe(50);
+      expect(parseLimit('20')).toBe(20);
+      expect(parseLimit('5000')).toBe(MAX_LIMIT);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip the sort key of an entry', () => {
+      const entry = makeEntry('2024-05-01T10:00:00.000Z');
+      const key = decodeCursor(encodeCursor(entry));
+
+      expect(key.createdAt.toISOString()).toBe('2024-05-01T10:00:00.000Z');
+      expect(key._id.toString()).toBe(entry._id.toString());
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"t":"x","id":"1"}').toString('base64url'))).toBeNull();
+    });
+
+    it('should report unusable cursor params', () => {
+      const cursor = encodeCursor(makeEntry(Date.now()));
+
+      expect(getCursorError({})).toBeNull();
+      expect(getCursorError({ before: cursor })).toBeNull();
+      expect(getCursorError({ before: 'bogus' })).toBe('Invalid pagination cursor');
+      expect(getCursorError({ before: cursor, after: cursor })).toBe('Use either before or after, not both');
+    });
+  });
+
+  describe('buildCursorQuery', () => {
+    it('should break createdAt ties on _id', () => {
+      const entry = makeEntry('2024-05-01T10:00:00.000Z');
+      const { filter, sort } = buildCursorQuery({ before: encodeCursor(entry) });
+
+      expect(sort).toEqual({ createdAt: -1, _id: -1 });
+      expect(filter.$or[0]).toEqual({ createdAt: { $lt: entry.createdAt } });
+      expect(filter.$or[1].createdAt).toEqual(entry.createdAt);
+      expect(filter.$or[1]._id.$lt.toString()).toBe(entry._id.toString());
+    });
+
+    it('should read pages after a cursor oldest first', () => {
+      const { filter, sort, reverse } = buildCursorQuery({ after: encodeCursor(makeEntry(Date.now())) });
+
+      expect(sort).toEqual({ createdAt: 1, _id: 1 });
+      expect(filter.$or[0].createdAt).toHaveProperty('$gt');
+      expect(reverse).toBe(true);
+    });
+  });
+
+  describe('findPage', () => {
+    const entries = [makeEntry('2024-05-03'), makeEntry('2024-05-02'), makeEntry('2024-05-01')];
+
+    it('should return one page with cursors and detect more results', async () => {
+      const Model = makeModel(entries);
+      const { items, pagination } = await findPage(Model, { productId: 'p1' }, { limit: 2 });
+
+      expect(Model.calls.limit).toBe(3);
+      expect(items).toEqual(entries.slice(0, 2));
+      expect(pagination).toEqual({
+        limit: 2,
+        hasMore: true,
+        nextCursor: encodeCursor(entries[1]),
+        prevCursor: encodeCursor(entries[0]),
+      });
+      expect(Model.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should keep existing $and clauses when adding the cursor filter', async () => {
+      const Model = makeModel([]);
+      const filter = { productId: 'p1', $and: [{ type: 'text' }] };
+      await findPage(Model, filter, { before: encodeCursor(entries[0]) });
+
+      expect(Model.calls.filter.productId).toBe('p1');
+      expect(Model.calls.filter.$and).toHaveLength(2);
+      expect(Model.calls.filter.$and[0]).toEqual({ type: 'text' });
+    });
+
+    it('should return pages after a cursor newest first', async () => {
+      const Model = makeModel([entries[1], entries[0]]);
+      const { items, pagination } = await findPage(Model, {}, { after: encodeCursor(entries[2]) });
+
+      expect(items).toEqual([entries[0], entries[1]]);
+      expect(pagination.hasMore).toBe(false);
+    });
+
+    it('should count the unfiltered total only when asked', async () => {
+      const Model = makeModel(entries, 42);
+      const { pagination } = await findPage(Model, { productId: 'p1' }, { includeTotal: true });
+
+      expect(pagination.total).toBe(42);
+      expect(Model.countDocuments).toHaveBeenCalledWith({ productId: 'p1' });
+    });
+  });
+});
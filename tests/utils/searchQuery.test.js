@@ -0,0 +1,80 @@
+const { parseSearchQuery, hasMatchingText, formatTextSearch } = require('../../src/utils/searchQuery');
+
+describe('searchQuery', () => {
+  describe('parseSearchQuery', () => {
+    it('should split a query into text and filters', () => {
+      const { query } = parseSearchQuery('type:link tag:work from:alice after:2026-01-01 "exact phrase" -draft');
+
+      expect(query.text).toEqual({
+        words: [],
+        phrases: ['exact phrase'],
+        excludedWords: ['draft'],
+        excludedPhrases: [],
+      });
+      expect(query.filters.type).toEqual({ include: ['link'], exclude: [] });
+      expect(query.filters.tag).toEqual({ include: ['work'], exclude: [] });
+      expect(query.filters.from).toEqual({ include: ['alice'], exclude: [] });
+      expect(query.filters.after).toEqual(new Date('2026-01-01'));
+      expect(query.filters.before).toBeNull();
+    });
+
+    it('should read quoted and negated filter values', () => {
+      const { query } = parseSearchQuery('tag:"To Do" -tag:draft -type:image TYPE:Text');
+
+      expect(query.filters.tag).toEqual({ include: ['to do'], exclude: ['draft'] });
+      expect(query.filters.type).toEqual({ include: ['text'], exclude: ['image'] });
+    });
+
+    it('should keep URLs and other words with colons as text', () => {
+      const { query } = parseSearchQuery('https://example.com/a note: 10:30');
+
+      expect(query.text.words).toEqual(['https://example.com/a', 'note:', '10:30']);
+    });
+
+    it('should narrow repeated date bounds', () => {
+      const { query } = parseSearchQuery('after:2026-01-01 after:2026-02-01 before:2026-06-01 before:2026-03-01');
+
+      expect(query.filters.after).toEqual(new Date('2026-02-01'));
+      expect(query.filters.before).toEqual(new Date('2026-03-01'));
+    });
+
+    it('should parse an empty query', () => {
+      const { query } = parseSearchQuery(undefined);
+
+      expect(hasMatchingText(query.text)).toBe(false);
+      expect(formatTextSearch(query.text)).toBe('');
+    });
+
+    it.each([
+      ['deploy "unfinished', 'Unterminated quote', 7],
+      ['tag:"to do', 'Unterminated quote', 4],
+      ['notes ""', 'Empty phrase', 6],
+      ['deploy - notes', 'Expected a word, phrase or filter after "-"', 7],
+      ['type: link', 'Expected a value after "type:"', 5],
+      ['tag:"" x', 'Expected a value after "tag:"', 4],
+      ['kind:link', 'Unknown filter "kind:". Use one of: type, tag, from, after, before', 0],
+      ['x type:video', 'type: must be one of: text, image, file, link, template', 7],
+      ['after:yesterday', 'after: must be a date like 2026-01-31', 6],
+      ['after:2026-02-30x', 'after: must be a date like 2026-01-31', 6],
+      ['-before:2026-01-01', "before: can't be negated", 0],
+      ['after:2026-03-01 before:2026-02-01', 'after: must be earlier than before:', 24],
+    ])('should report %j as malformed', (input, error, position) => {
+      expect(parseSearchQuery(input)).toEqual({ error, position });
+    });
+  });
+
+  describe('formatTextSearch', () => {
+    it('should write the text part as a $text search string', () => {
+      const { query } = parseSearchQuery('deploy type:link "blue green" -draft -"work in progress"');
+
+      expect(formatTextSearch(query.text)).toBe('deploy "blue green" -draft -"work in progress"');
+      expect(hasMatchingText(query.text)).toBe(true);
+    });
+
+    it('should tell text that only leaves things out', () => {
+      const { query } = parseSearchQuery('-draft tag:work');
+
+      expect(hasMatchingText(query.text)).toBe(false);
+    });
+  });
+});
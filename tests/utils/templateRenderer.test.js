@@ -0,0 +1,71 @@
+const { parsePlaceholders, buildTemplateContext, renderTemplate } = require('../../src/utils/templateRenderer');
+
+describe('templateRenderer', () => {
+  describe('parsePlaceholders', () => {
+    it('should list distinct placeholders with their defaults in order', () => {
+      const placeholders = parsePlaceholders('Hi {{ name }}, see you in {{city|Berlin}} on {{date}}. Bye {{name}}');
+
+      expect(placeholders).toEqual([
+        { name: 'name', defaultValue: null, builtIn: false },
+        { name: 'city', defaultValue: 'Berlin', builtIn: false },
+        { name: 'date', defaultValue: null, builtIn: true },
+      ]);
+    });
+
+    it('should skip escaped braces', () => {
+      expect(parsePlaceholders('\\{{literal}} {{real}}').map(placeholder => placeholder.name)).toEqual(['real']);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should prefer supplied values, then built-ins, then defaults', () => {
+      const { text, missing } = renderTemplate(
+        '{{greeting|Hello}} {{user.firstName}}, {{city|Berlin}} {{date}}',
+        { city: 'Paris' },
+        { 'user.firstName': 'Ada', date: '2024-05-01' }
+      );
+
+      expect(text).toBe('Hello Ada, Paris 2024-05-01');
+      expect(missing).toEqual([]);
+    });
+
+    it('should let supplied values override built-ins', () => {
+      expect(renderTemplate('{{date}}', { date: 'tomorrow' }, { date: '2024-05-01' }).text).toBe('tomorrow');
+    });
+
+    it('should report placeholders without a value and leave them in place', () => {
+      const { text, missing } = renderTemplate('Dear {{name}}, {{name}}!', {}, {});
+
+      expect(text).toBe('Dear {{name}}, {{name}}!');
+      expect(missing).toEqual(['name']);
+    });
+
+    it('should keep escaped braces as literal text', () => {
+      expect(renderTemplate('\\{{name}} is {{name}}', { name: 'x' }).text).toBe('{{name}} is x');
+    });
+
+    it('should allow empty defaults', () => {
+      expect(renderTemplate('a{{suffix|}}b').text).toBe('ab');
+    });
+  });
+
+  describe('buildTemplateContext', () => {
+    const now = new Date('2024-05-01T23:30:00Z');
+
+    it('should resolve the date and time in the user timezone', () => {
+      const context = buildTemplateContext({ firstName: 'Ada', profile: { timezone: 'Asia/Tokyo' } }, now);
+
+      expect(context.date).toBe('2024-05-02');
+      expect(context.time).toBe('08:30');
+      expect(context.datetime).toBe('2024-05-01T23:30:00.000Z');
+      expect(context['user.firstName']).toBe('Ada');
+    });
+
+    it('should fall back to UTC for unknown timezones', () => {
+      const context = buildTemplateContext({ profile: { timezone: 'Nowhere/Special' } }, now);
+
+      expect(context.date).toBe('2024-05-01');
+      expect(context['user.lastName']).toBe('');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { diffLines, mergeLines } = require('../../src/utils/textDiff');
+
+describe('textDiff', () => {
+  describe('diffLines', () => {
+    it('should report no changes for identical text', () => {
+      const { hunks, stats } = diffLines('a\nb\nc', 'a\nb\nc');
+
+      expect(hunks).toEqual([{ type: 'equal', lines: ['a', 'b', 'c'] }]);
+      expect(stats).toEqual({ added: 0, removed: 0, unchanged: 3 });
+    });
+
+    it('should group added and removed lines into hunks', () => {
+      const { hunks, stats } = diffLines('a\nb\nc\nd', 'a\nx\ny\nc\nd\ne');
+
+      expect(hunks).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'removed', lines: ['b'] },
+        { type: 'added', lines: ['x', 'y'] },
+        { type: 'equal', lines: ['c', 'd'] },
+        { type: 'added', lines: ['e'] },
+      ]);
+      expect(stats).toEqual({ added: 3, removed: 1, unchanged: 3 });
+    });
+
+    it('should handle empty texts on either side', () => {
+      expect(diffLines('', 'new').hunks).toEqual([{ type: 'added', lines: ['new'] }]);
+      expect(diffLines('old', '').hunks).toEqual([{ type: 'removed', lines: ['old'] }]);
+      expect(diffLines('', '').hunks).toEqual([]);
+    });
+
+    it('should treat CRLF and LF line endings alike', () => {
+      expect(diffLines('a\r\nb', 'a\nb').stats).toEqual({ added: 0, removed: 0, unchanged: 2 });
+    });
+  });
+
+  describe('mergeLines', () => {
+    it('should combine changes made to different lines', () => {
+      expect(mergeLines('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nc\nD')).toEqual({
+        content: 'a\nB\nc\nD',
+        conflicts: [],
+        clean: true,
+      });
+    });
+
+    it('should combine removals and take identical changes once', () => {
+      expect(mergeLines('a\nb\nc', 'b\nc', 'a\nb').content).toBe('b');
+      expect(mergeLines('a\nb', 'a\nb\nsame', 'a\nb\nsame').content).toBe('a\nb\nsame');
+    });
+
+    it('should mark lines changed differently on both sides as conflicts', () => {
+      const merge = mergeLines('a\nb\nc', 'a\nX\nc', 'a\nY\nc');
+
+      expect(merge.clean).toBe(false);
+      expect(merge.conflicts).toEqual([{ base: ['b'], ours: ['X'], theirs: ['Y'] }]);
+      expect(merge.content).toBe('a\n<<<<<<< ours\nX\n||||||| base\nb\n=======\nY\n>>>>>>> theirs\nc');
+    });
+
+    it('should treat different additions at the same place as a conflict', () => {
+      const merge = mergeLines('a', 'a\nours', 'a\ntheirs');
+
+      expect(merge.conflicts).toEqual([{ base: [], ours: ['ours'], theirs: ['theirs'] }]);
+    });
+  });
+});